@@ -0,0 +1,114 @@
+// Price alerts: a target total (price + shipping) per artist, or per album
+// of an artist, in the alert's currency. New results at or under the target
+// send a notification, once per alert and listing. Each user has their own
+// alerts, checked against their own searches.
+
+import { db } from './db.js';
+import { totalIn } from './pricing.js';
+import { getRates, BASE_CURRENCY } from './currency.js';
+import { getItemKey } from './priceHistory.js';
+import { notify } from './notifiers.js';
+import { getUser } from './users.js';
+
+function toAlert(row) {
+  return {
+    id: row.id,
+    artist: row.artist,
+    album: row.album,
+    maxTotal: row.max_total,
+    currency: row.currency,
+    createdAt: row.created_at,
+    notificationCount: row.notification_count
+  };
+}
+
+export function listAlerts(userId) {
+  return db.prepare(`
+    SELECT a.*, (SELECT COUNT(*) FROM alert_notifications n WHERE n.alert_id = a.id) AS notification_count
+    FROM alerts a WHERE a.user_id = ? ORDER BY a.artist, a.album
+  `).all(userId).map(toAlert);
+}
+
+// Throws if the alert is missing an artist or a valid target
+export function createAlert({ userId, artist, album, maxTotal, currency = BASE_CURRENCY }) {
+  const target = parseFloat(maxTotal);
+  if (!artist || !artist.trim()) {
+    throw new Error('Artist required');
+  }
+  if (!Number.isFinite(target) || target <= 0) {
+    throw new Error('Target price must be a positive number');
+  }
+  if (!getRates().rates[currency]) {
+    throw new Error(`Unknown currency: ${currency}`);
+  }
+
+  const id = db.prepare(`
+    INSERT INTO alerts (user_id, artist, album, max_total, currency, created_at) VALUES (?, ?, ?, ?, ?, ?)
+  `).run(userId, artist.trim(), album?.trim() || null, target, currency, new Date().toISOString()).lastInsertRowid;
+
+  return listAlerts(userId).find(alert => alert.id === id);
+}
+
+export function deleteAlert(userId, id) {
+  return db.prepare('DELETE FROM alerts WHERE user_id = ? AND id = ?').run(userId, id).changes > 0;
+}
+
+export function listNotifications(userId, limit = 50) {
+  return db.prepare(`
+    SELECT n.alert_id AS alertId, n.total, n.notified_at AS notifiedAt, n.data
+    FROM alert_notifications n JOIN alerts a ON a.id = n.alert_id
+    WHERE a.user_id = ? ORDER BY n.notified_at DESC LIMIT ?
+  `).all(userId, limit).map(row => ({ ...row, listing: JSON.parse(row.data), data: undefined }));
+}
+
+function matches(alert, searchedArtist, result) {
+  const artist = alert.artist.toLowerCase();
+  if (searchedArtist.toLowerCase() !== artist && (result.artist || '').toLowerCase() !== artist) {
+    return false;
+  }
+  return !alert.album || (result.album || '').toLowerCase().includes(alert.album.toLowerCase());
+}
+
+// Check new results of a user's search against their alerts. artistResults
+// maps each searched artist to its results.
+export async function checkAlerts(artistResults, userId) {
+  const alerts = listAlerts(userId);
+  if (alerts.length === 0) return;
+
+  const record = db.prepare(`
+    INSERT OR IGNORE INTO alert_notifications (alert_id, item_key, total, data, notified_at)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  const pending = [];
+
+  for (const [searchedArtist, results] of Object.entries(artistResults)) {
+    for (const result of results) {
+      if (result.isSearch) continue;
+
+      for (const alert of alerts) {
+        const total = totalIn(result, alert.currency);
+        if (!total || total.amount > alert.maxTotal || !matches(alert, searchedArtist, result)) continue;
+
+        // The unique (alert, listing) pair stops the same listing firing twice
+        const itemKey = getItemKey(result) || result.link;
+        const inserted = record.run(alert.id, itemKey, total.amount, JSON.stringify(result), new Date().toISOString());
+        if (inserted.changes === 0) continue;
+
+        const what = alert.album ? `${alert.artist} – ${alert.album}` : alert.artist;
+        pending.push({
+          subject: `Price alert: ${result.artist} – ${result.album}`,
+          message: `${result.artist} – ${result.album} is ${total.amount.toFixed(2)} ${total.currency} ` +
+            `on ${result.source} (your target for ${what} is ${alert.maxTotal.toFixed(2)} ${alert.currency})`,
+          alert: { id: alert.id, artist: alert.artist, album: alert.album, maxTotal: alert.maxTotal, currency: alert.currency },
+          listing: { ...result, total }
+        });
+      }
+    }
+  }
+
+  const forAdmin = getUser(userId)?.role === 'admin';
+  for (const notification of pending) {
+    console.log(notification.message);
+    await notify(notification, { forAdmin });
+  }
+}
@@ -0,0 +1,127 @@
+// Marketplace API credentials
+// They come from .env, and an admin can override them from the app. Saved
+// credentials are kept in the settings, encrypted with CREDENTIALS_SECRET,
+// and copied into process.env, where the providers read them, so they win
+// over .env until cleared again. Without CREDENTIALS_SECRET none can be
+// saved.
+
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto';
+import { getSetting, setSetting } from './settings.js';
+import { clearTokens } from './ebayAuth.js';
+import { resetDiscogsRateLimit } from './discogs.js';
+
+const CREDENTIALS_KEY = 'providerCredentials';
+const CIPHER = 'aes-256-gcm';
+// Marks an encrypted value: 'enc:' then IV, auth tag and ciphertext in hex
+const ENCRYPTED_PREFIX = 'enc:';
+
+// Credential name -> environment variable
+const VARIABLES = {
+  discogsToken: 'DISCOGS_TOKEN',
+  ebayClientId: 'EBAY_CLIENT_ID',
+  ebayClientSecret: 'EBAY_CLIENT_SECRET'
+};
+
+// What .env set, to go back to when a saved credential is cleared
+const fromEnv = Object.fromEntries(Object.values(VARIABLES).map(variable => [variable, process.env[variable]]));
+
+// The encryption key, derived from CREDENTIALS_SECRET, or null without one
+function encryptionKey() {
+  const secret = process.env.CREDENTIALS_SECRET;
+  return secret ? scryptSync(secret, 'vinyl-search credentials', 32) : null;
+}
+
+function encrypt(value, key) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(CIPHER, key, iv);
+  const encrypted = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+  return `${ENCRYPTED_PREFIX}${[iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':')}`;
+}
+
+function decrypt(value, key) {
+  const [iv, tag, encrypted] = value.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = createDecipheriv(CIPHER, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+// Saved credentials, decrypted. One that can't be decrypted (no or another
+// CREDENTIALS_SECRET) is left out, so .env applies.
+function readSaved() {
+  const saved = getSetting(CREDENTIALS_KEY, {});
+  const key = encryptionKey();
+  const values = {};
+  for (const [name, value] of Object.entries(saved)) {
+    if (!value.startsWith(ENCRYPTED_PREFIX)) {
+      values[name] = value;
+      continue;
+    }
+    try {
+      if (!key) throw new Error('CREDENTIALS_SECRET not set');
+      values[name] = decrypt(value, key);
+    } catch (error) {
+      console.error(`Saved credential ${name} can't be decrypted (${error.message}); using .env instead`);
+    }
+  }
+  return values;
+}
+
+// Encrypt credentials saved before they were encrypted, given a key
+function encryptPlainCredentials() {
+  const saved = getSetting(CREDENTIALS_KEY, {});
+  const key = encryptionKey();
+  if (!key || Object.values(saved).every(value => value.startsWith(ENCRYPTED_PREFIX))) return;
+  setSetting(CREDENTIALS_KEY, Object.fromEntries(Object.entries(saved).map(([name, value]) =>
+    [name, value.startsWith(ENCRYPTED_PREFIX) ? value : encrypt(value, key)])));
+}
+
+function applyCredentials() {
+  const saved = readSaved();
+  for (const [name, variable] of Object.entries(VARIABLES)) {
+    const value = saved[name] || fromEnv[variable];
+    if (value) {
+      process.env[variable] = value;
+    } else {
+      delete process.env[variable];
+    }
+  }
+  // Discogs allows more requests with a token than without
+  resetDiscogsRateLimit();
+}
+
+// Whether each credential is set and where from ('saved', 'env' or null),
+// never the values themselves
+export function describeCredentials() {
+  const saved = readSaved();
+  return Object.fromEntries(Object.entries(VARIABLES).map(([name, variable]) => {
+    const source = saved[name] ? 'saved' : fromEnv[variable] ? 'env' : null;
+    return [name, { set: !!source, source }];
+  }));
+}
+
+// Save credentials ({ discogsToken, ebayClientId, ebayClientSecret }). Each is
+// optional: text to save it, or null to go back to .env. Throws if a value is
+// invalid, or one is given without a CREDENTIALS_SECRET to encrypt it with.
+export function setCredentials(changes) {
+  const saved = { ...getSetting(CREDENTIALS_KEY, {}) };
+  const key = encryptionKey();
+  for (const [name, value] of Object.entries(changes)) {
+    if (!VARIABLES[name]) throw new Error(`Unknown credential: ${name}`);
+    if (value === null) {
+      delete saved[name];
+    } else if (typeof value === 'string' && value.trim()) {
+      if (!key) throw new Error('Set CREDENTIALS_SECRET on the server to save credentials');
+      saved[name] = encrypt(value.trim(), key);
+    } else {
+      throw new Error(`${name} must be text, or null to use .env`);
+    }
+  }
+  setSetting(CREDENTIALS_KEY, saved);
+  encryptPlainCredentials();
+applyCredentials();
+  // Tokens fetched with the old eBay keys no longer apply
+  clearTokens();
+  return describeCredentials();
+}
+
+applyCredentials();
@@ -0,0 +1,164 @@
+// Money parsing and currency conversion
+// Prices are { amount, currency } objects. Exchange rates come from a
+// pluggable source (EXCHANGE_RATE_SOURCE) and fall back to a static table
+// when the source can't be reached, so conversion always works offline.
+
+import { fetchWithRetry } from './retry.js';
+
+export const BASE_CURRENCY = 'USD';
+
+// Approximate units per US dollar, used when no live rates are available
+const STATIC_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  CAD: 1.37,
+  AUD: 1.52,
+  NZD: 1.65,
+  JPY: 150,
+  CHF: 0.88,
+  SEK: 10.5,
+  NOK: 10.7,
+  DKK: 6.85,
+  PLN: 3.95,
+  CZK: 23,
+  HUF: 360,
+  MXN: 18.5,
+  BRL: 5.4,
+  ZAR: 18.5
+};
+
+// Longest symbols first so "C$" isn't read as "$"
+const SYMBOLS = [
+  ['US$', 'USD'],
+  ['CA$', 'CAD'],
+  ['AU$', 'AUD'],
+  ['C$', 'CAD'],
+  ['A$', 'AUD'],
+  ['£', 'GBP'],
+  ['€', 'EUR'],
+  ['¥', 'JPY'],
+  ['$', 'USD']
+];
+
+// How long fetched rates are used before asking the source again
+const RATES_TTL = 12 * 60 * 60 * 1000;
+
+const rateSources = new Map();
+
+let cachedRates = {
+  base: BASE_CURRENCY,
+  rates: STATIC_RATES,
+  source: 'static',
+  fetchedAt: null
+};
+
+// A rate source resolves with { base, rates } where rates maps currency
+// codes to units per base currency
+export function registerRateSource(name, fetchRates) {
+  rateSources.set(name, fetchRates);
+}
+
+registerRateSource('static', async () => ({ base: BASE_CURRENCY, rates: STATIC_RATES }));
+
+// Any JSON API answering { base | base_code, rates }, e.g. frankfurter.app
+registerRateSource('http', async () => {
+  const url = process.env.EXCHANGE_RATE_URL || `https://api.frankfurter.app/latest?from=${BASE_CURRENCY}`;
+  // Timed out and retried like provider requests, so a hung endpoint can't
+  // hold up price conversion
+  const response = await fetchWithRetry(url, { label: 'Exchange rates', retries: 1 });
+  const data = await response.json();
+  return { base: data.base || data.base_code, rates: data.rates };
+});
+
+// Re-express rates against the base currency
+function rebase({ base, rates }) {
+  const baseRate = base === BASE_CURRENCY ? 1 : rates[BASE_CURRENCY];
+  if (!baseRate) {
+    throw new Error(`Rates from ${base} don't include ${BASE_CURRENCY}`);
+  }
+  const rebased = { [base]: 1 / baseRate };
+  for (const [code, rate] of Object.entries(rates)) {
+    rebased[code] = rate / baseRate;
+  }
+  rebased[BASE_CURRENCY] = 1;
+  return rebased;
+}
+
+// Fetch fresh rates from the configured source if the cached ones are stale.
+// Currencies the source doesn't cover keep their static rate.
+export async function loadRates({ force = false } = {}) {
+  const stale = !cachedRates.fetchedAt || Date.now() - Date.parse(cachedRates.fetchedAt) > RATES_TTL;
+  if (!force && !stale) return cachedRates;
+
+  const name = process.env.EXCHANGE_RATE_SOURCE || 'http';
+  const source = rateSources.get(name);
+  if (!source) {
+    console.warn(`Unknown exchange rate source "${name}", using static rates`);
+    return cachedRates;
+  }
+
+  try {
+    const rates = rebase(await source());
+    cachedRates = {
+      base: BASE_CURRENCY,
+      rates: { ...STATIC_RATES, ...rates },
+      source: name,
+      fetchedAt: new Date().toISOString()
+    };
+  } catch (error) {
+    console.warn(`Exchange rates unavailable from ${name} (${error.message}), using static rates`);
+    cachedRates = { ...cachedRates, fetchedAt: new Date().toISOString() };
+  }
+  return cachedRates;
+}
+
+// Latest known rates, without waiting on the network
+export function getRates() {
+  return cachedRates;
+}
+
+// Read a price out of text like "12.99 EUR", "From $12" or "£8.50"
+export function parseMoney(text, defaultCurrency = null) {
+  if (typeof text !== 'string') return null;
+
+  // "1,234.56" uses thousands separators; "12,99" uses a decimal comma
+  const normalized = text.replace(/(\d),(\d{3})(?!\d)/g, '$1$2').replace(/(\d),(\d{1,2})(?!\d)/g, '$1.$2');
+  const amount = normalized.match(/\d+(\.\d+)?/);
+  if (!amount) return null;
+
+  const code = text.match(/\b([A-Z]{3})\b/);
+  let currency = code ? code[1] : null;
+  if (!currency) {
+    currency = SYMBOLS.find(([symbol]) => text.includes(symbol))?.[1] || defaultCurrency;
+  }
+
+  return { amount: parseFloat(amount[0]), currency };
+}
+
+// Accept a { amount, currency } object, a legacy price string or nothing
+export function normalizeMoney(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'object') {
+    const amount = Number(value.amount);
+    return Number.isFinite(amount) ? { amount, currency: value.currency || null } : null;
+  }
+  if (typeof value === 'number') {
+    return { amount: value, currency: null };
+  }
+  return parseMoney(value);
+}
+
+// Convert money into another currency, or null when either rate is unknown.
+// Amounts without a currency are taken to be in the base currency.
+export function convert(money, toCurrency, rates = cachedRates.rates) {
+  if (!money) return null;
+  const from = money.currency || BASE_CURRENCY;
+  if (from === toCurrency) return { amount: money.amount, currency: toCurrency };
+
+  const fromRate = rates[from];
+  const toRate = rates[toCurrency];
+  if (!fromRate || !toRate) return null;
+
+  return { amount: Math.round((money.amount / fromRate) * toRate * 100) / 100, currency: toCurrency };
+}
@@ -0,0 +1,320 @@
+// Embedded SQLite database under data/ (or DATA_DIR)
+
+import Database from 'better-sqlite3';
+import { existsSync, mkdirSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { parseMoney, convert, BASE_CURRENCY } from './currency.js';
+import { withStructuredPrices, resultInSchema, groupByAlbum } from './migrationHelpers.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+// Data directory for the database and other persisted state (DATA_DIR to
+// keep it elsewhere, e.g. a temporary directory for tests)
+export const DATA_DIR = process.env.DATA_DIR || join(__dirname, '..', 'data');
+const DB_FILE = join(DATA_DIR, 'vinyl-search.db');
+
+if (!existsSync(DATA_DIR)) {
+  mkdirSync(DATA_DIR, { recursive: true });
+}
+
+// Schema changes, applied in order. The database's user_version records how
+// many have run, so only add to the end of this list. A change is either SQL
+// or a function for data that SQL alone can't convert. Functions convert
+// results with the frozen copies in migrationHelpers.js, never the app's
+// current helpers.
+export const MIGRATIONS = [
+  `
+  CREATE TABLE artists (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    name_key TEXT NOT NULL UNIQUE,
+    position INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    last_searched_at TEXT
+  );
+
+  CREATE TABLE search_runs (
+    id INTEGER PRIMARY KEY,
+    job_id TEXT,
+    mode TEXT NOT NULL,
+    status TEXT NOT NULL,
+    started_at TEXT NOT NULL,
+    finished_at TEXT
+  );
+
+  CREATE TABLE releases (
+    id INTEGER PRIMARY KEY,
+    source TEXT NOT NULL,
+    external_id TEXT NOT NULL,
+    artist_id INTEGER REFERENCES artists(id) ON DELETE CASCADE,
+    title TEXT,
+    year TEXT,
+    UNIQUE (source, external_id)
+  );
+
+  CREATE TABLE listings (
+    id INTEGER PRIMARY KEY,
+    artist_id INTEGER NOT NULL REFERENCES artists(id) ON DELETE CASCADE,
+    release_id INTEGER REFERENCES releases(id) ON DELETE SET NULL,
+    search_run_id INTEGER REFERENCES search_runs(id) ON DELETE SET NULL,
+    position INTEGER NOT NULL,
+    source TEXT NOT NULL,
+    artist TEXT,
+    album TEXT,
+    price_value REAL,
+    total_value REAL,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE INDEX listings_artist ON listings(artist_id, position);
+  CREATE INDEX listings_source ON listings(source);
+  CREATE INDEX listings_created ON listings(created_at);
+  `,
+  `
+  CREATE TABLE price_snapshots (
+    id INTEGER PRIMARY KEY,
+    item_key TEXT NOT NULL,
+    artist_id INTEGER REFERENCES artists(id) ON DELETE SET NULL,
+    search_run_id INTEGER REFERENCES search_runs(id) ON DELETE SET NULL,
+    source TEXT NOT NULL,
+    album TEXT,
+    price TEXT,
+    price_value REAL,
+    taken_at TEXT NOT NULL
+  );
+
+  CREATE INDEX price_snapshots_item ON price_snapshots(item_key, taken_at);
+
+  ALTER TABLE listings ADD COLUMN price_trend TEXT;
+  `,
+  `
+  CREATE TABLE settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  ALTER TABLE search_runs ADD COLUMN trigger TEXT NOT NULL DEFAULT 'manual';
+  `,
+  `
+  CREATE TABLE alerts (
+    id INTEGER PRIMARY KEY,
+    artist TEXT NOT NULL,
+    album TEXT,
+    max_total REAL NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE alert_notifications (
+    id INTEGER PRIMARY KEY,
+    alert_id INTEGER NOT NULL REFERENCES alerts(id) ON DELETE CASCADE,
+    item_key TEXT NOT NULL,
+    total REAL,
+    data TEXT NOT NULL,
+    notified_at TEXT NOT NULL,
+    UNIQUE (alert_id, item_key)
+  );
+  `,
+  // Structured { amount, currency } prices. Listing price and total columns
+  // move to the base currency so they can be filtered across sources, and
+  // snapshots keep their amount and currency instead of a display string.
+  (db) => {
+    db.exec(`
+      ALTER TABLE price_snapshots ADD COLUMN currency TEXT;
+      ALTER TABLE alerts ADD COLUMN currency TEXT NOT NULL DEFAULT '${BASE_CURRENCY}';
+    `);
+
+    const updateSnapshot = db.prepare('UPDATE price_snapshots SET price_value = ?, currency = ? WHERE id = ?');
+    for (const row of db.prepare('SELECT id, price FROM price_snapshots').all()) {
+      const money = parseMoney(row.price);
+      updateSnapshot.run(money?.amount ?? null, money?.currency ?? null, row.id);
+    }
+    db.exec('ALTER TABLE price_snapshots DROP COLUMN price');
+
+    const updateListing = db.prepare('UPDATE listings SET price_value = ?, total_value = ?, data = ? WHERE id = ?');
+    for (const row of db.prepare('SELECT id, data FROM listings').all()) {
+      const result = withStructuredPrices(JSON.parse(row.data));
+      updateListing.run(
+        convert(result.price, BASE_CURRENCY)?.amount ?? null,
+        convert(result.total, BASE_CURRENCY)?.amount ?? null,
+        JSON.stringify(result),
+        row.id
+      );
+    }
+  },
+  // Stored results in the versioned result schema (see schema.js)
+  (db) => {
+    const update = db.prepare('UPDATE listings SET data = ? WHERE id = ?');
+    for (const row of db.prepare('SELECT id, data FROM listings').all()) {
+      update.run(JSON.stringify(resultInSchema(JSON.parse(row.data), 2)), row.id);
+    }
+  },
+  `
+  ALTER TABLE artists ADD COLUMN discogs_id INTEGER;
+  ALTER TABLE artists ADD COLUMN discogs_name TEXT;
+  `,
+  // Album groups (schema version 3), worked out per artist
+  (db) => {
+    const update = db.prepare('UPDATE listings SET data = ? WHERE id = ?');
+    for (const artistId of db.prepare('SELECT id FROM artists').pluck().all()) {
+      const rows = db.prepare('SELECT id, data FROM listings WHERE artist_id = ? ORDER BY position').all(artistId);
+      const results = groupByAlbum(rows.map(row => resultInSchema(JSON.parse(row.data), 3)));
+      rows.forEach((row, index) => update.run(JSON.stringify(results[index]), row.id));
+    }
+  },
+  `
+  CREATE TABLE http_cache (
+    key TEXT PRIMARY KEY,
+    provider TEXT NOT NULL,
+    body TEXT NOT NULL,
+    fetched_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+
+  CREATE INDEX http_cache_provider ON http_cache(provider, expires_at);
+  `,
+  // Sale type, marketplace and auction details (schema version 4)
+  (db) => {
+    const update = db.prepare('UPDATE listings SET data = ? WHERE id = ?');
+    for (const row of db.prepare('SELECT id, data FROM listings').all()) {
+      update.run(JSON.stringify(resultInSchema(JSON.parse(row.data), 4)), row.id);
+    }
+  },
+  // Album-level wants (see wants.js): entries for one record of an artist
+  `
+  ALTER TABLE artists ADD COLUMN want_artist TEXT;
+  ALTER TABLE artists ADD COLUMN want_album TEXT;
+  ALTER TABLE artists ADD COLUMN want_catno TEXT;
+  ALTER TABLE artists ADD COLUMN want_release_id INTEGER;
+  `,
+  // Notes and tags on saved artists, tags as a JSON array
+  `
+  ALTER TABLE artists ADD COLUMN notes TEXT;
+  ALTER TABLE artists ADD COLUMN tags TEXT NOT NULL DEFAULT '[]';
+  `,
+  // Named watchlists, each with its own artists. Names are unique within a
+  // list, which SQLite can only change by rebuilding the artists table. What
+  // was saved so far becomes the Main list.
+  `
+  CREATE TABLE watchlists (
+    id INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    name_key TEXT NOT NULL UNIQUE,
+    created_at TEXT NOT NULL
+  );
+
+  INSERT INTO watchlists (id, name, name_key, created_at)
+  VALUES (1, 'Main', 'main', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+  CREATE TABLE artists_new (
+    id INTEGER PRIMARY KEY,
+    watchlist_id INTEGER NOT NULL REFERENCES watchlists(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    name_key TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    created_at TEXT NOT NULL,
+    last_searched_at TEXT,
+    discogs_id INTEGER,
+    discogs_name TEXT,
+    want_artist TEXT,
+    want_album TEXT,
+    want_catno TEXT,
+    want_release_id INTEGER,
+    notes TEXT,
+    tags TEXT NOT NULL DEFAULT '[]',
+    UNIQUE (watchlist_id, name_key)
+  );
+
+  INSERT INTO artists_new (id, watchlist_id, name, name_key, position, created_at, last_searched_at,
+    discogs_id, discogs_name, want_artist, want_album, want_catno, want_release_id, notes, tags)
+  SELECT id, 1, name, name_key, position, created_at, last_searched_at,
+    discogs_id, discogs_name, want_artist, want_album, want_catno, want_release_id, notes, tags
+  FROM artists;
+
+  DROP TABLE artists;
+  ALTER TABLE artists_new RENAME TO artists;
+
+  ALTER TABLE search_runs ADD COLUMN watchlist_id INTEGER REFERENCES watchlists(id) ON DELETE SET NULL;
+  UPDATE search_runs SET watchlist_id = 1;
+  `,
+  // User accounts with login sessions. Watchlists and alerts belong to a
+  // user, so watchlist names become unique per user. Everything saved so far
+  // has no owner until the first admin account is set up (see users.js).
+  `
+  CREATE TABLE users (
+    id INTEGER PRIMARY KEY,
+    username TEXT NOT NULL,
+    username_key TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    current_watchlist_id INTEGER REFERENCES watchlists(id) ON DELETE SET NULL
+  );
+
+  CREATE TABLE sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+
+  CREATE INDEX sessions_user ON sessions(user_id);
+
+  CREATE TABLE watchlists_new (
+    id INTEGER PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    name_key TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    UNIQUE (user_id, name_key)
+  );
+
+  INSERT INTO watchlists_new (id, user_id, name, name_key, created_at)
+  SELECT id, NULL, name, name_key, created_at FROM watchlists;
+
+  DROP TABLE watchlists;
+  ALTER TABLE watchlists_new RENAME TO watchlists;
+
+  ALTER TABLE alerts ADD COLUMN user_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+
+  DELETE FROM settings WHERE key = 'currentWatchlist';
+  `,
+  // Price snapshots belong to a watchlist, so price trends and history stay
+  // within one user's list
+  `
+  ALTER TABLE price_snapshots ADD COLUMN watchlist_id INTEGER REFERENCES watchlists(id) ON DELETE CASCADE;
+  UPDATE price_snapshots SET watchlist_id = (SELECT watchlist_id FROM artists WHERE artists.id = price_snapshots.artist_id);
+
+  CREATE INDEX price_snapshots_watchlist_item ON price_snapshots(watchlist_id, item_key, taken_at);
+  `
+];
+
+export const db = new Database(DB_FILE);
+db.pragma('journal_mode = WAL');
+
+// Foreign keys are off while migrating so a table can be rebuilt without
+// its rows' references being deleted with it, and checked before each
+// migration commits.
+function migrate() {
+  const version = db.pragma('user_version', { simple: true });
+  db.pragma('foreign_keys = OFF');
+  for (let i = version; i < MIGRATIONS.length; i++) {
+    db.transaction(() => {
+      const migration = MIGRATIONS[i];
+      if (typeof migration === 'function') {
+        migration(db);
+      } else {
+        db.exec(migration);
+      }
+      const broken = db.pragma('foreign_key_check');
+      if (broken.length > 0) {
+        throw new Error(`Migration ${i + 1} broke ${broken.length} foreign key references`);
+      }
+      db.pragma(`user_version = ${i + 1}`);
+    })();
+  }
+  db.pragma('foreign_keys = ON');
+}
+
+migrate();
@@ -1,162 +1,462 @@
 // Discogs API client for searching vinyl marketplace listings
 
-const DISCOGS_API_BASE = 'https://api.discogs.com';
-const USER_AGENT = 'VinylSearchApp/1.0';
+import { registerProvider } from './providers.js';
+import { configureRateLimit, acquire, updateRateLimit } from './rateLimiter.js';
+import { createResult } from './schema.js';
+import { cachedRequest } from './httpCache.js';
+import { parseSearchOptions } from './searchOptions.js';
+import { fetchWithRetry } from './retry.js';
 
-// Rate limiting: track last request time
-let lastRequestTime = 0;
-const MIN_REQUEST_INTERVAL = 1100; // Slightly over 1 second between requests
+// Overridable to point at a mock server (see mock/server.js)
+const DISCOGS_API_BASE = process.env.DISCOGS_API_BASE || 'https://api.discogs.com';
+const DISCOGS_WEB_BASE = process.env.DISCOGS_WEB_BASE || 'https://www.discogs.com';
+const USER_AGENT = 'VinylSearchApp/1.0';
 
-async function rateLimitedFetch(url, options = {}) {
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
+// Discogs allows 60 requests a minute with a token (25 without). Keep bursts
+// small; the X-Discogs-Ratelimit headers on each response correct the budget.
+function requestsPerMinute() {
+  return process.env.DISCOGS_TOKEN ? 60 : 25;
+}
 
-  if (timeSinceLastRequest < MIN_REQUEST_INTERVAL) {
-    await new Promise(resolve =>
-      setTimeout(resolve, MIN_REQUEST_INTERVAL - timeSinceLastRequest)
-    );
-  }
+configureRateLimit('discogs', { capacity: 5, refillPerSecond: requestsPerMinute() / 60 });
 
-  lastRequestTime = Date.now();
+// Go by the current DISCOGS_TOKEN again, after it was set or cleared
+export function resetDiscogsRateLimit() {
+  updateRateLimit('discogs', { limit: requestsPerMinute() });
+}
 
+// Returns parsed JSON. Failed requests are retried (see retry.js); a 429
+// also drains the bucket so other searches back off with this one.
+async function rateLimitedFetch(url, fetchOptions = {}) {
   const headers = {
     'User-Agent': USER_AGENT,
-    ...options.headers
+    ...fetchOptions.headers
   };
 
-  // Add token if available
-  if (process.env.DISCOGS_TOKEN) {
+  // Add token if available (API calls only)
+  if (process.env.DISCOGS_TOKEN && url.startsWith(DISCOGS_API_BASE)) {
     headers['Authorization'] = `Discogs token=${process.env.DISCOGS_TOKEN}`;
   }
 
-  const response = await fetch(url, { ...options, headers });
-
-  if (!response.ok) {
-    if (response.status === 429) {
-      // Rate limited - wait and retry
-      console.log('Rate limited by Discogs, waiting 60s...');
-      await new Promise(resolve => setTimeout(resolve, 60000));
-      return rateLimitedFetch(url, options);
+  const response = await fetchWithRetry(url, {
+    ...fetchOptions,
+    headers,
+    label: 'Discogs',
+    beforeAttempt: () => acquire('discogs'),
+    onResponse: (response) => {
+      const limit = parseInt(response.headers.get('X-Discogs-Ratelimit'));
+      const remaining = parseInt(response.headers.get('X-Discogs-Ratelimit-Remaining'));
+      updateRateLimit('discogs', { limit, remaining: response.status === 429 ? 0 : remaining });
     }
-    throw new Error(`Discogs API error: ${response.status} ${response.statusText}`);
-  }
+  });
 
   return response.json();
 }
 
-export async function searchDiscogs(artist) {
+// How long each kind of response is reused (see httpCache.js). Release
+// details hardly ever change; marketplace data changes by the minute.
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const CACHE_TTL = {
+  release: 30 * DAY,
+  artistReleases: DAY,
+  search: DAY,
+  userList: 60 * MINUTE,
+  marketplace: 15 * MINUTE
+};
+
+// rateLimitedFetch through the response cache
+function cachedFetch(url, ttl) {
+  return cachedRequest({ provider: 'discogs', key: url, ttl }, () => rateLimitedFetch(url));
+}
+
+// A result for one marketplace listing, priced in the listing currency
+// release is { id, artist, title, year }
+function formatListing(listing, release) {
+  const price = listing.price;
+  const shipping = listing.shipping_price;
+
+  return createResult({
+    kind: 'listing',
+    artist: release.artist,
+    album: release.title,
+    price: price ? { amount: price.value, currency: price.currency } : null,
+    priceNote: price ? null : 'See listing',
+    shipping: shipping ? { amount: shipping.value, currency: shipping.currency } : null,
+    link: listing.uri || `${DISCOGS_WEB_BASE}/sell/item/${listing.id}`,
+    source: 'Discogs',
+    saleType: 'fixed-price',
+    condition: listing.condition || 'Not graded',
+    sleeveCondition: listing.sleeve_condition,
+    seller: listing.seller?.username,
+    sellerRating: listing.seller?.stats?.rating,
+    country: listing.ships_from,
+    year: release.year,
+    releaseId: release.id,
+    listingId: listing.id
+  });
+}
+
+// One marketplace listing with its grades, seller and ships-from, looked up
+// when someone asks for it. Searches only price releases (see searchDiscogs):
+// the API can't list a release's items, and a call per listing would use up
+// the rate limit. Resolves with { status, result }, status being e.g.
+// 'For Sale' or 'Sold'.
+export async function fetchDiscogsListing(listingId) {
+  let listing;
   try {
-    // Check if we have a token - Discogs API now requires authentication for search
-    if (!process.env.DISCOGS_TOKEN) {
-      console.log('No DISCOGS_TOKEN set - returning direct marketplace link');
-      return [{
-        artist: artist,
-        album: 'Browse Vinyl on Discogs',
-        price: 'Various',
-        link: `https://www.discogs.com/search/?q=${encodeURIComponent(artist)}&type=release&format_exact=Vinyl`,
-        source: 'Discogs',
-        condition: 'Various',
-        country: 'Various',
-        year: '',
-        isSearch: true
-      }];
-    }
+    listing = await cachedFetch(`${DISCOGS_API_BASE}/marketplace/listings/${listingId}`, CACHE_TTL.marketplace);
+  } catch (error) {
+    if (error.status !== 404) throw error;
+    const notFound = new Error(`Discogs listing ${listingId} not found`);
+    notFound.status = 404;
+    throw notFound;
+  }
 
-    // Search for releases by this artist
+  const { release = {} } = listing;
+  const { artist, title } = release.artist && release.title
+    ? { artist: withoutNumbering(release.artist), title: release.title }
+    : splitTitle(release.description || '', '');
+  return {
+    status: listing.status,
+    result: formatListing(listing, { id: release.id, artist, title, year: release.year })
+  };
+}
+
+// Discogs numbers artists who share a name: "Samia (2)"
+function withoutNumbering(name) {
+  return name.replace(/\s+\(\d+\)$/, '');
+}
+
+// Split a search result title ("Artist - Album") into its parts
+export function splitTitle(title, fallbackArtist) {
+  if (!title.includes(' - ')) return { artist: fallbackArtist, title };
+  const parts = title.split(' - ');
+  return { artist: withoutNumbering(parts[0]), title: parts.slice(1).join(' - ') };
+}
+
+// Result pages fetched per artist at most, however few releases pass the filters
+const MAX_PAGES = 10;
+
+// Format names and descriptions of a release ("Vinyl", "LP", "Box Set"...)
+function releaseFormats(releaseData) {
+  return (releaseData.formats || []).flatMap(format => [format.name, ...(format.descriptions || [])]);
+}
+
+// Whether a release fits the search options. Details a source doesn't
+// give (undefined) aren't checked, so this works on partial listings too.
+function matchesOptions({ year, formats, country, labels }, options) {
+  const yearNumber = parseInt(year);
+  if (yearNumber && options.yearFrom && yearNumber < options.yearFrom) return false;
+  if (yearNumber && options.yearTo && yearNumber > options.yearTo) return false;
+  if (formats && options.formats.length > 0 && !options.formats.some(format => formats.includes(format))) {
+    return false;
+  }
+  if (country !== undefined && options.country && (country || '').toLowerCase() !== options.country.toLowerCase()) {
+    return false;
+  }
+  if (labels && options.label) {
+    const label = options.label.toLowerCase();
+    if (!labels.some(name => name.toLowerCase().includes(label))) return false;
+  }
+  return true;
+}
+
+// Vinyl releases matching a free-text artist name, and for an album-level
+// want its album title and catalog number, paging through the search until
+// there are enough that fit the options
+async function searchReleases(artist, options, { album, catno } = {}) {
+  const perPage = Math.min(100, Math.max(15, options.depth * 2));
+  const releases = [];
+
+  for (let page = 1; page <= MAX_PAGES; page++) {
     const searchUrl = new URL(`${DISCOGS_API_BASE}/database/search`);
     searchUrl.searchParams.set('artist', artist);
+    if (album) searchUrl.searchParams.set('release_title', album);
+    if (catno) searchUrl.searchParams.set('catno', catno);
     searchUrl.searchParams.set('format', 'Vinyl');
     searchUrl.searchParams.set('type', 'release');
-    searchUrl.searchParams.set('per_page', 15);
+    searchUrl.searchParams.set('per_page', perPage);
+    searchUrl.searchParams.set('page', page);
+    if (options.country) searchUrl.searchParams.set('country', options.country);
+    if (options.label) searchUrl.searchParams.set('label', options.label);
+    if (options.yearFrom && options.yearFrom === options.yearTo) {
+      searchUrl.searchParams.set('year', options.yearFrom);
+    }
 
-    console.log(`Searching Discogs for: ${artist}`);
-    const searchData = await rateLimitedFetch(searchUrl.toString());
+    const searchData = await cachedFetch(searchUrl.toString(), CACHE_TTL.search);
+    for (const release of searchData.results || []) {
+      if (!matchesOptions({ year: release.year, formats: release.format, labels: release.label }, options)) continue;
+      releases.push({
+        id: release.id,
+        ...splitTitle(release.title, artist),
+        year: release.year,
+        uri: release.uri,
+        masterId: release.master_id
+      });
+    }
+
+    if (releases.length >= options.depth || page >= (searchData.pagination?.pages || 1)) break;
+  }
+  return releases;
+}
+
+// Releases credited to one Discogs artist, newest first. Masters stand in for
+// their main release, which may not be on vinyl, so those are checked later.
+async function fetchArtistReleases(artistId, options) {
+  const releases = [];
+
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const releasesUrl = new URL(`${DISCOGS_API_BASE}/artists/${artistId}/releases`);
+    releasesUrl.searchParams.set('sort', 'year');
+    releasesUrl.searchParams.set('sort_order', 'desc');
+    releasesUrl.searchParams.set('per_page', 100);
+    releasesUrl.searchParams.set('page', page);
 
-    if (!searchData.results || searchData.results.length === 0) {
-      console.log(`No Discogs results for: ${artist}`);
-      return [];
+    const data = await cachedFetch(releasesUrl.toString(), CACHE_TTL.artistReleases);
+    for (const release of data.releases || []) {
+      if (release.role !== 'Main') continue;
+
+      const isMaster = release.type === 'master';
+      const formats = isMaster ? undefined : (release.format || '').split(',').map(format => format.trim());
+      if (!isMaster && !formats.includes('Vinyl')) continue;
+
+      const labels = isMaster || !release.label ? undefined : [release.label];
+      if (!matchesOptions({ year: release.year, formats, labels }, options)) continue;
+
+      releases.push({
+        id: isMaster ? release.main_release : release.id,
+        artist: withoutNumbering(release.artist),
+        title: release.title,
+        year: release.year,
+        masterId: isMaster ? release.id : null
+      });
     }
 
-    console.log(`Found ${searchData.results.length} releases for ${artist}`);
-
-    const results = [];
-
-    // Process each release to get marketplace listings
-    for (const release of searchData.results.slice(0, 8)) {
-      try {
-        // Parse artist and album from title (format: "Artist - Album")
-        let albumArtist = artist;
-        let albumTitle = release.title;
-
-        if (release.title.includes(' - ')) {
-          const parts = release.title.split(' - ');
-          albumArtist = parts[0];
-          albumTitle = parts.slice(1).join(' - ');
-        }
-
-        // Get the release details to find marketplace listings
-        const releaseUrl = `${DISCOGS_API_BASE}/releases/${release.id}`;
-        const releaseData = await rateLimitedFetch(releaseUrl);
-
-        // Check if there are items for sale
-        const numForSale = releaseData.num_for_sale || 0;
-        const lowestPrice = releaseData.lowest_price;
-
-        if (numForSale > 0) {
-          // Discogs API doesn't provide a public endpoint to list marketplace items
-          // Link directly to the marketplace page for this release
-          results.push({
-            artist: albumArtist,
-            album: albumTitle,
-            price: lowestPrice ? `From $${lowestPrice}` : `${numForSale} for sale`,
-            shipping: null, // Not available via API
-            link: `https://www.discogs.com/sell/release/${release.id}`,
-            source: 'Discogs',
-            condition: 'Various',
-            country: 'Various',
-            year: releaseData.year || ''
-          });
-        } else {
-          // No current listings - link to the release page
-          results.push({
-            artist: albumArtist,
-            album: albumTitle,
-            price: 'No listings',
-            link: `https://www.discogs.com${release.uri || `/release/${release.id}`}`,
-            source: 'Discogs',
-            condition: 'N/A',
-            country: 'N/A',
-            year: releaseData.year || ''
-          });
-        }
-      } catch (releaseError) {
-        console.error(`Error fetching release ${release.id}:`, releaseError.message);
-        // Still add basic info from search result
-        let albumArtist = artist;
-        let albumTitle = release.title;
-
-        if (release.title.includes(' - ')) {
-          const parts = release.title.split(' - ');
-          albumArtist = parts[0];
-          albumTitle = parts.slice(1).join(' - ');
-        }
-
-        results.push({
+    if (releases.length >= options.depth || page >= (data.pagination?.pages || 1)) break;
+  }
+  return releases;
+}
+
+// Discogs artists whose name matches, for picking the right one when several
+// share a name
+// An artist's page on the Discogs website
+export function discogsArtistUrl(id) {
+  return `${DISCOGS_WEB_BASE}/artist/${id}`;
+}
+
+export async function findDiscogsArtists(name) {
+  if (!process.env.DISCOGS_TOKEN) {
+    throw new Error('DISCOGS_TOKEN is required to look up artists');
+  }
+
+  const searchUrl = new URL(`${DISCOGS_API_BASE}/database/search`);
+  searchUrl.searchParams.set('q', name);
+  searchUrl.searchParams.set('type', 'artist');
+  searchUrl.searchParams.set('per_page', 10);
+
+  const data = await cachedFetch(searchUrl.toString(), CACHE_TTL.search);
+  return (data.results || []).map(artist => ({
+    id: artist.id,
+    name: artist.title,
+    thumb: artist.thumb || null,
+    link: artist.uri ? `${DISCOGS_WEB_BASE}${artist.uri}` : discogsArtistUrl(artist.id)
+  }));
+}
+
+// A user's collection (every folder) and wantlist, and the key their
+// entries are under in each page
+const USER_LISTS = {
+  collection: { path: 'collection/folders/0/releases', key: 'releases' },
+  wantlist: { path: 'wants', key: 'wants' }
+};
+
+// Pages of a user's list read at most (100 releases each)
+const USER_LIST_MAX_PAGES = 50;
+
+// Artist names on a Discogs user's collection or wantlist, once for every
+// release they're credited on, so they can be weighted by it. Lists the user
+// hasn't made public need that user's DISCOGS_TOKEN.
+export async function fetchUserListArtists(username, list) {
+  const userList = USER_LISTS[list];
+  if (!userList) {
+    throw new Error(`List must be one of ${Object.keys(USER_LISTS).join(', ')}`);
+  }
+
+  const names = [];
+  for (let page = 1; page <= USER_LIST_MAX_PAGES; page++) {
+    const listUrl = new URL(`${DISCOGS_API_BASE}/users/${encodeURIComponent(username)}/${userList.path}`);
+    listUrl.searchParams.set('per_page', 100);
+    listUrl.searchParams.set('page', page);
+
+    let data;
+    try {
+      data = await cachedFetch(listUrl.toString(), CACHE_TTL.userList);
+    } catch (error) {
+      if (error.status === 404) throw new Error(`Discogs user ${username} not found`);
+      if (error.status === 401 || error.status === 403) {
+        throw new Error(`The Discogs ${list} of ${username} is private`);
+      }
+      throw error;
+    }
+
+    for (const entry of data[userList.key] || []) {
+      for (const artist of entry.basic_information?.artists || []) {
+        if (artist.name && artist.name !== 'Various') names.push(withoutNumbering(artist.name));
+      }
+    }
+    if (page >= (data.pagination?.pages || 1)) break;
+  }
+  return names;
+}
+
+// Search one artist. With a pinned Discogs artist (details.discogsId) only
+// that artist's releases are searched; otherwise the name is matched as text.
+// An album-level want (details.album) narrows the search to that title and
+// catalog number, or with details.releaseId to exactly that release, whatever
+// its format and the options.
+// options are the search options (see searchOptions.js). Throws when Discogs
+// can't be searched, so the failure is reported rather than looking like an
+// artist without records.
+export async function searchDiscogs(artist, details = {}, options = parseSearchOptions()) {
+  // Check if we have a token - Discogs API now requires authentication for search
+  if (!process.env.DISCOGS_TOKEN) {
+    console.log('No DISCOGS_TOKEN set - returning direct marketplace link');
+    const query = details.album ? `${artist} ${details.album}` : artist;
+    return [createResult({
+      kind: 'search',
+      artist: artist,
+      album: 'Browse Vinyl on Discogs',
+      priceNote: 'Various',
+      link: `${DISCOGS_WEB_BASE}/search/?q=${encodeURIComponent(query)}&type=release&format_exact=Vinyl`,
+      source: 'Discogs',
+      condition: 'Various'
+    })];
+  }
+
+  let releases;
+  if (details.releaseId) {
+    console.log(`Searching Discogs for: ${artist} – ${details.album} (release ${details.releaseId})`);
+    releases = [{ id: details.releaseId, artist, title: details.album }];
+  } else if (details.album) {
+    console.log(`Searching Discogs for: ${artist} – ${details.album}`);
+    releases = await searchReleases(details.discogsName || artist, options, details);
+  } else if (details.discogsId) {
+    console.log(`Searching Discogs for: ${artist} (artist ${details.discogsId})`);
+    releases = await fetchArtistReleases(details.discogsId, options);
+  } else {
+    console.log(`Searching Discogs for: ${artist}`);
+    releases = await searchReleases(artist, options);
+  }
+
+  if (releases.length === 0) {
+    console.log(`No Discogs results for: ${artist}`);
+    return [];
+  }
+
+  console.log(`Found ${releases.length} releases for ${artist}`);
+
+  const results = [];
+
+  // Price each release from its marketplace stats, until depth of them turn
+  // out to fit the options. That's two calls a release at most, and release
+  // details are cached.
+  let processed = 0;
+  let lastError = null;
+  let failures = 0;
+  for (const release of releases) {
+    if (processed >= options.depth) break;
+    const albumArtist = release.artist;
+    const albumTitle = release.title;
+
+    try {
+      // Release details for the format and filter checks
+      const releaseUrl = `${DISCOGS_API_BASE}/releases/${release.id}`;
+      const releaseData = await cachedFetch(releaseUrl, CACHE_TTL.release);
+
+      // Lists only give some details; check the rest now they're known
+      const formats = releaseFormats(releaseData);
+      const fits = details.releaseId || formats.includes('Vinyl') && matchesOptions({
+        year: releaseData.year,
+        formats,
+        country: releaseData.country || null,
+        labels: (releaseData.labels || []).map(label => label.name)
+      }, options);
+      if (!fits) continue;
+      processed++;
+
+      const masterId = releaseData.master_id || release.masterId;
+
+      // Check if there are items for sale. Release details are cached for
+      // weeks, so the current numbers come from the marketplace stats.
+      const statsUrl = new URL(`${DISCOGS_API_BASE}/marketplace/stats/${release.id}`);
+      statsUrl.searchParams.set('curr_abbr', 'USD');
+      const stats = await cachedFetch(statsUrl.toString(), CACHE_TTL.marketplace);
+      const numForSale = stats.num_for_sale || 0;
+      const lowestPrice = stats.lowest_price;
+
+      if (numForSale > 0) {
+        // Priced at the lowest listing; the marketplace page has them all
+        results.push(createResult({
+          kind: 'release',
           artist: albumArtist,
           album: albumTitle,
-          price: 'See listings',
-          link: `https://www.discogs.com/sell/release/${release.id}`,
+          price: lowestPrice ? { amount: lowestPrice.value, currency: lowestPrice.currency } : null,
+          priceNote: lowestPrice ? 'lowest price' : `${numForSale} for sale`,
+          link: `${DISCOGS_WEB_BASE}/sell/release/${release.id}`,
           source: 'Discogs',
           condition: 'Various',
-          country: 'Various',
-          year: release.year || ''
-        });
+          year: releaseData.year,
+          releaseId: release.id,
+          masterId
+        }));
+      } else {
+        // No current listings - link to the release page
+        results.push(createResult({
+          kind: 'release',
+          artist: albumArtist,
+          album: albumTitle,
+          priceNote: 'No listings',
+          link: `${DISCOGS_WEB_BASE}${release.uri || `/release/${release.id}`}`,
+          source: 'Discogs',
+          year: releaseData.year,
+          releaseId: release.id,
+          masterId
+        }));
       }
+    } catch (releaseError) {
+      console.error(`Error fetching release ${release.id}:`, releaseError.message);
+      processed++;
+      failures++;
+      lastError = releaseError;
+      // Still add basic info from the release list
+      results.push(createResult({
+        kind: 'release',
+        artist: albumArtist,
+        album: albumTitle,
+        priceNote: 'See listings',
+        link: `${DISCOGS_WEB_BASE}/sell/release/${release.id}`,
+        source: 'Discogs',
+        condition: 'Various',
+        year: release.year,
+        releaseId: release.id,
+        masterId: release.masterId
+      }));
     }
+  }
 
-    return results;
-  } catch (error) {
-    console.error(`Discogs search error for ${artist}:`, error.message);
-    return [];
+  // One bad release still leaves the rest; every release failing means
+  // Discogs is down
+  if (failures > 0 && failures === processed) {
+    throw lastError;
   }
+
+  return results;
 }
+
+registerProvider({
+  name: 'discogs',
+  label: 'Discogs',
+  capabilities: ['listings', 'releases'],
+  search: searchDiscogs
+});
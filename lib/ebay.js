@@ -1,161 +1,240 @@
 // eBay API client for searching vinyl listings
 
-const SANDBOX_API_BASE = 'https://api.sandbox.ebay.com';
-const PRODUCTION_API_BASE = 'https://api.ebay.com';
-
-// Token cache
-let cachedToken = null;
-let tokenExpiry = 0;
+import { registerProvider } from './providers.js';
+import { configureRateLimit, acquire } from './rateLimiter.js';
+import { createResult } from './schema.js';
+import { cachedRequest } from './httpCache.js';
+import { fetchWithRetry } from './retry.js';
+import { convert } from './currency.js';
+import { parseSearchOptions } from './searchOptions.js';
+import { EBAY_MARKETPLACES } from './ebayMarketplaces.js';
+import { getApiBase, withAccessToken } from './ebayAuth.js';
+
+// The Browse API quota is per day (5,000 calls by default). Spread it over
+// the day, allowing bursts of up to the whole quota.
+const DAILY_QUOTA = parseInt(process.env.EBAY_DAILY_QUOTA) || 5000;
+configureRateLimit('ebay', { capacity: DAILY_QUOTA, refillPerSecond: DAILY_QUOTA / 86400 });
+
+// Search results are reused this long (see httpCache.js); listings come and
+// go, so keep it short
+const SEARCH_CACHE_TTL = 15 * 60 * 1000;
+
+// Listings per Browse API request when paging through results
+const PAGE_SIZE = 50;
+
+// Link to eBay's own search for query (the artist, or artist and album), for
+// when the API isn't configured. The site takes the condition and buying
+// format filters too.
+function searchLink(query, artist, options) {
+  const marketplace = EBAY_MARKETPLACES[options.marketplaces[0]] || EBAY_MARKETPLACES.EBAY_US;
+  const link = new URL(`https://${marketplace.domain}/sch/i.html`);
+  link.searchParams.set('_nkw', `${query} vinyl record`);
+  link.searchParams.set('_sacat', '176985');
+  if (options.condition) {
+    link.searchParams.set('LH_ItemCondition', options.condition === 'new' ? '3' : '4');
+  }
+  if (options.buyingOptions.length === 1) {
+    link.searchParams.set(options.buyingOptions[0] === 'auction' ? 'LH_Auction' : 'LH_BIN', '1');
+  }
 
-function getApiBase() {
-  return process.env.EBAY_SANDBOX === 'true' ? SANDBOX_API_BASE : PRODUCTION_API_BASE;
+  return createResult({
+    kind: 'search',
+    artist,
+    album: 'Browse Vinyl on eBay',
+    priceNote: 'Various',
+    link: link.toString(),
+    source: 'eBay',
+    condition: 'Various'
+  });
 }
 
-async function getAccessToken() {
-  // Return cached token if still valid (with 5 min buffer)
-  if (cachedToken && Date.now() < tokenExpiry - 300000) {
-    return cachedToken;
-  }
+// Lowercase words without accents or punctuation, for loose title matching
+function normalizeWords(text) {
+  return ` ${text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+}
 
-  const clientId = process.env.EBAY_CLIENT_ID;
-  const clientSecret = process.env.EBAY_CLIENT_SECRET;
+// Whether a listing title names an artist or album, ignoring a leading "The"
+function titleMentions(title, artistOrAlbum) {
+  const name = normalizeWords(artistOrAlbum).replace(/^ the /, ' ');
+  return normalizeWords(title).includes(name);
+}
 
-  if (!clientId || !clientSecret) {
-    throw new Error('eBay credentials not configured');
+// Browse API filter for the search options. The price range is converted
+// to the marketplace's currency, as eBay only filters in that.
+function searchFilter(options, currency) {
+  const filters = [];
+  if (options.condition) {
+    filters.push(`conditions:{${options.condition.toUpperCase()}}`);
+  }
+  if (options.buyingOptions.length > 0) {
+    const buyingOptions = options.buyingOptions.map(option => option === 'auction' ? 'AUCTION' : 'FIXED_PRICE');
+    filters.push(`buyingOptions:{${buyingOptions.join('|')}}`);
   }
+  if (options.priceMin !== null || options.priceMax !== null) {
+    const bound = (amount) => {
+      if (amount === null) return '';
+      const converted = convert({ amount, currency: options.priceCurrency }, currency);
+      if (!converted) throw new Error(`No exchange rate from ${options.priceCurrency} to ${currency}`);
+      return converted.amount;
+    };
+    const min = bound(options.priceMin);
+    const max = bound(options.priceMax);
+    filters.push(`price:[${options.priceMax === null ? min : `${min}..${max}`}]`, `priceCurrency:${currency}`);
+  }
+  if (options.deliveryCountry) {
+    filters.push(`deliveryCountry:${options.deliveryCountry}`);
+  }
+  return filters.join(',');
+}
 
-  const credentials = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+// Up to options.listings item summaries from one marketplace, a page at a time
+async function searchMarketplace(query, marketplace, options) {
   const apiBase = getApiBase();
+  const filter = searchFilter(options, EBAY_MARKETPLACES[marketplace].currency);
+  // eBay wants offsets that are a multiple of the page size
+  const pageSize = Math.min(options.listings, PAGE_SIZE);
+  const items = [];
 
-  const response = await fetch(`${apiBase}/identity/v1/oauth2/token`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Authorization': `Basic ${credentials}`
-    },
-    body: 'grant_type=client_credentials&scope=https://api.ebay.com/oauth/api_scope'
-  });
+  for (let offset = 0; items.length < options.listings; offset += pageSize) {
+    const searchUrl = new URL(`${apiBase}/buy/browse/v1/item_summary/search`);
+    searchUrl.searchParams.set('q', query);
+    searchUrl.searchParams.set('category_ids', '176985'); // Records category
+    searchUrl.searchParams.set('limit', pageSize);
+    searchUrl.searchParams.set('offset', offset);
+    // Request extended fields including shipping
+    searchUrl.searchParams.set('fieldgroups', 'EXTENDED,MATCHING_ITEMS');
+    if (filter) searchUrl.searchParams.set('filter', filter);
+
+    const cacheKey = `${marketplace} ${searchUrl}`;
+    const data = await cachedRequest({ provider: 'ebay', key: cacheKey, ttl: SEARCH_CACHE_TTL }, async () => {
+      const response = await withAccessToken(token => fetchWithRetry(searchUrl.toString(), {
+        label: 'eBay',
+        beforeAttempt: () => acquire('ebay'),
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'X-EBAY-C-MARKETPLACE-ID': marketplace
+        }
+      }));
+      return response.json();
+    });
 
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`eBay auth failed: ${response.status} - ${error}`);
+    const page = data.itemSummaries || [];
+    items.push(...page);
+    if (page.length < pageSize || !data.next) break;
   }
 
-  const data = await response.json();
-  cachedToken = data.access_token;
-  tokenExpiry = Date.now() + (data.expires_in * 1000);
-
-  return cachedToken;
+  return items.slice(0, options.listings);
 }
 
-export async function searchEbay(artist) {
-  try {
-    const clientId = process.env.EBAY_CLIENT_ID;
-
-    if (!clientId) {
-      console.log('No EBAY_CLIENT_ID set - returning direct search link');
-      return [{
-        artist: artist,
-        album: 'Browse Vinyl on eBay',
-        price: 'Various',
-        link: `https://www.ebay.com/sch/i.html?_nkw=${encodeURIComponent(artist + ' vinyl record')}&_sacat=176985`,
-        source: 'eBay',
-        condition: 'Various',
-        country: 'Various',
-        year: '',
-        isSearch: true
-      }];
-    }
-
-    const token = await getAccessToken();
-    const apiBase = getApiBase();
+// Album name from a listing title, without the usual selling words
+export function cleanTitle(title) {
+  return title
+    .replace(/\bvinyl\s*(record|lp|album)?\b/gi, '')
+    .replace(/\s*\b(new|sealed|rare|original|pressing)\b\s*/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
 
-    // Search for vinyl records by this artist
-    const searchQuery = `${artist} vinyl record`;
-    const searchUrl = new URL(`${apiBase}/buy/browse/v1/item_summary/search`);
-    searchUrl.searchParams.set('q', searchQuery);
-    searchUrl.searchParams.set('category_ids', '176985'); // Records category
-    searchUrl.searchParams.set('limit', '10');
-    // Request extended fields including shipping
-    searchUrl.searchParams.set('fieldgroups', 'EXTENDED,MATCHING_ITEMS');
+function formatItem(item, artist, marketplace) {
+  const albumTitle = cleanTitle(item.title);
+
+  // Get shipping cost if available
+  const shippingCost = item.shippingOptions?.[0]?.shippingCost;
+  const shipping = shippingCost
+    ? { amount: parseFloat(shippingCost.value), currency: shippingCost.currency }
+    : null;
+
+  // Auctions are priced at the current bid
+  const isAuction = (item.buyingOptions || []).includes('AUCTION');
+  const price = (isAuction && item.currentBidPrice) || item.price;
+
+  return createResult({
+    kind: 'listing',
+    artist: artist,
+    album: albumTitle,
+    price: price ? { amount: parseFloat(price.value), currency: price.currency } : null,
+    priceNote: price ? null : 'See listing',
+    shipping: shipping,
+    link: item.itemWebUrl,
+    source: 'eBay',
+    condition: item.condition,
+    country: item.itemLocation?.country,
+    itemId: item.itemId,
+    marketplace,
+    saleType: isAuction ? 'auction' : 'fixed-price',
+    bidCount: isAuction ? item.bidCount || 0 : null,
+    auctionEndsAt: isAuction ? item.itemEndDate : null
+  });
+}
 
-    console.log(`Searching eBay for: ${artist}`);
+// Search one artist on each of options.marketplaces. eBay has no artist
+// field, so with a pinned Discogs artist (details.discogsName) the search uses
+// that name and drops listings whose title doesn't contain it. An album-level
+// want (details.album) searches for the artist and album, and likewise drops
+// listings whose title doesn't name the album. Items listed on
+// several marketplaces are kept once. Throws when no marketplace could be
+// searched, so the failure is reported rather than replaced with a search
+// link; a marketplace failing among others that work is only logged.
+export async function searchEbay(artist, details = {}, options = parseSearchOptions()) {
+  const clientId = process.env.EBAY_CLIENT_ID;
 
-    const response = await fetch(searchUrl.toString(), {
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'X-EBAY-C-MARKETPLACE-ID': 'EBAY_US'
-      }
-    });
+  if (!clientId) {
+    console.log('No EBAY_CLIENT_ID set - returning direct search link');
+    return [searchLink(details.album ? `${artist} ${details.album}` : artist, artist, options)];
+  }
 
-    if (!response.ok) {
-      const error = await response.text();
-      console.error(`eBay search error: ${response.status} - ${error}`);
-      // Fallback to search link
-      return [{
-        artist: artist,
-        album: 'Browse Vinyl on eBay',
-        price: 'Various',
-        link: `https://www.ebay.com/sch/i.html?_nkw=${encodeURIComponent(artist + ' vinyl record')}&_sacat=176985`,
-        source: 'eBay',
-        condition: 'Various',
-        country: 'Various',
-        year: '',
-        isSearch: true
-      }];
+  // Search for vinyl records by this artist
+  // Drop Discogs numbering such as "Samia (2)"
+  const resolvedName = details.discogsName?.replace(/\s+\(\d+\)$/, '');
+  const searchQuery = details.album
+    ? `${resolvedName || artist} ${details.album} vinyl`
+    : `${resolvedName || artist} vinyl record`;
+
+  console.log(`Searching eBay for: ${artist} (${options.marketplaces.join(', ')})`);
+
+  const results = [];
+  const seen = new Set();
+  const errors = [];
+  for (const marketplace of options.marketplaces) {
+    let items;
+    try {
+      items = await searchMarketplace(searchQuery, marketplace, options);
+    } catch (error) {
+      console.error(`eBay search error for ${artist} on ${marketplace}:`, error.message);
+      errors.push(error);
+      continue;
     }
 
-    const data = await response.json();
+    const matching = items.filter(item =>
+      (!resolvedName || titleMentions(item.title, resolvedName))
+      && (!details.album || titleMentions(item.title, details.album)));
+    if (matching.length < items.length) {
+      console.log(`Dropped ${items.length - matching.length} eBay listings not of ${resolvedName || artist}` +
+        `${details.album ? ` – ${details.album}` : ''}`);
+    }
 
-    if (!data.itemSummaries || data.itemSummaries.length === 0) {
-      console.log(`No eBay results for: ${artist}`);
-      return [];
+    for (const item of matching) {
+      if (seen.has(item.itemId)) continue;
+      seen.add(item.itemId);
+      results.push(formatItem(item, artist, marketplace));
     }
+  }
 
-    console.log(`Found ${data.itemSummaries.length} eBay listings for ${artist}`);
-
-    const results = data.itemSummaries.map(item => {
-      // Try to extract album name from title
-      let albumTitle = item.title;
-
-      // Clean up common suffixes
-      albumTitle = albumTitle
-        .replace(/vinyl\s*(record|lp|album)?/gi, '')
-        .replace(/\s*(new|sealed|rare|original|pressing)\s*/gi, ' ')
-        .replace(/\s+/g, ' ')
-        .trim();
-
-      // Get shipping cost if available
-      const shippingCost = item.shippingOptions?.[0]?.shippingCost;
-      const shipping = shippingCost ? `${shippingCost.value} ${shippingCost.currency}` : null;
-
-      return {
-        artist: artist,
-        album: albumTitle,
-        price: item.price ? `${item.price.value} ${item.price.currency}` : 'See listing',
-        shipping: shipping,
-        link: item.itemWebUrl,
-        source: 'eBay',
-        condition: item.condition || 'See listing',
-        country: item.itemLocation?.country || 'Unknown',
-        year: ''
-      };
-    });
+  if (errors.length === options.marketplaces.length) {
+    throw errors[0];
+  }
 
-    return results;
-  } catch (error) {
-    console.error(`eBay search error for ${artist}:`, error.message);
-    // Return fallback search link on error
-    return [{
-      artist: artist,
-      album: 'Browse Vinyl on eBay',
-      price: 'Various',
-      link: `https://www.ebay.com/sch/i.html?_nkw=${encodeURIComponent(artist + ' vinyl record')}&_sacat=176985`,
-      source: 'eBay',
-      condition: 'Various',
-      country: 'Various',
-      year: '',
-      isSearch: true
-    }];
+  if (results.length === 0) {
+    console.log(`No eBay results for: ${artist}`);
+  } else {
+    console.log(`Found ${results.length} eBay listings for ${artist}`);
   }
+  return results;
 }
+
+registerProvider({
+  name: 'ebay',
+  label: 'eBay',
+  capabilities: ['listings'],
+  search: searchEbay
+});
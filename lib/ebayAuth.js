@@ -0,0 +1,137 @@
+// eBay OAuth application tokens
+// One token per environment (sandbox and production never share), refreshed
+// a few minutes before it expires. Callers asking while a token is being
+// fetched share that request, and a token eBay rejects with a 401 is dropped
+// and replaced once.
+
+import { fetchWithRetry } from './retry.js';
+
+const API_BASES = {
+  sandbox: 'https://api.sandbox.ebay.com',
+  production: 'https://api.ebay.com'
+};
+
+// EBAY_API_BASE and EBAY_SANDBOX_API_BASE point either environment elsewhere,
+// such as the mock server (see mock/server.js)
+const API_BASE_VARIABLES = {
+  sandbox: 'EBAY_SANDBOX_API_BASE',
+  production: 'EBAY_API_BASE'
+};
+
+// Refresh tokens this long before eBay says they expire
+const EXPIRY_MARGIN = 5 * 60 * 1000;
+
+// environment -> { token, expiresAt, fetchedAt, pending, lastError }
+const tokens = new Map();
+
+export function getEbayEnvironment() {
+  return process.env.EBAY_SANDBOX === 'true' ? 'sandbox' : 'production';
+}
+
+export function getApiBase(environment = getEbayEnvironment()) {
+  return process.env[API_BASE_VARIABLES[environment]] || API_BASES[environment];
+}
+
+function tokenState(environment) {
+  if (!tokens.has(environment)) {
+    tokens.set(environment, { token: null, expiresAt: 0, fetchedAt: null, pending: null, lastError: null });
+  }
+  return tokens.get(environment);
+}
+
+async function requestToken(environment, state) {
+  const clientId = process.env.EBAY_CLIENT_ID;
+  const clientSecret = process.env.EBAY_CLIENT_SECRET;
+
+  if (!clientId || !clientSecret) {
+    throw new Error('eBay credentials not configured');
+  }
+
+  const credentials = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+
+  try {
+    const response = await fetchWithRetry(`${getApiBase(environment)}/identity/v1/oauth2/token`, {
+      label: 'eBay auth',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': `Basic ${credentials}`
+      },
+      body: 'grant_type=client_credentials&scope=https://api.ebay.com/oauth/api_scope'
+    });
+
+    const data = await response.json();
+    if (!data.access_token) {
+      throw new Error('eBay auth returned no access token');
+    }
+    state.token = data.access_token;
+    state.expiresAt = Date.now() + data.expires_in * 1000;
+    state.fetchedAt = new Date().toISOString();
+    state.lastError = null;
+    console.log(`Fetched eBay ${environment} token, valid for ${Math.round(data.expires_in / 60)} minutes`);
+    return state.token;
+  } catch (error) {
+    state.lastError = error.message;
+    throw error;
+  }
+}
+
+// A valid token for the environment, fetching one if needed
+export function getAccessToken(environment = getEbayEnvironment()) {
+  const state = tokenState(environment);
+  if (state.token && Date.now() < state.expiresAt - EXPIRY_MARGIN) {
+    return Promise.resolve(state.token);
+  }
+
+  if (!state.pending) {
+    state.pending = requestToken(environment, state).finally(() => {
+      state.pending = null;
+    });
+  }
+  return state.pending;
+}
+
+// Forget a token eBay rejected. Only that token is dropped, so callers that
+// already replaced it don't throw away the new one.
+export function invalidateToken(environment, token) {
+  const state = tokenState(environment);
+  if (state.token === token) {
+    state.token = null;
+    state.expiresAt = 0;
+  }
+}
+
+// Forget every token, for when the credentials change
+export function clearTokens() {
+  tokens.clear();
+}
+
+// Call request(token) with a valid token. If eBay answers 401 (the error's
+// status, see retry.js), the token is invalidated and request is tried once
+// more with a fresh one.
+export async function withAccessToken(request, environment = getEbayEnvironment()) {
+  const token = await getAccessToken(environment);
+  try {
+    return await request(token);
+  } catch (error) {
+    if (error.status !== 401) throw error;
+    console.log(`eBay rejected the ${environment} token, fetching a new one`);
+    invalidateToken(environment, token);
+    return request(await getAccessToken(environment));
+  }
+}
+
+// Token state per environment for /api/status (never the token itself)
+export function getTokenStatus() {
+  return Object.fromEntries(Object.keys(API_BASES).map(environment => {
+    const state = tokenState(environment);
+    const valid = !!state.token && Date.now() < state.expiresAt;
+    return [environment, {
+      valid,
+      expiresAt: valid ? new Date(state.expiresAt).toISOString() : null,
+      fetchedAt: state.fetchedAt,
+      refreshing: !!state.pending,
+      lastError: state.lastError
+    }];
+  }));
+}
@@ -0,0 +1,27 @@
+// eBay marketplaces the Browse API can search, with the currency prices are
+// listed in and the website domain for search links
+
+export const EBAY_MARKETPLACES = {
+  EBAY_US: { name: 'United States', currency: 'USD', domain: 'www.ebay.com' },
+  EBAY_GB: { name: 'United Kingdom', currency: 'GBP', domain: 'www.ebay.co.uk' },
+  EBAY_DE: { name: 'Germany', currency: 'EUR', domain: 'www.ebay.de' },
+  EBAY_FR: { name: 'France', currency: 'EUR', domain: 'www.ebay.fr' },
+  EBAY_IT: { name: 'Italy', currency: 'EUR', domain: 'www.ebay.it' },
+  EBAY_ES: { name: 'Spain', currency: 'EUR', domain: 'www.ebay.es' },
+  EBAY_NL: { name: 'Netherlands', currency: 'EUR', domain: 'www.ebay.nl' },
+  EBAY_AT: { name: 'Austria', currency: 'EUR', domain: 'www.ebay.at' },
+  EBAY_IE: { name: 'Ireland', currency: 'EUR', domain: 'www.ebay.ie' },
+  EBAY_CH: { name: 'Switzerland', currency: 'CHF', domain: 'www.ebay.ch' },
+  EBAY_CA: { name: 'Canada', currency: 'CAD', domain: 'www.ebay.ca' },
+  EBAY_AU: { name: 'Australia', currency: 'AUD', domain: 'www.ebay.com.au' }
+};
+
+// Marketplaces searched when a search doesn't choose its own
+// (EBAY_MARKETPLACES in the environment, comma-separated; EBAY_US otherwise)
+export function getDefaultMarketplaces() {
+  const configured = (process.env.EBAY_MARKETPLACES || '')
+    .split(',')
+    .map(id => id.trim().toUpperCase())
+    .filter(id => EBAY_MARKETPLACES[id]);
+  return configured.length > 0 ? [...new Set(configured)] : ['EBAY_US'];
+}
@@ -0,0 +1,98 @@
+// Saved results as downloadable files
+// Every format has the same columns, with prices, shipping and totals
+// converted into one currency so the amounts can be summed and compared.
+
+import ExcelJS from 'exceljs';
+import { convert } from './currency.js';
+
+export const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+
+const COLUMNS = [
+  { key: 'artist', header: 'Artist', width: 25 },
+  { key: 'album', header: 'Album', width: 35 },
+  { key: 'year', header: 'Year', width: 8 },
+  { key: 'price', header: 'Price', width: 10 },
+  { key: 'shipping', header: 'Shipping', width: 10 },
+  { key: 'total', header: 'Total', width: 10 },
+  { key: 'currency', header: 'Currency', width: 10 },
+  { key: 'condition', header: 'Condition', width: 12 },
+  { key: 'source', header: 'Source', width: 12 },
+  { key: 'link', header: 'Link', width: 50 }
+];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// One flat row per result. Amounts that can't be converted are left empty.
+function toRow(result, currency) {
+  const amount = (money) => convert(money, currency)?.amount ?? null;
+  return {
+    artist: result.artist,
+    album: result.album,
+    year: result.year,
+    price: amount(result.price),
+    shipping: amount(result.shipping),
+    total: amount(result.total),
+    currency,
+    condition: result.condition,
+    source: result.source,
+    link: result.link
+  };
+}
+
+// Text from listings is the sellers', so text a spreadsheet would run as a
+// formula is prefixed with ' to keep it text. JSON is left as it is.
+function spreadsheetRow(row) {
+  return Object.fromEntries(Object.entries(row).map(([key, value]) =>
+    [key, typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value]));
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [COLUMNS.map(column => column.header)];
+  for (const row of rows.map(spreadsheetRow)) {
+    lines.push(COLUMNS.map(column => row[column.key]));
+  }
+  return lines.map(line => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+async function toXlsx(rows) {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Results', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+  for (const row of rows.map(spreadsheetRow)) {
+    sheet.addRow({ ...row, link: row.link ? { text: row.link, hyperlink: row.link } : null });
+  }
+  for (const key of ['price', 'shipping', 'total']) {
+    sheet.getColumn(key).numFmt = '0.00';
+  }
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// Resolves with { body, contentType, filename } for results in the given
+// format, with amounts in currency
+export async function exportResults(results, format, currency) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+  const rows = results.map(result => toRow(result, currency));
+
+  let body;
+  if (format === 'csv') {
+    body = toCsv(rows);
+  } else if (format === 'json') {
+    body = JSON.stringify(rows, null, 2);
+  } else {
+    body = await toXlsx(rows);
+  }
+  return { body, contentType: CONTENT_TYPES[format], filename: `vinyl-results.${format}` };
+}
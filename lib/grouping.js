@@ -0,0 +1,97 @@
+// Album grouping across pressings and sources
+// Discogs results are grouped by master release, so every pressing of an
+// album lands in one group. eBay has no release data, so its listing titles
+// are fuzzy-matched against the Discogs album titles found for the same
+// artist; titles that match nothing get a group of their own.
+
+// Words that describe the copy rather than the album
+const NOISE_WORDS = new Set([
+  'lp', 'lps', '2lp', '2xlp', '3lp', 'ep', 'vinyl', 'record', 'records', 'album', 'new', 'sealed', 'mint',
+  'used', 'rare', 'original', 'pressing', 'press', 'reissue', 'remastered', 'remaster', 'edition',
+  'deluxe', 'limited', 'colored', 'coloured', 'gatefold', '180g', '180', 'gram', 'g', 'rpm', '33', '45',
+  'ltd', 'import', 'us', 'uk', 'eu', 'first', '1st', 'the', 'a', 'of', 'and', 'vg', 'nm'
+]);
+
+// Share of an album title's words a listing title must contain to match it
+const MATCH_THRESHOLD = 0.8;
+
+function words(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(word => word && !NOISE_WORDS.has(word));
+}
+
+// Key for grouping titles that differ only in case, punctuation, noise
+// words or whether they repeat the artist's name
+function titleKey(title, artist = '') {
+  const artistWords = words(artist);
+  const titleWords = words(title);
+  const withoutArtist = titleWords.filter(word => !artistWords.includes(word));
+  return (withoutArtist.length > 0 ? withoutArtist : titleWords).join(' ');
+}
+
+// The album a listing title most likely is, or null. Artist words are
+// ignored, and among matching albums the one with the most words wins so
+// "Blue" doesn't take listings for "Blue Train".
+function matchAlbum(title, artist, albums) {
+  const artistWords = new Set(words(artist));
+  const titleWords = new Set(words(title).filter(word => !artistWords.has(word)));
+
+  let best = null;
+  for (const album of albums) {
+    if (album.words.length === 0) continue;
+    const matched = album.words.filter(word => titleWords.has(word)).length;
+    const score = matched / album.words.length;
+    const needed = album.words.length === 1 ? 1 : MATCH_THRESHOLD;
+    if (score >= needed && (!best || album.words.length > best.words.length)) {
+      best = album;
+    }
+  }
+  return best;
+}
+
+function discogsGroupKey(result) {
+  if (result.masterId) return `discogs:master:${result.masterId}`;
+  if (result.releaseId) return `discogs:release:${result.releaseId}`;
+  return null;
+}
+
+// Set groupKey and groupTitle on one artist's results. Search links aren't
+// grouped.
+export function groupResults(results) {
+  const albums = new Map();
+  for (const result of results) {
+    const key = result.isSearch ? null : discogsGroupKey(result);
+    if (key && !albums.has(key)) {
+      const albumKey = titleKey(result.album, result.artist);
+      albums.set(key, { key, title: result.album, titleKey: albumKey, words: albumKey.split(' ').filter(Boolean) });
+    }
+  }
+
+  // Pressings of one album without a shared master still group by title
+  const byTitle = new Map();
+  for (const album of albums.values()) {
+    if (!byTitle.has(album.titleKey)) byTitle.set(album.titleKey, album);
+  }
+
+  return results.map(result => {
+    if (result.isSearch) return { ...result, groupKey: null, groupTitle: null };
+
+    let album = albums.get(discogsGroupKey(result));
+    if (album) {
+      album = byTitle.get(album.titleKey);
+    } else {
+      album = matchAlbum(result.album, result.artist, byTitle.values());
+    }
+    if (album) {
+      return { ...result, groupKey: album.key, groupTitle: album.title };
+    }
+    const key = titleKey(result.album, result.artist);
+    return { ...result, groupKey: key ? `title:${key}` : `item:${result.id}`, groupTitle: result.album };
+  });
+}
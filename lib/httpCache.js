@@ -0,0 +1,112 @@
+// Disk-backed cache for provider API responses
+// Responses are kept in the database with a TTL chosen per endpoint by the
+// provider. HTTP_CACHE_MODE picks how the cache is used:
+//   on     - serve fresh entries, fetch and store the rest (default)
+//   off    - always fetch, store nothing
+//   replay - never touch the network: serve whatever is cached, however old,
+//            and fail on anything that isn't (for offline development)
+// Expired entries are kept, since replay serves them, until an admin purges
+// them (DELETE /api/admin/cache?expired=true).
+
+import { db } from './db.js';
+
+const MODES = ['on', 'off', 'replay'];
+
+// Requests in flight, so concurrent searches asking for the same URL share one
+const pending = new Map();
+
+export function getCacheMode() {
+  const mode = (process.env.HTTP_CACHE_MODE || 'on').toLowerCase();
+  return MODES.includes(mode) ? mode : 'on';
+}
+
+// Return the cached body for key, or call fetchBody and cache what it
+// resolves with for ttl milliseconds. Errors from fetchBody aren't cached.
+export async function cachedRequest({ provider, key, ttl }, fetchBody) {
+  const mode = getCacheMode();
+  if (mode === 'off') return fetchBody();
+
+  const row = db.prepare('SELECT body, expires_at FROM http_cache WHERE key = ?').get(key);
+  if (row && (mode === 'replay' || Date.parse(row.expires_at) > Date.now())) {
+    return JSON.parse(row.body);
+  }
+  if (mode === 'replay') {
+    throw new Error(`Not in the response cache (replay mode): ${key}`);
+  }
+
+  if (!pending.has(key)) {
+    const request = (async () => {
+      const body = await fetchBody();
+      const now = new Date();
+      db.prepare(`
+        INSERT INTO http_cache (key, provider, body, fetched_at, expires_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (key) DO UPDATE SET body = excluded.body, fetched_at = excluded.fetched_at,
+          expires_at = excluded.expires_at
+      `).run(key, provider, JSON.stringify(body), now.toISOString(), new Date(now.getTime() + ttl).toISOString());
+      return body;
+    })().finally(() => pending.delete(key));
+    pending.set(key, request);
+  }
+  return pending.get(key);
+}
+
+// Entry counts and sizes per provider
+export function getCacheStats() {
+  const now = new Date().toISOString();
+  const providers = db.prepare(`
+    SELECT provider, COUNT(*) AS entries, SUM(expires_at <= @now) AS expired, SUM(LENGTH(body)) AS bytes
+    FROM http_cache GROUP BY provider ORDER BY provider
+  `).all({ now });
+
+  return {
+    mode: getCacheMode(),
+    entries: providers.reduce((sum, p) => sum + p.entries, 0),
+    bytes: providers.reduce((sum, p) => sum + p.bytes, 0),
+    providers
+  };
+}
+
+// Cached entries, newest first, without their bodies
+export function listCacheEntries({ provider, q, limit = 100, offset = 0 } = {}) {
+  const where = [];
+  const params = { limit, offset, now: new Date().toISOString() };
+  if (provider) {
+    where.push('provider = @provider');
+    params.provider = provider;
+  }
+  if (q) {
+    where.push('key LIKE @q');
+    params.q = `%${q}%`;
+  }
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+  return db.prepare(`
+    SELECT key, provider, fetched_at AS fetchedAt, expires_at AS expiresAt,
+      expires_at <= @now AS expired, LENGTH(body) AS bytes
+    FROM http_cache ${whereSql}
+    ORDER BY fetched_at DESC LIMIT @limit OFFSET @offset
+  `).all(params).map(entry => ({ ...entry, expired: !!entry.expired }));
+}
+
+// Delete cached entries, all of them by default. Returns how many went.
+//   provider - only this provider's entries
+//   q        - only keys containing this text
+//   expired  - only entries past their TTL
+export function purgeCache({ provider, q, expired = false } = {}) {
+  const where = [];
+  const params = {};
+  if (provider) {
+    where.push('provider = @provider');
+    params.provider = provider;
+  }
+  if (q) {
+    where.push('key LIKE @q');
+    params.q = `%${q}%`;
+  }
+  if (expired) {
+    where.push('expires_at <= @now');
+    params.now = new Date().toISOString();
+  }
+  const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+  return db.prepare(`DELETE FROM http_cache ${whereSql}`).run(params).changes;
+}
@@ -0,0 +1,200 @@
+// Artist lists from uploaded files
+// Besides plain CSV lists this reads the JSON exports of listening services.
+// Each reader returns { name, plays } entries, with an artist repeated or
+// given a play count however the export records it; rankArtists turns those
+// into one name per artist. CSVs with an album column list records instead,
+// and their entries carry the want (see wants.js) as well.
+
+import { parse } from 'csv-parse/sync';
+import { parseWant, wantLabel } from './wants.js';
+
+export const IMPORT_TYPES = ['csv', 'lastfm', 'spotify-followed', 'spotify-history'];
+
+// Spotify counts a play as a stream once 30 seconds have been heard
+const MIN_STREAM_MS = 30 * 1000;
+
+const ARTIST_COLUMN = /^(artist|artists|name|band)$/i;
+const ALBUM_COLUMN = /^(album|title|record)$/i;
+const CATNO_COLUMN = /^(catno|cat ?no\.?|cat#|catalog(ue)? ?(no\.?|number|#)?)$/i;
+const RELEASE_ID_COLUMN = /^((discogs )?release ?id|release_id|discogs ?id)$/i;
+
+function parseCsv(csvContent) {
+  return parse(csvContent, {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true
+  });
+}
+
+// Parse CSV and extract artist names
+export function parseArtists(csvContent) {
+  const records = parseCsv(csvContent);
+
+  // Try to find artist column, or treat each row as a single artist name
+  if (records.length === 0) {
+    // Maybe it's a simple list without headers
+    const lines = csvContent.toString().split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0);
+    return lines;
+  }
+
+  const firstRecord = records[0];
+  const keys = Object.keys(firstRecord);
+
+  // Look for common artist column names
+  const artistKey = keys.find(k => ARTIST_COLUMN.test(k)) || keys[0];
+
+  return records.map(r => r[artistKey]).filter(Boolean);
+}
+
+// Records from a CSV with artist and album columns, and optionally catalog
+// number and Discogs release ID columns, as { name, plays, want } entries.
+// Rows without an album are the whole artist. Null when there's no album
+// column, so the CSV is a plain artist list.
+export function parseWantRows(csvContent) {
+  const records = parseCsv(csvContent);
+  if (records.length === 0) return null;
+
+  const keys = Object.keys(records[0]);
+  const albumKey = keys.find(k => ALBUM_COLUMN.test(k));
+  if (!albumKey) return null;
+  const artistKey = keys.find(k => ARTIST_COLUMN.test(k)) || keys.find(k => k !== albumKey);
+  const catnoKey = keys.find(k => CATNO_COLUMN.test(k));
+  const releaseKey = keys.find(k => RELEASE_ID_COLUMN.test(k));
+
+  return records.filter(r => r[artistKey]).map((r, index) => {
+    let want;
+    try {
+      want = parseWant({ artist: r[artistKey], album: r[albumKey], catno: r[catnoKey], releaseId: r[releaseKey] });
+    } catch (error) {
+      throw new Error(`Row ${index + 1}: ${error.message}`);
+    }
+    return want ? { name: wantLabel(want), plays: 1, want } : { name: r[artistKey], plays: 1 };
+  });
+}
+
+// Exports that come in pages may be uploaded as one page or an array of them
+function pages(data) {
+  return Array.isArray(data) ? data : [data];
+}
+
+// Last.fm user.getTopArtists responses ({ topartists: { artist: [...] } }),
+// or just their artist arrays
+function readLastfm(data) {
+  return pages(data)
+    .flatMap(page => page?.topartists?.artist || (page?.name ? [page] : []))
+    .map(artist => ({ name: artist.name, plays: parseInt(artist.playcount) || 1 }));
+}
+
+// Spotify followed artists, from the Web API ({ artists: { items: [...] } })
+// or the account data export's YourLibrary.json ({ artists: [...] })
+function readSpotifyFollowed(data) {
+  return pages(data)
+    .flatMap(page => {
+      const artists = page?.artists;
+      return Array.isArray(artists) ? artists : artists?.items || [];
+    })
+    .map(artist => ({ name: artist.name || artist.artist, plays: 1 }));
+}
+
+// Spotify streaming history, in the account export's short form
+// ({ artistName, msPlayed }) or the extended one
+// ({ master_metadata_album_artist_name, ms_played }). Podcasts have no artist.
+function readSpotifyHistory(data) {
+  return pages(data)
+    .map(stream => ({
+      name: stream.artistName ?? stream.master_metadata_album_artist_name,
+      ms: stream.msPlayed ?? stream.ms_played ?? 0
+    }))
+    .filter(stream => stream.ms >= MIN_STREAM_MS)
+    .map(stream => ({ name: stream.name, plays: 1 }));
+}
+
+const READERS = {
+  lastfm: readLastfm,
+  'spotify-followed': readSpotifyFollowed,
+  'spotify-history': readSpotifyHistory
+};
+
+function parseJson(content) {
+  try {
+    return JSON.parse(content.toString().replace(/^\uFEFF/, ''));
+  } catch (e) {
+    return undefined;
+  }
+}
+
+// Which of IMPORT_TYPES a file is. Anything that isn't a JSON object or array
+// is read as CSV.
+export function detectImportType(content) {
+  const data = parseJson(content);
+  if (typeof data !== 'object' || data === null) return 'csv';
+
+  const first = pages(data)[0];
+  if (first?.topartists || first?.playcount !== undefined) return 'lastfm';
+  if (first?.artists) return 'spotify-followed';
+  if (first?.artistName !== undefined || first?.master_metadata_album_artist_name !== undefined) {
+    return 'spotify-history';
+  }
+  throw new Error('Unrecognised file: expected a CSV, a Last.fm top artists export or a Spotify export');
+}
+
+// { name, plays } entries from a file of the given type, detected when 'auto'
+export function readArtistFile(content, type = 'auto') {
+  const fileType = type === 'auto' ? detectImportType(content) : type;
+  if (fileType === 'csv') {
+    return parseWantRows(content) || parseArtists(content).map(name => ({ name, plays: 1 }));
+  }
+  if (!READERS[fileType]) {
+    throw new Error(`Type must be auto or one of ${IMPORT_TYPES.join(', ')}`);
+  }
+
+  const data = parseJson(content);
+  if (data === undefined) {
+    throw new Error(`Not a ${fileType} export: the file isn't JSON`);
+  }
+  return READERS[fileType](data);
+}
+
+// One name per artist, ignoring case and adding up plays, in the order first
+// seen or with byPlays the most played first. limit keeps the top ones.
+export function rankArtists(entries, { byPlays = false, limit } = {}) {
+  const artists = new Map();
+  for (const { name, plays } of entries) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) continue;
+    const key = trimmed.toLowerCase();
+    const artist = artists.get(key) || artists.set(key, { name: trimmed, plays: 0 }).get(key);
+    artist.plays += plays;
+  }
+
+  let ranked = [...artists.values()];
+  if (byPlays) ranked.sort((a, b) => b.plays - a.plays);
+  if (limit) ranked = ranked.slice(0, limit);
+  return ranked.map(artist => artist.name);
+}
+
+// The wants among entries, by entry name
+export function entryWants(entries) {
+  const wants = {};
+  for (const entry of entries) {
+    if (entry.want && !wants[entry.name]) wants[entry.name] = entry.want;
+  }
+  return wants;
+}
+
+// rankArtists options from form fields or JSON: byPlays as a boolean or
+// 'true', limit as a whole number or empty for every artist
+export function parseRankOptions({ byPlays, limit } = {}) {
+  const options = { byPlays: byPlays === true || byPlays === 'true' };
+  if (limit !== undefined && limit !== null && limit !== '') {
+    const number = Number(limit);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new Error('Limit must be a whole number of at least 1');
+    }
+    options.limit = number;
+  }
+  return options;
+}
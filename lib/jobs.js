@@ -0,0 +1,364 @@
+// Background search jobs
+// A job owns one search run. It keeps going when the browser disconnects,
+// stores each artist's results as they come in, saves its progress under
+// data/jobs/, and is picked up again after a server restart. Clients follow
+// a job through its event log, resuming from Last-Event-ID. Each user's jobs
+// run one at a time, alongside other users'.
+
+import { readFileSync, writeFileSync, readdirSync, renameSync, unlinkSync, existsSync, mkdirSync } from 'fs';
+import { randomUUID } from 'crypto';
+import { join } from 'path';
+import {
+  DATA_DIR, saveArtistResults, completeSearchResults, startSearchRun, finishSearchRun, getArtistDetails, queryResults
+} from './storage.js';
+import { getEnabledProviders } from './providers.js';
+import { runSearch } from './scheduler.js';
+import { parseSearchOptions } from './searchOptions.js';
+import { checkAlerts } from './alerts.js';
+
+const JOBS_DIR = join(DATA_DIR, 'jobs');
+
+// Finished jobs are kept this long so clients can still read their outcome
+const FINISHED_JOB_TTL = 7 * 24 * 60 * 60 * 1000;
+
+if (!existsSync(JOBS_DIR)) {
+  mkdirSync(JOBS_DIR, { recursive: true });
+}
+
+const jobs = new Map();
+const subscribers = new Map(); // job id -> Set of event callbacks
+const controllers = new Map(); // job id -> AbortController for running jobs
+const queues = new Map(); // queue key -> jobs waiting their turn
+const runningQueues = new Set();
+
+function jobFile(id) {
+  return join(JOBS_DIR, `${id}.json`);
+}
+
+// Write to a temp file and rename so a crash never leaves a half-written job
+function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  const file = jobFile(job.id);
+  writeFileSync(`${file}.tmp`, JSON.stringify(job));
+  renameSync(`${file}.tmp`, file);
+}
+
+function isFinished(job) {
+  return ['completed', 'failed', 'cancelled'].includes(job.status);
+}
+
+// Send an event to everyone following the job. Progress events are
+// transient: only the latest one is kept, for clients that reattach. The log
+// keeps results events without their results, which are already stored in
+// the watchlist; see replayEvent.
+function emit(job, data) {
+  const event = { id: ++job.lastEventId, data };
+
+  if (data.type === 'progress') {
+    job.lastProgress = event;
+  } else if (data.type === 'results') {
+    const { results, ...reference } = data;
+    job.events.push({ id: event.id, data: reference });
+  } else {
+    job.events.push(event);
+  }
+
+  for (const send of subscribers.get(job.id) || []) {
+    send(event);
+  }
+}
+
+// A logged event as it was sent, with a results event's results put back
+// from the watchlist. Jobs saved before the log was trimmed still have them.
+function replayEvent(job, event) {
+  if (event.data.type !== 'results' || event.data.results) return event;
+  const { results } = queryResults({ watchlistId: job.watchlistId, artist: event.data.artist });
+  return { ...event, data: { ...event.data, results } };
+}
+
+// How many results the job has found so far
+function jobResultCount(job) {
+  return Object.values(job.resultCounts).reduce((sum, count) => sum + count, 0);
+}
+
+async function runJob(job) {
+  const controller = new AbortController();
+  controllers.set(job.id, controller);
+
+  job.status = 'running';
+  job.startedAt = job.startedAt || new Date().toISOString();
+  job.runId = job.runId
+    || startSearchRun({ jobId: job.id, watchlistId: job.watchlistId, mode: job.mode, trigger: job.trigger });
+  saveJob(job);
+
+  const remaining = job.artists.filter(a => job.resultCounts[a] === undefined);
+  console.log(`Job ${job.id} (${job.mode}): ${remaining.length} of ${job.artists.length} artists to search`);
+
+  try {
+    await runSearch(remaining, getEnabledProviders(), {
+      signal: controller.signal,
+      // Wants of entries not saved yet come with the job
+      getArtistDetails: (artist) => ({ ...getArtistDetails(job.watchlistId, artist), ...job.wants?.[artist] }),
+      options: job.options || parseSearchOptions(),
+      onEvent: (data) => {
+        if (controller.signal.aborted) return;
+
+        if (data.type === 'results') {
+          const stored = saveArtistResults({
+            watchlistId: job.watchlistId,
+            mode: job.mode,
+            artist: data.artist,
+            results: data.results,
+            runId: job.runId,
+            want: job.wants?.[data.artist]
+          });
+          job.resultCounts[data.artist] = data.results.length;
+          emit(job, { ...data, results: stored || data.results });
+          saveJob(job);
+
+          if (stored) {
+            checkAlerts({ [data.artist]: stored }, job.userId ?? null).catch(error => {
+              console.error(`Price alert check failed for job ${job.id}:`, error);
+            });
+          }
+        } else if (data.type === 'providerError') {
+          emit(job, data);
+        } else {
+          // Count artists finished before a restart too
+          const offset = job.artists.length - remaining.length;
+          emit(job, { ...data, completed: data.completed + offset, total: job.artists.length });
+        }
+      }
+    });
+
+    if (controller.signal.aborted) {
+      return;
+    }
+
+    // A replace makes the searched artists the whole list
+    const { artists } = completeSearchResults({ watchlistId: job.watchlistId, mode: job.mode, artists: job.artists });
+    finishSearchRun(job.runId, 'completed');
+    job.status = 'completed';
+    job.finishedAt = new Date().toISOString();
+    emit(job, { type: 'complete', artists, resultCount: jobResultCount(job) });
+  } catch (error) {
+    console.error(`Job ${job.id} failed:`, error);
+    controller.abort();
+    finishSearchRun(job.runId, 'failed');
+    job.status = 'failed';
+    job.error = error.message;
+    job.finishedAt = new Date().toISOString();
+    emit(job, { error: 'Search failed: ' + error.message });
+  } finally {
+    controllers.delete(job.id);
+    saveJob(job);
+  }
+}
+
+// Jobs queue up per user, so one user's long search doesn't hold up anyone
+// else's and their own searches never overwrite each other. Jobs from before
+// there were accounts queue per watchlist.
+function queueKey(job) {
+  return job.userId != null ? `user ${job.userId}` : `watchlist ${job.watchlistId}`;
+}
+
+async function processQueue(key) {
+  if (runningQueues.has(key)) return;
+  runningQueues.add(key);
+  const queue = queues.get(key);
+  while (queue.length > 0) {
+    const job = queue.shift();
+    if (job.status === 'queued') {
+      await runJob(job);
+    }
+  }
+  queues.delete(key);
+  runningQueues.delete(key);
+}
+
+// Forget jobs that finished more than FINISHED_JOB_TTL ago, with their files
+function removeExpiredJobs() {
+  const now = Date.now();
+  for (const job of jobs.values()) {
+    if (isFinished(job) && now - Date.parse(job.finishedAt) > FINISHED_JOB_TTL) {
+      jobs.delete(job.id);
+      subscribers.delete(job.id);
+      if (existsSync(jobFile(job.id))) unlinkSync(jobFile(job.id));
+    }
+  }
+}
+
+function enqueue(job) {
+  const key = queueKey(job);
+  if (!queues.has(key)) queues.set(key, []);
+  queues.get(key).push(job);
+  processQueue(key);
+}
+
+// userId: the user who started the job, or whose list a scheduled refresh is of
+// watchlistId: the watchlist the results are saved to (see watchlists.js)
+// mode: 'replace' | 'append' | 'refresh'
+// trigger: what started the job, 'manual' or 'schedule'
+// options are validated search options (see searchOptions.js)
+// wants maps album-level entries among artists to their wants (see wants.js)
+export function createJob({
+  userId, watchlistId, mode, artists, trigger = 'manual', options = parseSearchOptions(), wants = {}
+}) {
+  const job = {
+    id: randomUUID(),
+    userId,
+    watchlistId,
+    mode,
+    trigger,
+    options,
+    wants,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    artists,
+    resultCounts: {}, // artist -> how many results were found, as each artist finishes
+    events: [],
+    lastEventId: 0,
+    lastProgress: null
+  };
+
+  removeExpiredJobs();
+  jobs.set(job.id, job);
+  emit(job, { type: 'job', jobId: job.id, mode, total: artists.length });
+  saveJob(job);
+  enqueue(job);
+  return job;
+}
+
+export function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Job details without the event log
+export function describeJob(job) {
+  return {
+    id: job.id,
+    userId: job.userId ?? null,
+    watchlistId: job.watchlistId,
+    mode: job.mode,
+    trigger: job.trigger || 'manual',
+    options: job.options || null,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+    total: job.artists.length,
+    completed: Object.keys(job.resultCounts).length,
+    resultCount: jobResultCount(job),
+    error: job.error || null
+  };
+}
+
+// A queued or running job with this mode, if there is one. With
+// watchlistId, only a job of that list.
+export function findActiveJob(mode, watchlistId) {
+  return [...jobs.values()].find(job => job.mode === mode && !isFinished(job)
+    && (watchlistId === undefined || job.watchlistId === watchlistId)) || null;
+}
+
+// Jobs, newest first. With userId, only that user's.
+export function listJobs({ userId } = {}) {
+  return [...jobs.values()]
+    .filter(job => userId === undefined || job.userId === userId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(describeJob);
+}
+
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job || isFinished(job)) return false;
+
+  controllers.get(id)?.abort();
+  if (job.runId) finishSearchRun(job.runId, 'cancelled');
+  job.status = 'cancelled';
+  job.finishedAt = new Date().toISOString();
+  emit(job, { type: 'cancelled', jobId: id });
+  saveJob(job);
+  console.log(`Job ${id} cancelled`);
+  return true;
+}
+
+// Follow a job's events, replaying everything after lastEventId first.
+// Returns an unsubscribe function. onEnd is called once the job finishes.
+export function subscribe(id, lastEventId, onEvent, onEnd) {
+  const job = jobs.get(id);
+
+  for (const event of job.events) {
+    if (event.id > lastEventId) onEvent(replayEvent(job, event));
+  }
+  if (isFinished(job)) {
+    onEnd();
+    return () => {};
+  }
+  if (job.lastProgress && job.lastProgress.id > lastEventId) {
+    onEvent(job.lastProgress);
+  }
+
+  const send = (event) => {
+    onEvent(event);
+    if (isFinished(job)) {
+      unsubscribe();
+      onEnd();
+    }
+  };
+  const unsubscribe = () => subscribers.get(id)?.delete(send);
+
+  if (!subscribers.has(id)) subscribers.set(id, new Set());
+  subscribers.get(id).add(send);
+  return unsubscribe;
+}
+
+// Jobs saved before results were stored as they came in kept them in the
+// job instead. An unfinished one's are stored now, so it can carry on.
+function upgradeJob(job) {
+  if (!job.artistResults) return;
+  job.resultCounts = {};
+  for (const [artist, results] of Object.entries(job.artistResults)) {
+    if (!isFinished(job)) {
+      saveArtistResults({
+        watchlistId: job.watchlistId, mode: job.mode, artist, results, runId: job.runId, want: job.wants?.[artist]
+      });
+    }
+    job.resultCounts[artist] = results.length;
+  }
+  delete job.artistResults;
+}
+
+// Load saved jobs and restart any that hadn't finished
+export function resumeJobs() {
+  const now = Date.now();
+
+  for (const file of readdirSync(JOBS_DIR).filter(f => f.endsWith('.json'))) {
+    let job;
+    try {
+      job = JSON.parse(readFileSync(join(JOBS_DIR, file), 'utf-8'));
+    } catch (e) {
+      console.error(`Skipping unreadable job file ${file}`);
+      continue;
+    }
+
+    if (isFinished(job) && now - Date.parse(job.finishedAt) > FINISHED_JOB_TTL) {
+      unlinkSync(join(JOBS_DIR, file));
+      continue;
+    }
+
+    // Jobs saved before there were watchlists belong to the first one, Main
+    job.watchlistId ??= 1;
+    try {
+      upgradeJob(job);
+    } catch (error) {
+      console.error(`Skipping job ${job.id}: ${error.message}`);
+      continue;
+    }
+    jobs.set(job.id, job);
+    if (!isFinished(job)) {
+      console.log(`Resuming job ${job.id}: ${Object.keys(job.resultCounts).length} of ${job.artists.length} artists done`);
+      job.status = 'queued';
+      enqueue(job);
+    }
+  }
+}
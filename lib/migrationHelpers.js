@@ -0,0 +1,241 @@
+// Result conversions for the data migrations in db.js, copied as they stood
+// when each migration was written. A migration has to do the same thing
+// whenever it runs, however the app's own helpers (pricing.js, schema.js,
+// grouping.js) change later, so leave these as they are.
+
+import { parseMoney, normalizeMoney, convert, BASE_CURRENCY } from './currency.js';
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Structured prices (migration 5, from pricing.js)
+
+function calculateTotal(result) {
+  const price = normalizeMoney(result.price);
+  if (!price) return null;
+
+  const currency = price.currency || BASE_CURRENCY;
+  const shipping = convert(normalizeMoney(result.shipping), currency);
+  return { amount: round(price.amount + (shipping?.amount || 0)), currency };
+}
+
+function legacyPrice(text) {
+  const money = parseMoney(text);
+  if (!money || !money.currency) {
+    return { price: null, priceNote: text || null };
+  }
+  return { price: money, priceNote: /^from\b/i.test(text.trim()) ? 'lowest price' : null };
+}
+
+// Display string prices, shipping and previous prices as { amount, currency },
+// with the total they add up to
+export function withStructuredPrices(result) {
+  let { price, shipping, priceNote = null } = result;
+
+  if (typeof price === 'string' || price === undefined) {
+    ({ price, priceNote } = legacyPrice(price));
+  }
+  if (typeof shipping === 'string') {
+    shipping = normalizeMoney(shipping);
+  }
+
+  const normalized = { ...result, price: price || null, shipping: shipping || null, priceNote };
+  if (typeof result.previousPrice === 'string') {
+    normalized.previousPrice = parseMoney(result.previousPrice);
+  }
+  return { ...normalized, total: calculateTotal(normalized) };
+}
+
+// Versioned result schema (migration 6 on, from schema.js)
+
+const CONDITIONS = [
+  'mint', 'near-mint', 'very-good-plus', 'very-good', 'good-plus', 'good', 'fair', 'poor',
+  'generic', 'no-cover', 'not-graded', 'new', 'used', 'various', 'unknown'
+];
+
+const CONDITION_NAMES = [
+  [/\bnear mint\b|\(nm\b|\bm-\)/i, 'near-mint'],
+  [/\bmint\b|\(m\)/i, 'mint'],
+  [/\bvery good plus\b|\(vg\+\)/i, 'very-good-plus'],
+  [/\bvery good\b|\(vg\)/i, 'very-good'],
+  [/\bgood plus\b|\(g\+\)/i, 'good-plus'],
+  [/\bgood\b|\(g\)/i, 'good'],
+  [/\bfair\b|\(f\)/i, 'fair'],
+  [/\bpoor\b|\(p\)/i, 'poor'],
+  [/\bgeneric\b/i, 'generic'],
+  [/\bno cover\b/i, 'no-cover'],
+  [/\bnot graded\b/i, 'not-graded'],
+  [/\bnew\b|\bsealed\b/i, 'new'],
+  [/\bused\b|\bpre-owned\b|\brefurbished\b/i, 'used'],
+  [/\bvarious\b/i, 'various']
+];
+
+function normalizeCondition(text) {
+  if (text === null || text === undefined || text === '' || /^n\/?a$/i.test(text)) return null;
+  if (CONDITIONS.includes(text)) return text;
+  return CONDITION_NAMES.find(([pattern]) => pattern.test(text))?.[1] || 'unknown';
+}
+
+function toYear(value) {
+  const year = parseInt(value);
+  return Number.isFinite(year) && year > 0 ? year : null;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function resultId({ kind, source, listingId, releaseId, itemId, link }) {
+  const prefix = (source || '').toLowerCase();
+  if (kind === 'search') return `${prefix}:search:${link}`;
+  if (listingId) return `${prefix}:listing:${listingId}`;
+  if (itemId) return `${prefix}:item:${itemId}`;
+  if (releaseId) return `${prefix}:release:${releaseId}`;
+  return `${prefix}:link:${link}`;
+}
+
+// A stored result rebuilt in a schema version (from 2), with its id and kind
+// worked out again. Results already in that version are left alone.
+export function resultInSchema(result, version) {
+  if (result?.schemaVersion === version) return result;
+
+  const fields = { ...result, id: undefined, kind: undefined };
+  const priced = withStructuredPrices(fields);
+  const kind = fields.isSearch ? 'search' : fields.listingId || fields.itemId ? 'listing' : 'release';
+
+  const upgraded = {
+    schemaVersion: version,
+    id: null,
+    kind,
+    isSearch: kind === 'search',
+    artist: fields.artist,
+    album: fields.album,
+    year: toYear(fields.year),
+    price: priced.price,
+    priceNote: priced.priceNote,
+    shipping: priced.shipping,
+    total: priced.total,
+    condition: normalizeCondition(fields.condition),
+    sleeveCondition: normalizeCondition(fields.sleeveCondition),
+    source: fields.source,
+    link: fields.link,
+    country: fields.country && !/^(n\/?a|unknown|various)$/i.test(fields.country) ? fields.country : null,
+    seller: fields.seller || null,
+    sellerRating: toNumber(fields.sellerRating),
+    releaseId: fields.releaseId ?? null,
+    listingId: fields.listingId ?? null,
+    itemId: fields.itemId ?? null
+  };
+  if (version >= 3) {
+    upgraded.masterId = fields.masterId || null;
+    upgraded.groupKey = fields.groupKey ?? null;
+    upgraded.groupTitle = fields.groupTitle ?? null;
+  }
+  if (version >= 4) {
+    upgraded.marketplace = fields.marketplace || null;
+    upgraded.saleType = fields.saleType || null;
+    upgraded.bidCount = Number.isInteger(fields.bidCount) ? fields.bidCount : null;
+    upgraded.auctionEndsAt = fields.auctionEndsAt || null;
+  }
+  upgraded.id = resultId(upgraded);
+
+  for (const key of ['itemKey', 'priceTrend', 'previousPrice']) {
+    if (priced[key] !== undefined) upgraded[key] = priced[key];
+  }
+  return upgraded;
+}
+
+// Album groups (migration 8, from grouping.js)
+
+// Words that describe the copy rather than the album
+const NOISE_WORDS = new Set([
+  'lp', 'lps', '2lp', '2xlp', '3lp', 'ep', 'vinyl', 'record', 'records', 'album', 'new', 'sealed', 'mint',
+  'used', 'rare', 'original', 'pressing', 'press', 'reissue', 'remastered', 'remaster', 'edition',
+  'deluxe', 'limited', 'colored', 'coloured', 'gatefold', '180g', '180', 'gram', 'g', 'rpm', '33', '45',
+  'ltd', 'import', 'us', 'uk', 'eu', 'first', '1st', 'the', 'a', 'of', 'and', 'vg', 'nm'
+]);
+
+// Share of an album title's words a listing title must contain to match it
+const MATCH_THRESHOLD = 0.8;
+
+function words(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(word => word && !NOISE_WORDS.has(word));
+}
+
+// Key for grouping titles that differ only in case, punctuation, noise
+// words or whether they repeat the artist's name
+function titleKey(title, artist = '') {
+  const artistWords = words(artist);
+  const titleWords = words(title);
+  const withoutArtist = titleWords.filter(word => !artistWords.includes(word));
+  return (withoutArtist.length > 0 ? withoutArtist : titleWords).join(' ');
+}
+
+// The album a listing title most likely is, or null. Artist words are
+// ignored, and among matching albums the one with the most words wins so
+// "Blue" doesn't take listings for "Blue Train".
+function matchAlbum(title, artist, albums) {
+  const artistWords = new Set(words(artist));
+  const titleWords = new Set(words(title).filter(word => !artistWords.has(word)));
+
+  let best = null;
+  for (const album of albums) {
+    if (album.words.length === 0) continue;
+    const matched = album.words.filter(word => titleWords.has(word)).length;
+    const score = matched / album.words.length;
+    const needed = album.words.length === 1 ? 1 : MATCH_THRESHOLD;
+    if (score >= needed && (!best || album.words.length > best.words.length)) {
+      best = album;
+    }
+  }
+  return best;
+}
+
+function discogsGroupKey(result) {
+  if (result.masterId) return `discogs:master:${result.masterId}`;
+  if (result.releaseId) return `discogs:release:${result.releaseId}`;
+  return null;
+}
+
+// One artist's results with groupKey and groupTitle set
+export function groupByAlbum(results) {
+  const albums = new Map();
+  for (const result of results) {
+    const key = result.isSearch ? null : discogsGroupKey(result);
+    if (key && !albums.has(key)) {
+      const albumKey = titleKey(result.album, result.artist);
+      albums.set(key, { key, title: result.album, titleKey: albumKey, words: albumKey.split(' ').filter(Boolean) });
+    }
+  }
+
+  // Pressings of one album without a shared master still group by title
+  const byTitle = new Map();
+  for (const album of albums.values()) {
+    if (!byTitle.has(album.titleKey)) byTitle.set(album.titleKey, album);
+  }
+
+  return results.map(result => {
+    if (result.isSearch) return { ...result, groupKey: null, groupTitle: null };
+
+    let album = albums.get(discogsGroupKey(result));
+    if (album) {
+      album = byTitle.get(album.titleKey);
+    } else {
+      album = matchAlbum(result.album, result.artist, byTitle.values());
+    }
+    if (album) {
+      return { ...result, groupKey: album.key, groupTitle: album.title };
+    }
+    const key = titleKey(result.album, result.artist);
+    return { ...result, groupKey: key ? `title:${key}` : `item:${result.id}`, groupTitle: result.album };
+  });
+}
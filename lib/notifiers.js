@@ -0,0 +1,89 @@
+// Notification sinks for price alerts
+// ALERT_SINKS picks which ones are used (comma-separated: log, webhook,
+// email). Each sink that fails is logged without stopping the others. The
+// webhook and email go to one server-wide destination, so they only carry
+// admins' alerts; everyone sees their own notifications in the app.
+
+import { appendFileSync } from 'fs';
+import { join } from 'path';
+import nodemailer from 'nodemailer';
+import { DATA_DIR } from './db.js';
+
+const DEFAULT_LOG_FILE = join(DATA_DIR, 'alerts.log');
+
+// Sinks whose destination is the admins', not the alert owner's
+const ADMIN_SINKS = ['webhook', 'email'];
+
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport(process.env.SMTP_URL || {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+  return transporter;
+}
+
+const sinks = {
+  log: async (notification) => {
+    const file = process.env.ALERT_LOG_FILE || DEFAULT_LOG_FILE;
+    appendFileSync(file, JSON.stringify({ time: new Date().toISOString(), ...notification }) + '\n');
+  },
+
+  webhook: async (notification) => {
+    const url = process.env.ALERT_WEBHOOK_URL;
+    if (!url) throw new Error('ALERT_WEBHOOK_URL not set');
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(notification)
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook returned ${response.status}`);
+    }
+  },
+
+  email: async (notification) => {
+    const to = process.env.ALERT_EMAIL_TO;
+    if (!to) throw new Error('ALERT_EMAIL_TO not set');
+
+    await getTransporter().sendMail({
+      from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+      to,
+      subject: notification.subject,
+      text: `${notification.message}\n\n${notification.listing.link}`
+    });
+  }
+};
+
+export function getEnabledSinks() {
+  const configured = (process.env.ALERT_SINKS || 'log')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  return configured.filter(name => {
+    if (sinks[name]) return true;
+    console.warn(`Unknown alert sink: ${name}`);
+    return false;
+  });
+}
+
+// Send a notification through every enabled sink. forAdmin says whether the
+// alert belongs to an admin; other users' alerts skip ADMIN_SINKS.
+export async function notify(notification, { forAdmin = false } = {}) {
+  const names = getEnabledSinks().filter(name => forAdmin || !ADMIN_SINKS.includes(name));
+  await Promise.all(names.map(async (name) => {
+    try {
+      await sinks[name](notification);
+    } catch (error) {
+      console.error(`Alert sink ${name} failed:`, error.message);
+    }
+  }));
+}
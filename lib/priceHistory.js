@@ -0,0 +1,74 @@
+// Price snapshots per listing or release, kept across refreshes so we can
+// tell when something got cheaper. Each watchlist has its own snapshots.
+
+import { db } from './db.js';
+import { normalizeMoney, convert } from './currency.js';
+
+// Stable key for the thing a result prices: a Discogs listing, a Discogs
+// release (when only its lowest price is known) or an eBay item. This is the
+// result's schema id; search links have no key and no history.
+export function getItemKey(result) {
+  return result.isSearch ? null : result.id;
+}
+
+// Prices in different currencies (a seller switching currency) are compared
+// after converting the previous price
+function compare(price, previousPrice) {
+  const previous = price && convert(previousPrice, price.currency);
+  if (!price || !previous) return null;
+  if (price.amount < previous.amount) return 'down';
+  if (price.amount > previous.amount) return 'up';
+  return 'same';
+}
+
+// Record a snapshot for each result and annotate it with the trend since the
+// previous snapshot: priceTrend is 'down', 'up', 'same' or 'new', and
+// previousPrice holds the earlier { amount, currency } when there was one.
+// Only snapshots from the same watchlist count.
+export function recordPriceSnapshots(results, { watchlistId, artistId, runId, takenAt }) {
+  const previous = db.prepare(`
+    SELECT price_value, currency FROM price_snapshots
+    WHERE watchlist_id = ? AND item_key = ? AND taken_at < ?
+    ORDER BY taken_at DESC LIMIT 1
+  `);
+  const insert = db.prepare(`
+    INSERT INTO price_snapshots (item_key, watchlist_id, artist_id, search_run_id, source, album, price_value,
+      currency, taken_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  return results.map(result => {
+    const itemKey = getItemKey(result);
+    if (!itemKey) return result;
+
+    const price = normalizeMoney(result.price);
+    const last = previous.get(watchlistId, itemKey, takenAt);
+    insert.run(itemKey, watchlistId, artistId, runId, result.source, result.album, price?.amount ?? null,
+      price?.currency ?? null, takenAt);
+
+    if (!last) {
+      return { ...result, itemKey, priceTrend: 'new' };
+    }
+    const previousPrice = last.price_value === null ? null : { amount: last.price_value, currency: last.currency };
+    return {
+      ...result,
+      itemKey,
+      priceTrend: compare(price, previousPrice),
+      previousPrice
+    };
+  });
+}
+
+// Every snapshot for one item in a watchlist, oldest first
+export function getPriceHistory(watchlistId, itemKey) {
+  return db.prepare(`
+    SELECT s.price_value, s.currency, s.taken_at AS takenAt,
+      s.search_run_id AS runId, s.album, s.source
+    FROM price_snapshots s
+    WHERE s.watchlist_id = ? AND s.item_key = ?
+    ORDER BY s.taken_at
+  `).all(watchlistId, itemKey).map(({ price_value, currency, ...snapshot }) => ({
+    ...snapshot,
+    price: price_value === null ? null : { amount: price_value, currency }
+  }));
+}
@@ -0,0 +1,60 @@
+// Price helpers. Totals are computed here so the frontend, queries and
+// price alerts all agree on them.
+
+import { parseMoney, normalizeMoney, convert, BASE_CURRENCY } from './currency.js';
+
+// Amount of a price in any form (legacy strings included), ignoring currency
+export function parsePrice(value) {
+  return normalizeMoney(value)?.amount ?? null;
+}
+
+function round(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Item price plus shipping, in the item's currency (shipping in another
+// currency is converted first), or null when the result has no price
+export function calculateTotal(result) {
+  const price = normalizeMoney(result.price);
+  if (!price) return null;
+
+  const currency = price.currency || BASE_CURRENCY;
+  const shipping = convert(normalizeMoney(result.shipping), currency);
+  return { amount: round(price.amount + (shipping?.amount || 0)), currency };
+}
+
+// Total in one currency (the base currency by default), for comparing
+// results from different sources
+export function totalIn(result, currency = BASE_CURRENCY) {
+  return convert(calculateTotal(result), currency);
+}
+
+// Older results kept prices as display strings: "12.99 EUR", "From $12", or
+// prose like "Various" and "3 for sale". Strings with a currency become
+// money; anything else moves to priceNote.
+function legacyPrice(text) {
+  const money = parseMoney(text);
+  if (!money || !money.currency) {
+    return { price: null, priceNote: text || null };
+  }
+  return { price: money, priceNote: /^from\b/i.test(text.trim()) ? 'lowest price' : null };
+}
+
+// Give a result structured { amount, currency } price and shipping fields
+// and its total
+export function withPrices(result) {
+  let { price, shipping, priceNote = null } = result;
+
+  if (typeof price === 'string') {
+    ({ price, priceNote } = legacyPrice(price));
+  }
+  if (typeof shipping === 'string') {
+    shipping = normalizeMoney(shipping);
+  }
+
+  const normalized = { ...result, price: price || null, shipping: shipping || null, priceNote };
+  if (typeof result.previousPrice === 'string') {
+    normalized.previousPrice = parseMoney(result.previousPrice);
+  }
+  return { ...normalized, total: calculateTotal(normalized) };
+}
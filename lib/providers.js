@@ -0,0 +1,57 @@
+// Marketplace provider registry
+// Each marketplace module registers a name, a display label, its capabilities
+// and a search function, called as search(artist, details, options) where
+// details holds what's known about the artist (see getArtistDetails in
+// storage.js) and options are the search's options (see searchOptions.js).
+// For an album-level want (see wants.js) details also has its album, catno
+// and releaseId, and the search should be about that record.
+// Routes run whatever providers are enabled instead of calling each
+// marketplace directly.
+
+const providers = new Map();
+
+export function registerProvider({ name, label, capabilities = [], search }) {
+  if (!name || typeof search !== 'function') {
+    throw new Error('Provider needs a name and a search function');
+  }
+  if (providers.has(name)) {
+    throw new Error(`Provider already registered: ${name}`);
+  }
+  providers.set(name, { name, label: label || name, capabilities, search });
+}
+
+export function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+// Names listed in PROVIDERS (comma-separated), or every registered provider
+function getEnabledNames() {
+  const configured = (process.env.PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return configured.length > 0 ? configured : [...providers.keys()];
+}
+
+// Enabled providers in registration order, which is also the search order
+export function getEnabledProviders() {
+  const enabled = getEnabledNames();
+  return [...providers.values()].filter(p => enabled.includes(p.name));
+}
+
+// Configured names that don't match any registered provider
+export function getUnknownProviderNames() {
+  return getEnabledNames().filter(name => !providers.has(name));
+}
+
+// Public description of each provider for the frontend
+export function describeProviders() {
+  const enabled = getEnabledNames();
+  return [...providers.values()].map(p => ({
+    name: p.name,
+    label: p.label,
+    capabilities: p.capabilities,
+    enabled: enabled.includes(p.name)
+  }));
+}
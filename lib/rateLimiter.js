@@ -0,0 +1,91 @@
+// Per-provider token bucket rate limiting
+// Buckets are shared by every search running in the process, so concurrent
+// searches still respect each marketplace's limits as a whole.
+
+const buckets = new Map();
+
+function refill(bucket) {
+  const now = Date.now();
+  const elapsed = (now - bucket.updatedAt) / 1000;
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.refillPerSecond);
+  bucket.updatedAt = now;
+}
+
+// capacity: largest burst allowed; refillPerSecond: sustained request rate
+export function configureRateLimit(name, { capacity, refillPerSecond }) {
+  buckets.set(name, {
+    capacity,
+    refillPerSecond,
+    tokens: capacity,
+    updatedAt: Date.now(),
+    queue: Promise.resolve()
+  });
+}
+
+async function waitForToken(bucket) {
+  refill(bucket);
+  while (bucket.tokens < 1) {
+    const waitMs = Math.ceil(((1 - bucket.tokens) / bucket.refillPerSecond) * 1000);
+    await new Promise(resolve => setTimeout(resolve, waitMs));
+    refill(bucket);
+  }
+  bucket.tokens -= 1;
+}
+
+// Wait until a request to this provider is allowed. Callers are served in
+// the order they asked. Providers without a configured limit never wait.
+export function acquire(name) {
+  const bucket = buckets.get(name);
+  if (!bucket) return Promise.resolve();
+
+  const turn = bucket.queue.then(() => waitForToken(bucket));
+  bucket.queue = turn.catch(() => {});
+  return turn;
+}
+
+// Take a token if one is left, without waiting. Returns false when the
+// bucket is empty. The bucket is set up with limits on first use.
+export function tryAcquire(name, limits) {
+  if (!buckets.has(name)) configureRateLimit(name, limits);
+  const bucket = buckets.get(name);
+  refill(bucket);
+  if (bucket.tokens < 1) return false;
+  bucket.tokens -= 1;
+  return true;
+}
+
+// Forget buckets named with prefix that have filled up again, as a new one
+// would be the same. Keeps per-client buckets from piling up.
+export function pruneRateLimits(prefix) {
+  for (const [name, bucket] of buckets) {
+    if (!name.startsWith(prefix)) continue;
+    refill(bucket);
+    if (bucket.tokens >= bucket.capacity) buckets.delete(name);
+  }
+}
+
+// Apply limits reported by the provider itself (e.g. rate limit headers).
+// limit: requests allowed per window; remaining: requests left in the window
+export function updateRateLimit(name, { limit, windowSeconds = 60, remaining } = {}) {
+  const bucket = buckets.get(name);
+  if (!bucket) return;
+
+  refill(bucket);
+  if (Number.isFinite(limit) && limit > 0) {
+    bucket.refillPerSecond = limit / windowSeconds;
+  }
+  if (Number.isFinite(remaining)) {
+    bucket.tokens = Math.min(bucket.tokens, Math.max(remaining, 0));
+  }
+}
+
+export function getRateLimitState() {
+  return Object.fromEntries([...buckets].map(([name, bucket]) => {
+    refill(bucket);
+    return [name, {
+      tokens: Math.floor(bucket.tokens),
+      capacity: bucket.capacity,
+      refillPerSecond: bucket.refillPerSecond
+    }];
+  }));
+}
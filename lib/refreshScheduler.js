@@ -0,0 +1,162 @@
+// Scheduled automatic refresh
+// Re-runs the refresh of every user's selected watchlist on a cron
+// expression, set with REFRESH_CRON or by an admin through the settings
+// endpoint. Each list is refreshed by its own job, and a list is skipped
+// while an earlier refresh of it is still going.
+
+import { parseCron, nextCronRun } from './cron.js';
+import { getSetting, setSetting } from './settings.js';
+import { getArtistNames } from './storage.js';
+import { getCurrentWatchlist } from './watchlists.js';
+import { listUsers } from './users.js';
+import { createJob, getJob, findActiveJob, subscribe } from './jobs.js';
+
+const SCHEDULE_KEY = 'refreshSchedule';
+const LAST_RUN_KEY = 'refreshScheduleLastRun';
+
+// setTimeout can't wait longer than this, so long waits are chained
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+let timer = null;
+let nextRun = null;
+
+// Saved schedule, falling back to REFRESH_CRON until one is saved
+export function getRefreshSchedule() {
+  return getSetting(SCHEDULE_KEY, {
+    cron: process.env.REFRESH_CRON || null,
+    enabled: !!process.env.REFRESH_CRON
+  });
+}
+
+// Throws if the cron expression is invalid
+export function setRefreshSchedule({ cron, enabled }) {
+  if (enabled) {
+    if (!cron) throw new Error('A cron expression is required to enable the schedule');
+    parseCron(cron);
+  }
+  setSetting(SCHEDULE_KEY, { cron: cron || null, enabled: !!enabled });
+  resetTimer();
+}
+
+// Keep the last-run status up to date until every job of the run finishes.
+// The run fails or is cancelled with the first job that did.
+function watchRun(jobIds, startedAt) {
+  let running = jobIds.length;
+  for (const jobId of jobIds) {
+    subscribe(jobId, Infinity, () => {}, () => {
+      console.log(`Scheduled refresh job ${jobId} ${getJob(jobId).status}`);
+      if (--running > 0) return;
+
+      const unfinished = jobIds.map(getJob).find(job => job.status !== 'completed');
+      setSetting(LAST_RUN_KEY, {
+        status: unfinished?.status || 'completed',
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        jobIds,
+        error: unfinished?.error || null
+      });
+    });
+  }
+}
+
+function runScheduledRefresh() {
+  const startedAt = new Date().toISOString();
+  const skip = (reason, jobIds = []) => {
+    console.log(`Scheduled refresh skipped: ${reason}`);
+    setSetting(LAST_RUN_KEY, { status: 'skipped', startedAt, finishedAt: startedAt, jobIds, error: reason });
+  };
+
+  try {
+    const jobIds = [];
+    const stillRunning = [];
+    for (const user of listUsers()) {
+      const watchlist = getCurrentWatchlist(user.id);
+      const artists = getArtistNames(watchlist.id);
+      if (artists.length === 0) continue;
+
+      const running = findActiveJob('refresh', watchlist.id);
+      if (running) {
+        console.log(`Scheduled refresh of ${user.username}'s list skipped: job ${running.id} is still ${running.status}`);
+        stillRunning.push(running.id);
+        continue;
+      }
+
+      const job = createJob({
+        userId: user.id, watchlistId: watchlist.id, mode: 'refresh', artists, trigger: 'schedule'
+      });
+      console.log(`Scheduled refresh started: job ${job.id}, ${artists.length} artists in ${user.username}'s list`);
+      jobIds.push(job.id);
+    }
+    if (jobIds.length === 0) {
+      return skip(stillRunning.length > 0 ? 'earlier refreshes are still going' : 'no saved artists', stillRunning);
+    }
+
+    setSetting(LAST_RUN_KEY, { status: 'running', startedAt, finishedAt: null, jobIds, error: null });
+    watchRun(jobIds, startedAt);
+  } catch (error) {
+    console.error('Scheduled refresh failed:', error);
+    setSetting(LAST_RUN_KEY, {
+      status: 'failed', startedAt, finishedAt: new Date().toISOString(), jobIds: [], error: error.message
+    });
+  }
+}
+
+function scheduleNext(cron) {
+  nextRun = nextCronRun(cron);
+  if (!nextRun) return;
+
+  const wait = () => {
+    const remaining = nextRun.getTime() - Date.now();
+    if (remaining > 0) {
+      timer = setTimeout(wait, Math.min(remaining, MAX_TIMEOUT));
+      return;
+    }
+    // The next run is scheduled whatever happens to this one
+    try {
+      runScheduledRefresh();
+    } finally {
+      scheduleNext(cron);
+    }
+  };
+  wait();
+}
+
+// (Re)start the timer from the saved schedule
+function resetTimer() {
+  clearTimeout(timer);
+  timer = null;
+  nextRun = null;
+
+  const { cron, enabled } = getRefreshSchedule();
+  if (!enabled || !cron) return;
+
+  try {
+    scheduleNext(parseCron(cron));
+    console.log(`Scheduled refresh "${cron}", next run ${nextRun?.toLocaleString() || 'never'}`);
+  } catch (error) {
+    console.error(`Invalid refresh schedule "${cron}": ${error.message}`);
+  }
+}
+
+// Call once on startup, after unfinished jobs have been resumed
+export function startRefreshScheduler() {
+  // A scheduled run that was going when the server stopped carries on as
+  // jobs. Runs from before there were accounts had a single jobId.
+  const lastRun = getSetting(LAST_RUN_KEY);
+  const jobIds = lastRun?.jobIds || (lastRun?.jobId ? [lastRun.jobId] : []);
+  if (lastRun?.status === 'running' && jobIds.length > 0 && jobIds.every(getJob)) {
+    watchRun(jobIds, lastRun.startedAt);
+  }
+
+  resetTimer();
+}
+
+export function getRefreshSchedulerStatus() {
+  const { cron, enabled } = getRefreshSchedule();
+  return {
+    enabled,
+    cron,
+    nextRun: nextRun ? nextRun.toISOString() : null,
+    lastRun: getSetting(LAST_RUN_KEY)
+  };
+}
@@ -0,0 +1,84 @@
+// HTTP requests with timeouts and retries, shared by the providers
+// Network errors, timeouts, 429s and 5xx responses are retried with
+// exponential backoff and full jitter, honouring Retry-After when the server
+// sends one. Anything else, or running out of attempts, throws.
+
+const DEFAULT_RETRIES = parseInt(process.env.PROVIDER_MAX_RETRIES) || 3;
+const DEFAULT_TIMEOUT = parseInt(process.env.PROVIDER_TIMEOUT_MS) || 15000;
+const BASE_DELAY = 1000;
+const MAX_DELAY = 60000;
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Random delay up to BASE_DELAY * 2^attempt, capped at MAX_DELAY
+export function backoffDelay(attempt) {
+  return Math.random() * Math.min(MAX_DELAY, BASE_DELAY * 2 ** attempt);
+}
+
+// Retry-After as milliseconds (seconds or an HTTP date), or null
+function retryAfter(response) {
+  const value = response.headers.get('Retry-After');
+  if (!value) return null;
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+  return Number.isFinite(ms) ? Math.min(Math.max(ms, 0), MAX_DELAY) : null;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// fetch() that retries. Besides the usual fetch options:
+//   label         - provider name for errors and logs, e.g. 'Discogs'
+//   retries       - retries after the first attempt (PROVIDER_MAX_RETRIES)
+//   timeout       - milliseconds per attempt (PROVIDER_TIMEOUT_MS)
+//   beforeAttempt - awaited before every attempt, e.g. to take a rate limit token
+//   onResponse    - called with every response, e.g. to read rate limit headers
+// Resolves with the first ok response. Failures throw an Error with the
+// response status (if there was one) and the number of attempts made.
+export async function fetchWithRetry(url, {
+  label = 'Request',
+  retries = DEFAULT_RETRIES,
+  timeout = DEFAULT_TIMEOUT,
+  beforeAttempt,
+  onResponse,
+  ...fetchOptions
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const attemptsLeft = attempt < retries;
+    let delay;
+
+    if (beforeAttempt) await beforeAttempt();
+
+    try {
+      const response = await fetch(url, { ...fetchOptions, signal: AbortSignal.timeout(timeout) });
+      if (onResponse) onResponse(response);
+      if (response.ok) return response;
+
+      const body = await response.text().catch(() => '');
+      if (!attemptsLeft || !isRetryableStatus(response.status)) {
+        const error = new Error(`${label} API error: ${response.status} ${response.statusText}${body ? ` - ${body.slice(0, 200)}` : ''}`);
+        error.status = response.status;
+        error.attempts = attempt + 1;
+        throw error;
+      }
+      delay = retryAfter(response) ?? backoffDelay(attempt);
+      console.log(`${label} returned ${response.status}, retrying in ${Math.round(delay / 1000)}s...`);
+    } catch (error) {
+      if (error.status) throw error;
+      if (!attemptsLeft) {
+        const failure = new Error(error.name === 'TimeoutError'
+          ? `${label} request timed out after ${timeout / 1000}s`
+          : `${label} request failed: ${error.message}`, { cause: error });
+        failure.attempts = attempt + 1;
+        throw failure;
+      }
+      delay = backoffDelay(attempt);
+      console.log(`${label} request failed (${error.message}), retrying in ${Math.round(delay / 1000)}s...`);
+    }
+
+    await sleep(delay);
+  }
+}
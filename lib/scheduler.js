@@ -0,0 +1,103 @@
+// Concurrent search scheduler
+// Every provider works through the artist list in its own lane, searching up
+// to SEARCH_CONCURRENCY artists at once. Lanes run in parallel, so a slow,
+// rate-limited provider doesn't hold up the others.
+
+import { validateResults } from './schema.js';
+import { groupResults } from './grouping.js';
+import { parseSearchOptions } from './searchOptions.js';
+
+const DEFAULT_CONCURRENCY = 4;
+
+export function getSearchConcurrency() {
+  return parseInt(process.env.SEARCH_CONCURRENCY) || DEFAULT_CONCURRENCY;
+}
+
+// Search every artist with every provider. Providers are called with the
+// artist name, whatever getArtistDetails returns for it (such as a pinned
+// Discogs artist) and the search options. Album-level entries are named by
+// their want's label, so providers get the want's artist instead. onEvent
+// receives 'progress' events as searches start and finish, and a 'results'
+// event for each artist once all providers are done with it, grouped by
+// album (see grouping.js). A provider that fails for an artist sends a
+// 'providerError' event, and the artist's 'results' event lists those
+// failures under errors, so a source that is down isn't mistaken for one
+// with nothing to sell.
+// Resolves with all results in artist order, then provider order. Results
+// that don't match the schema are dropped. Once signal is aborted no new
+// searches start.
+export async function runSearch(artists, providers, {
+  concurrency = getSearchConcurrency(),
+  getArtistDetails = () => ({}),
+  options = parseSearchOptions(),
+  onEvent = () => {},
+  signal
+} = {}) {
+  const resultsByArtist = artists.map(() => providers.map(() => []));
+  const errorsByArtist = artists.map(() => []);
+  const providersLeft = artists.map(() => providers.length);
+  const active = [];
+  const totalTasks = artists.length * providers.length;
+  let completedTasks = 0;
+  let completedArtists = 0;
+
+  const sendProgress = (artist, provider, status) => {
+    onEvent({
+      type: 'progress',
+      artist,
+      step: provider.name,
+      status,
+      completed: completedArtists,
+      total: artists.length,
+      tasksCompleted: completedTasks,
+      tasksTotal: totalTasks,
+      active: active.map(task => ({ artist: task.artist, step: task.step }))
+    });
+  };
+
+  async function searchOne(artistIndex, providerIndex) {
+    const artist = artists[artistIndex];
+    const provider = providers[providerIndex];
+    const task = { artist, step: provider.name };
+
+    active.push(task);
+    sendProgress(artist, provider, 'started');
+
+    try {
+      const details = getArtistDetails(artist);
+      const results = await provider.search(details.artist || artist, details, options);
+      resultsByArtist[artistIndex][providerIndex] = validateResults(results, provider.label);
+    } catch (error) {
+      console.error(`${provider.label} search failed for ${artist}:`, error.message);
+      const providerError = { provider: provider.name, label: provider.label, message: error.message };
+      errorsByArtist[artistIndex].push(providerError);
+      onEvent({ type: 'providerError', artist, ...providerError });
+    }
+
+    active.splice(active.indexOf(task), 1);
+    completedTasks++;
+
+    if (--providersLeft[artistIndex] === 0) {
+      completedArtists++;
+      const results = groupResults(resultsByArtist[artistIndex].flat());
+      resultsByArtist[artistIndex] = [results];
+      onEvent({ type: 'results', artist, results, errors: errorsByArtist[artistIndex] });
+    }
+    sendProgress(artist, provider, 'done');
+  }
+
+  async function runLane(providerIndex) {
+    let next = 0;
+    const worker = async () => {
+      while (next < artists.length && !signal?.aborted) {
+        await searchOne(next++, providerIndex);
+      }
+    };
+    const workers = Math.min(concurrency, artists.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+  }
+
+  await Promise.all(providers.map((provider, providerIndex) => runLane(providerIndex)));
+
+  return resultsByArtist.flat(2);
+}
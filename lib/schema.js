@@ -0,0 +1,222 @@
+// Result schema shared by every provider
+// Providers build results with createResult, and everything they return is
+// validated before it is streamed or stored. Results saved under an older
+// schema are brought up to date with migrateResult.
+//
+// A result (schema version 4):
+//   schemaVersion   4
+//   id              stable across searches, e.g. 'discogs:listing:123',
+//                   'discogs:release:456', 'ebay:item:v1|789|0', 'amazon:search:<link>'
+//   kind            'listing' (one item for sale), 'release' (a release with
+//                   at most a lowest price) or 'search' (a link to search results)
+//   isSearch        kind === 'search'
+//   artist, album   non-empty strings
+//   year            number or null
+//   price           { amount, currency } or null
+//   priceNote       text shown with or instead of the price ('lowest price',
+//                   '3 for sale', 'No listings') or null
+//   shipping        { amount, currency } or null
+//   total           price + shipping in the price's currency, or null
+//   condition       one of CONDITIONS or null, and sleeveCondition likewise
+//   source          marketplace name, e.g. 'Discogs'
+//   link            http(s) URL
+//   country, seller           strings or null
+//   sellerRating              percentage or null
+//   releaseId, listingId      Discogs ids or null
+//   masterId                  Discogs master release id or null
+//   itemId                    eBay item id or null
+//   marketplace               eBay marketplace id, e.g. 'EBAY_GB', or null
+//   saleType                  one of SALE_TYPES, or null when unknown
+//   bidCount                  bids so far on an auction, or null
+//   auctionEndsAt             ISO time an auction ends, or null
+//   groupKey, groupTitle      the album the result belongs to across
+//                             pressings and sources (see grouping.js), or null
+// Storage adds itemKey, priceTrend and previousPrice (see priceHistory.js).
+
+import { withPrices } from './pricing.js';
+
+export const SCHEMA_VERSION = 4;
+
+export const RESULT_KINDS = ['listing', 'release', 'search'];
+
+// How a listing is sold: at a fixed price (Buy It Now) or by auction, where
+// the price is the current bid
+export const SALE_TYPES = ['fixed-price', 'auction'];
+
+// Goldmine grades as used by Discogs, then generic conditions
+export const CONDITIONS = [
+  'mint', 'near-mint', 'very-good-plus', 'very-good', 'good-plus', 'good', 'fair', 'poor',
+  'generic', 'no-cover', 'not-graded', 'new', 'used', 'various', 'unknown'
+];
+
+const CONDITION_NAMES = [
+  [/\bnear mint\b|\(nm\b|\bm-\)/i, 'near-mint'],
+  [/\bmint\b|\(m\)/i, 'mint'],
+  [/\bvery good plus\b|\(vg\+\)/i, 'very-good-plus'],
+  [/\bvery good\b|\(vg\)/i, 'very-good'],
+  [/\bgood plus\b|\(g\+\)/i, 'good-plus'],
+  [/\bgood\b|\(g\)/i, 'good'],
+  [/\bfair\b|\(f\)/i, 'fair'],
+  [/\bpoor\b|\(p\)/i, 'poor'],
+  [/\bgeneric\b/i, 'generic'],
+  [/\bno cover\b/i, 'no-cover'],
+  [/\bnot graded\b/i, 'not-graded'],
+  [/\bnew\b|\bsealed\b/i, 'new'],
+  [/\bused\b|\bpre-owned\b|\brefurbished\b/i, 'used'],
+  [/\bvarious\b/i, 'various']
+];
+
+// Map marketplace condition text ("Very Good Plus (VG+)", "Pre-owned") onto
+// CONDITIONS. Missing or "N/A" conditions are null.
+export function normalizeCondition(text) {
+  if (text === null || text === undefined || text === '' || /^n\/?a$/i.test(text)) return null;
+  if (CONDITIONS.includes(text)) return text;
+  return CONDITION_NAMES.find(([pattern]) => pattern.test(text))?.[1] || 'unknown';
+}
+
+function toYear(value) {
+  const year = parseInt(value);
+  return Number.isFinite(year) && year > 0 ? year : null;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function resultId({ kind, source, listingId, releaseId, itemId, link }) {
+  const prefix = (source || '').toLowerCase();
+  if (kind === 'search') return `${prefix}:search:${link}`;
+  if (listingId) return `${prefix}:listing:${listingId}`;
+  if (itemId) return `${prefix}:item:${itemId}`;
+  if (releaseId) return `${prefix}:release:${releaseId}`;
+  return `${prefix}:link:${link}`;
+}
+
+// Build a result in the current schema. kind defaults from what's given:
+// isSearch makes a search link, a listing or item id a listing, and
+// anything else a release.
+export function createResult(fields) {
+  const priced = withPrices(fields);
+  const kind = fields.kind
+    || (fields.isSearch ? 'search' : fields.listingId || fields.itemId ? 'listing' : 'release');
+
+  const result = {
+    schemaVersion: SCHEMA_VERSION,
+    id: null,
+    kind,
+    isSearch: kind === 'search',
+    artist: fields.artist,
+    album: fields.album,
+    year: toYear(fields.year),
+    price: priced.price,
+    priceNote: priced.priceNote,
+    shipping: priced.shipping,
+    total: priced.total,
+    condition: normalizeCondition(fields.condition),
+    sleeveCondition: normalizeCondition(fields.sleeveCondition),
+    source: fields.source,
+    link: fields.link,
+    country: fields.country && !/^(n\/?a|unknown|various)$/i.test(fields.country) ? fields.country : null,
+    seller: fields.seller || null,
+    sellerRating: toNumber(fields.sellerRating),
+    releaseId: fields.releaseId ?? null,
+    listingId: fields.listingId ?? null,
+    masterId: fields.masterId || null,
+    itemId: fields.itemId ?? null,
+    marketplace: fields.marketplace || null,
+    saleType: fields.saleType || null,
+    bidCount: Number.isInteger(fields.bidCount) ? fields.bidCount : null,
+    auctionEndsAt: fields.auctionEndsAt || null,
+    groupKey: fields.groupKey ?? null,
+    groupTitle: fields.groupTitle ?? null
+  };
+  result.id = fields.id || resultId(result);
+
+  // Keep price history annotations on migrated results
+  for (const key of ['itemKey', 'priceTrend', 'previousPrice']) {
+    if (priced[key] !== undefined) result[key] = priced[key];
+  }
+  return result;
+}
+
+function isMoney(value) {
+  return value === null
+    || (typeof value === 'object' && Number.isFinite(value.amount) && value.amount >= 0
+      && /^[A-Z]{3}$/.test(value.currency || ''));
+}
+
+function isUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Problems with a result, or an empty list when it matches the schema
+export function validateResult(result) {
+  const errors = [];
+  const check = (ok, message) => {
+    if (!ok) errors.push(message);
+  };
+  const isText = (value) => typeof value === 'string' && value.trim() !== '';
+  const isTextOrNull = (value) => value === null || typeof value === 'string';
+
+  if (!result || typeof result !== 'object') return ['not an object'];
+
+  check(result.schemaVersion === SCHEMA_VERSION, `schemaVersion must be ${SCHEMA_VERSION}`);
+  check(isText(result.id), 'id required');
+  check(RESULT_KINDS.includes(result.kind), `kind must be one of ${RESULT_KINDS.join(', ')}`);
+  check(result.isSearch === (result.kind === 'search'), 'isSearch must match kind');
+  check(isText(result.artist), 'artist required');
+  check(isText(result.album), 'album required');
+  check(result.year === null || Number.isInteger(result.year), 'year must be a whole number or null');
+  check(isMoney(result.price), 'price must be { amount, currency } or null');
+  check(isMoney(result.shipping), 'shipping must be { amount, currency } or null');
+  check(isMoney(result.total), 'total must be { amount, currency } or null');
+  check(isTextOrNull(result.priceNote), 'priceNote must be text or null');
+  check(result.condition === null || CONDITIONS.includes(result.condition), `unknown condition ${result.condition}`);
+  check(result.sleeveCondition === null || CONDITIONS.includes(result.sleeveCondition),
+    `unknown sleeve condition ${result.sleeveCondition}`);
+  check(isText(result.source), 'source required');
+  check(isUrl(result.link), 'link must be an http(s) URL');
+  check(isTextOrNull(result.country) && isTextOrNull(result.seller), 'country and seller must be text or null');
+  check(result.sellerRating === null || Number.isFinite(result.sellerRating), 'sellerRating must be a number or null');
+  check(result.masterId === null || Number.isInteger(result.masterId), 'masterId must be a whole number or null');
+  check(isTextOrNull(result.marketplace), 'marketplace must be text or null');
+  check(result.saleType === null || SALE_TYPES.includes(result.saleType),
+    `saleType must be one of ${SALE_TYPES.join(', ')} or null`);
+  check(result.bidCount === null || (Number.isInteger(result.bidCount) && result.bidCount >= 0),
+    'bidCount must be a whole number or null');
+  check(result.auctionEndsAt === null || !Number.isNaN(Date.parse(result.auctionEndsAt)),
+    'auctionEndsAt must be a time or null');
+  check(isTextOrNull(result.groupKey) && isTextOrNull(result.groupTitle), 'groupKey and groupTitle must be text or null');
+  check(result.kind !== 'listing' || result.price !== null || result.priceNote !== null,
+    'listing needs a price or a price note');
+
+  return errors;
+}
+
+// Keep the valid results from a provider, logging the rest
+export function validateResults(results, provider) {
+  if (!Array.isArray(results)) {
+    console.error(`${provider} returned ${typeof results} instead of a list of results`);
+    return [];
+  }
+  return results.filter(result => {
+    const errors = validateResult(result);
+    if (errors.length > 0) {
+      console.warn(`Rejected ${provider} result "${result?.artist} – ${result?.album}": ${errors.join('; ')}`);
+      return false;
+    }
+    return true;
+  });
+}
+
+// Bring a result saved under any earlier schema (string prices, missing
+// isSearch, free-text conditions) up to the current one
+export function migrateResult(result) {
+  if (result?.schemaVersion === SCHEMA_VERSION) return result;
+  return createResult({ ...result, id: undefined, kind: undefined });
+}
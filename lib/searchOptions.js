@@ -0,0 +1,144 @@
+// Per-search options, sent with a search and passed to every provider
+//   depth     - how many releases to look at per artist (Discogs)
+//   formats   - format details to keep, any of FORMATS (Discogs)
+//   yearFrom / yearTo - release year range, inclusive (Discogs)
+//   country   - release country, e.g. 'UK' (Discogs)
+//   label     - record label (Discogs)
+//   marketplaces - eBay marketplace ids, e.g. ['EBAY_US', 'EBAY_GB'] (eBay)
+//   listings  - how many listings to fetch per artist and marketplace (eBay)
+//   condition - 'new' or 'used' (eBay)
+//   buyingOptions - any of BUYING_OPTIONS; none means both (eBay)
+//   priceMin / priceMax - item price range in priceCurrency (eBay)
+//   deliveryCountry - two-letter code of a country items must ship to (eBay)
+// Providers ignore options they can't apply.
+
+import { BASE_CURRENCY } from './currency.js';
+import { EBAY_MARKETPLACES, getDefaultMarketplaces } from './ebayMarketplaces.js';
+
+export const FORMATS = ['LP', '7"', '12"', 'Box Set'];
+export const ITEM_CONDITIONS = ['new', 'used'];
+export const BUYING_OPTIONS = ['auction', 'fixed-price'];
+
+const MAX_DEPTH = 100;
+const MAX_LISTINGS = 200;
+
+export function getDefaultDepth() {
+  return parseInt(process.env.DISCOGS_SEARCH_DEPTH) || 8;
+}
+
+export function getDefaultListings() {
+  return parseInt(process.env.EBAY_SEARCH_LIMIT) || 10;
+}
+
+function optionalYear(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const year = Number(value);
+  if (!Number.isInteger(year) || year < 1900 || year > 2100) {
+    throw new Error(`${name} must be a year`);
+  }
+  return year;
+}
+
+function optionalText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function isMissing(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function wholeNumber(value, name, defaultValue, max) {
+  if (isMissing(value)) return defaultValue;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw new Error(`${name} must be a whole number from 1 to ${max}`);
+  }
+  return number;
+}
+
+function optionalPrice(value, name) {
+  if (isMissing(value)) return null;
+  const price = Number(value);
+  if (!Number.isFinite(price) || price < 0) {
+    throw new Error(`${name} must be a price`);
+  }
+  return price;
+}
+
+// A list whose items must all be in allowed (a comma-separated string works too)
+function optionalList(value, name, allowed) {
+  if (isMissing(value)) return [];
+  const list = typeof value === 'string' ? value.split(',').map(item => item.trim()) : value;
+  if (!Array.isArray(list) || list.some(item => !allowed.includes(item))) {
+    throw new Error(`${name} must be a list of: ${allowed.join(', ')}`);
+  }
+  return [...new Set(list)];
+}
+
+// Validate options from a request (an object, or JSON text from a form
+// upload). Throws with a message for the user if anything is invalid.
+export function parseSearchOptions(input) {
+  let options = input || {};
+  if (typeof options === 'string') {
+    try {
+      options = JSON.parse(options);
+    } catch {
+      throw new Error('Search options must be JSON');
+    }
+  }
+
+  const depth = wholeNumber(options.depth, 'Depth', getDefaultDepth(), MAX_DEPTH);
+
+  const formats = options.formats || [];
+  if (!Array.isArray(formats) || formats.some(format => !FORMATS.includes(format))) {
+    throw new Error(`Formats must be a list of: ${FORMATS.join(', ')}`);
+  }
+
+  const yearFrom = optionalYear(options.yearFrom, 'yearFrom');
+  const yearTo = optionalYear(options.yearTo, 'yearTo');
+  if (yearFrom && yearTo && yearFrom > yearTo) {
+    throw new Error('yearFrom must not be after yearTo');
+  }
+
+  const marketplaces = optionalList(
+    typeof options.marketplaces === 'string' ? options.marketplaces.toUpperCase() : options.marketplaces,
+    'Marketplaces', Object.keys(EBAY_MARKETPLACES)
+  );
+
+  const condition = optionalText(options.condition);
+  if (condition && !ITEM_CONDITIONS.includes(condition)) {
+    throw new Error(`Condition must be one of: ${ITEM_CONDITIONS.join(', ')}`);
+  }
+
+  const priceMin = optionalPrice(options.priceMin, 'priceMin');
+  const priceMax = optionalPrice(options.priceMax, 'priceMax');
+  if (priceMin !== null && priceMax !== null && priceMin > priceMax) {
+    throw new Error('priceMin must not be more than priceMax');
+  }
+  const priceCurrency = (optionalText(options.priceCurrency) || BASE_CURRENCY).toUpperCase();
+  if (!/^[A-Z]{3}$/.test(priceCurrency)) {
+    throw new Error('priceCurrency must be a currency code');
+  }
+
+  const deliveryCountry = optionalText(options.deliveryCountry)?.toUpperCase() || null;
+  if (deliveryCountry && !/^[A-Z]{2}$/.test(deliveryCountry)) {
+    throw new Error('deliveryCountry must be a two-letter country code, e.g. GB');
+  }
+
+  return {
+    depth,
+    formats,
+    yearFrom,
+    yearTo,
+    country: optionalText(options.country),
+    label: optionalText(options.label),
+    marketplaces: marketplaces.length > 0 ? marketplaces : getDefaultMarketplaces(),
+    listings: wholeNumber(options.listings, 'Listings', getDefaultListings(), MAX_LISTINGS),
+    condition,
+    buyingOptions: optionalList(options.buyingOptions, 'Buying options', BUYING_OPTIONS),
+    priceMin,
+    priceMax,
+    priceCurrency,
+    deliveryCountry
+  };
+}
@@ -0,0 +1,68 @@
+// Login sessions
+// A session is a random token in an HttpOnly cookie. Only a hash of the
+// token is stored, so the database alone can't be used to log in. Sessions
+// last SESSION_DAYS (default 30); set COOKIE_SECURE=true when the app is
+// served over HTTPS.
+
+import { randomBytes, createHash } from 'crypto';
+import { db } from './db.js';
+
+export const SESSION_COOKIE = 'session';
+
+const SESSION_DAYS = parseInt(process.env.SESSION_DAYS) || 30;
+const SESSION_MS = SESSION_DAYS * 24 * 60 * 60 * 1000;
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+// Start a session for a user, returning its token. Expired sessions are
+// cleared out at the same time.
+export function createSession(userId) {
+  const now = new Date();
+  db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(now.toISOString());
+
+  const token = randomBytes(32).toString('base64url');
+  db.prepare('INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)')
+    .run(hashToken(token), userId, now.toISOString(), new Date(now.getTime() + SESSION_MS).toISOString());
+  return token;
+}
+
+// The user ({ id, username, role }) a session belongs to, or null if the
+// token is unknown or expired
+export function getSessionUser(token) {
+  return db.prepare(`
+    SELECT u.id, u.username, u.role FROM sessions s JOIN users u ON u.id = s.user_id
+    WHERE s.token_hash = ? AND s.expires_at > ?
+  `).get(hashToken(token), new Date().toISOString()) || null;
+}
+
+export function deleteSession(token) {
+  db.prepare('DELETE FROM sessions WHERE token_hash = ?').run(hashToken(token));
+}
+
+// End a user's other sessions, e.g. after their password changes
+export function deleteOtherSessions(userId, token) {
+  db.prepare('DELETE FROM sessions WHERE user_id = ? AND token_hash != ?').run(userId, hashToken(token));
+}
+
+// The session token from a request's Cookie header, if any
+export function readSessionToken(req) {
+  for (const cookie of (req.get('Cookie') || '').split(';')) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === SESSION_COOKIE) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+// Options for res.cookie. SameSite stops other sites sending the cookie
+// with their form posts.
+export function sessionCookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.COOKIE_SECURE === 'true',
+    maxAge: SESSION_MS,
+    path: '/'
+  };
+}
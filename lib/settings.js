@@ -0,0 +1,15 @@
+// Server settings stored in the database as JSON values
+
+import { db } from './db.js';
+
+export function getSetting(key, fallback = null) {
+  const value = db.prepare('SELECT value FROM settings WHERE key = ?').pluck().get(key);
+  return value === undefined ? fallback : JSON.parse(value);
+}
+
+export function setSetting(key, value) {
+  db.prepare(`
+    INSERT INTO settings (key, value) VALUES (?, ?)
+    ON CONFLICT (key) DO UPDATE SET value = excluded.value
+  `).run(key, JSON.stringify(value));
+}
@@ -0,0 +1,426 @@
+// Persistence for artists, search runs and results in the embedded database.
+// Artists belong to a watchlist (see watchlists.js), so the functions here
+// take the id of the list they work on.
+
+import { readFileSync, renameSync, existsSync } from 'fs';
+import { join } from 'path';
+import { db, DATA_DIR } from './db.js';
+import { totalIn } from './pricing.js';
+import { migrateResult, validateResults } from './schema.js';
+import { groupResults } from './grouping.js';
+import { convert, BASE_CURRENCY } from './currency.js';
+import { recordPriceSnapshots } from './priceHistory.js';
+
+export { DATA_DIR };
+
+// Results from before the database, imported once on startup
+const LEGACY_RESULTS_FILE = join(DATA_DIR, 'last-results.json');
+
+function artistKey(name) {
+  return name.trim().toLowerCase();
+}
+
+export function getArtistNames(watchlistId) {
+  return db.prepare('SELECT name FROM artists WHERE watchlist_id = ? ORDER BY position').pluck().all(watchlistId);
+}
+
+function findArtistRow(watchlistId, name) {
+  return db.prepare('SELECT * FROM artists WHERE watchlist_id = ? AND name_key = ?').get(watchlistId, artistKey(name));
+}
+
+// The want of an album-level entry, or null for a whole artist
+function toWant(row) {
+  if (!row.want_album) return null;
+  return { artist: row.want_artist, album: row.want_album, catno: row.want_catno, releaseId: row.want_release_id };
+}
+
+function toArtist(row) {
+  return {
+    name: row.name,
+    want: toWant(row),
+    notes: row.notes,
+    tags: JSON.parse(row.tags),
+    discogsId: row.discogs_id,
+    discogsName: row.discogs_name,
+    resultCount: row.result_count,
+    createdAt: row.created_at,
+    lastSearchedAt: row.last_searched_at
+  };
+}
+
+const ARTIST_SQL = `
+  SELECT a.*, (SELECT COUNT(*) FROM listings l WHERE l.artist_id = a.id) AS result_count FROM artists a
+`;
+
+// A watchlist's artists in list order, with how many results each has. With
+// tag, only artists with that tag (ignoring case).
+export function listArtists({ watchlistId, tag }) {
+  const artists = db.prepare(`${ARTIST_SQL} WHERE a.watchlist_id = ? ORDER BY a.position`)
+    .all(watchlistId).map(toArtist);
+  if (!tag) return artists;
+  return artists.filter(artist => artist.tags.some(t => t.toLowerCase() === tag.toLowerCase()));
+}
+
+export function getArtist(watchlistId, name) {
+  const row = db.prepare(`${ARTIST_SQL} WHERE a.watchlist_id = ? AND a.name_key = ?`).get(watchlistId, artistKey(name));
+  return row ? toArtist(row) : null;
+}
+
+// What providers know about an artist beyond its name: the Discogs artist
+// pinned to it, if any, and for an album-level entry the want's fields
+export function getArtistDetails(watchlistId, name) {
+  const row = findArtistRow(watchlistId, name);
+  if (!row) return {};
+  return {
+    ...(row.discogs_id && { discogsId: row.discogs_id, discogsName: row.discogs_name }),
+    ...toWant(row)
+  };
+}
+
+// Pin a saved artist to a Discogs artist ({ id, name }), or unpin it with
+// null. Returns the updated artist, or null if there's no such artist.
+export function setArtistDiscogs(watchlistId, name, discogs) {
+  const changed = db.prepare(`
+    UPDATE artists SET discogs_id = ?, discogs_name = ? WHERE watchlist_id = ? AND name_key = ?
+  `).run(discogs?.id ?? null, discogs?.name ?? null, watchlistId, artistKey(name)).changes;
+  if (changed === 0) return null;
+  return getArtist(watchlistId, name);
+}
+
+const MAX_NOTES_LENGTH = 2000;
+const MAX_TAG_LENGTH = 40;
+
+function checkNotes(notes) {
+  if (notes === null) return null;
+  if (typeof notes !== 'string') throw new Error('Notes must be text');
+  if (notes.length > MAX_NOTES_LENGTH) throw new Error(`Notes must be at most ${MAX_NOTES_LENGTH} characters`);
+  return notes.trim() || null;
+}
+
+// Trimmed tags, without blanks or repeats (ignoring case)
+function checkTags(tags) {
+  if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+    throw new Error('Tags must be a list of text');
+  }
+  const checked = [];
+  for (const tag of tags.map(t => t.trim()).filter(Boolean)) {
+    if (tag.length > MAX_TAG_LENGTH) throw new Error(`Tags must be at most ${MAX_TAG_LENGTH} characters`);
+    if (!checked.some(t => t.toLowerCase() === tag.toLowerCase())) checked.push(tag);
+  }
+  return checked;
+}
+
+function checkName(name) {
+  if (typeof name !== 'string' || !name.trim()) throw new Error('Name required');
+  return name.trim();
+}
+
+function alreadySaved(name) {
+  const error = new Error(`${name} is already in the list`);
+  error.status = 409;
+  return error;
+}
+
+// Add an artist to the end of the list without searching it. want makes it
+// an album-level entry (see wants.js). Returns the new artist; throws if a
+// field is invalid or the name is taken (with status 409).
+export function addArtist({ watchlistId, name, want = null, notes = null, tags = [] }) {
+  const artistName = checkName(name);
+  const fields = { notes: checkNotes(notes), tags: JSON.stringify(checkTags(tags)) };
+  if (findArtistRow(watchlistId, artistName)) throw alreadySaved(artistName);
+
+  const artistId = findOrCreateArtist(watchlistId, artistName, new Date().toISOString(), want);
+  db.prepare('UPDATE artists SET notes = @notes, tags = @tags WHERE id = @id').run({ ...fields, id: artistId });
+  return getArtist(watchlistId, artistName);
+}
+
+// Move an artist to position (0 is the top of its list), shifting the rest
+function moveArtist(watchlistId, artistId, position) {
+  const ids = db.prepare('SELECT id FROM artists WHERE watchlist_id = ? ORDER BY position')
+    .pluck().all(watchlistId).filter(id => id !== artistId);
+  ids.splice(Math.min(position, ids.length), 0, artistId);
+  const reorder = db.prepare('UPDATE artists SET position = ? WHERE id = ?');
+  ids.forEach((id, index) => reorder.run(index, id));
+}
+
+// Change a saved artist. Every field is optional:
+//   name     - rename it; results stay until it is searched again
+//   notes    - text, or null to clear
+//   tags     - list of tags, replacing the current ones
+//   position - move it in the list, 0 being the top
+// Returns the updated artist, or null if there's no such artist. Throws if a
+// field is invalid or the new name is taken (with status 409).
+export const updateArtist = db.transaction((watchlistId, name, changes) => {
+  const row = findArtistRow(watchlistId, name);
+  if (!row) return null;
+
+  const updates = {};
+  if (changes.name !== undefined) {
+    updates.name = checkName(changes.name);
+    updates.name_key = artistKey(updates.name);
+    if (updates.name_key !== row.name_key && findArtistRow(watchlistId, updates.name)) {
+      throw alreadySaved(updates.name);
+    }
+  }
+  if (changes.notes !== undefined) updates.notes = checkNotes(changes.notes);
+  if (changes.tags !== undefined) updates.tags = JSON.stringify(checkTags(changes.tags));
+  if (changes.position !== undefined && (!Number.isInteger(changes.position) || changes.position < 0)) {
+    throw new Error('Position must be a whole number from 0');
+  }
+
+  const columns = Object.keys(updates);
+  if (columns.length > 0) {
+    db.prepare(`UPDATE artists SET ${columns.map(column => `${column} = @${column}`).join(', ')} WHERE id = @id`)
+      .run({ ...updates, id: row.id });
+  }
+  if (changes.position !== undefined) moveArtist(watchlistId, row.id, changes.position);
+
+  return getArtist(watchlistId, updates.name || name);
+});
+
+// Remove an artist from the list along with their results. Returns false if
+// there's no such artist.
+export function removeArtist(watchlistId, name) {
+  return db.prepare('DELETE FROM artists WHERE watchlist_id = ? AND name_key = ?')
+    .run(watchlistId, artistKey(name)).changes > 0;
+}
+
+function findOrCreateArtist(watchlistId, name, now, want) {
+  const existing = findArtistRow(watchlistId, name);
+  if (existing) return existing.id;
+
+  const position = db.prepare('SELECT COALESCE(MAX(position), -1) + 1 FROM artists WHERE watchlist_id = ?')
+    .pluck().get(watchlistId);
+  return db.prepare(`
+    INSERT INTO artists (watchlist_id, name, name_key, position, created_at,
+      want_artist, want_album, want_catno, want_release_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    watchlistId, name, artistKey(name), position, now,
+    want?.artist ?? null, want?.album ?? null, want?.catno ?? null, want?.releaseId ?? null
+  ).lastInsertRowid;
+}
+
+function findOrCreateRelease(result, artistId) {
+  const externalId = String(result.releaseId);
+  db.prepare(`
+    INSERT INTO releases (source, external_id, artist_id, title, year)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (source, external_id) DO UPDATE SET title = excluded.title, year = excluded.year
+  `).run(result.source.toLowerCase(), externalId, artistId, result.album, String(result.year || ''));
+
+  return db.prepare('SELECT id FROM releases WHERE source = ? AND external_id = ?')
+    .pluck().get(result.source.toLowerCase(), externalId);
+}
+
+// Replace everything stored for one artist with a fresh set of results,
+// returning them with their price trends
+function setArtistResults(watchlistId, artistId, results, runId, now) {
+  db.prepare('DELETE FROM listings WHERE artist_id = ?').run(artistId);
+
+  const insert = db.prepare(`
+    INSERT INTO listings (artist_id, release_id, search_run_id, position, source, artist, album,
+      price_value, total_value, price_trend, created_at, data)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const tracked = recordPriceSnapshots(results.map(migrateResult), { watchlistId, artistId, runId, takenAt: now });
+
+  tracked.forEach((result, position) => {
+    const releaseId = result.releaseId ? findOrCreateRelease(result, artistId) : null;
+    insert.run(
+      artistId, releaseId, runId, position, result.source, result.artist, result.album,
+      convert(result.price, BASE_CURRENCY)?.amount ?? null, totalIn(result)?.amount ?? null,
+      result.priceTrend || null, now,
+      JSON.stringify(result)
+    );
+  });
+
+  db.prepare('UPDATE artists SET last_searched_at = ? WHERE id = ?').run(now, artistId);
+  return tracked;
+}
+
+export function startSearchRun({ jobId, watchlistId, mode, trigger = 'manual' }) {
+  return db.prepare(`
+    INSERT INTO search_runs (job_id, watchlist_id, mode, trigger, status, started_at) VALUES (?, ?, ?, ?, 'running', ?)
+  `).run(jobId, watchlistId, mode, trigger, new Date().toISOString()).lastInsertRowid;
+}
+
+export function finishSearchRun(runId, status) {
+  db.prepare('UPDATE search_runs SET status = ?, finished_at = ? WHERE id = ?')
+    .run(status, new Date().toISOString(), runId);
+}
+
+function checkWatchlist(watchlistId) {
+  if (!db.prepare('SELECT id FROM watchlists WHERE id = ?').get(watchlistId)) {
+    throw new Error('The watchlist was deleted during the search');
+  }
+}
+
+// Store one searched artist's results in a watchlist as soon as they're in.
+// mode is the search's (see saveSearchResults): an append doesn't touch an
+// artist already in the list, and a refresh skips artists removed or renamed
+// while they were being searched. want makes a new artist an album-level
+// entry. Returns the results as stored, with their price trends, or null if
+// they were skipped. Throws if the watchlist was deleted during the search.
+export const saveArtistResults = db.transaction(({ watchlistId, mode, artist, results, runId, want }) => {
+  checkWatchlist(watchlistId);
+  const existing = findArtistRow(watchlistId, artist);
+  if (mode === 'append' && existing) return null;
+  if (mode === 'refresh' && !existing) return null;
+
+  const now = new Date().toISOString();
+  const artistId = findOrCreateArtist(watchlistId, artist, now, want);
+  return setArtistResults(watchlistId, artistId, results, runId, now);
+});
+
+// Finish a search whose artists' results were stored with
+// saveArtistResults. In replace mode the searched artists become the whole
+// list, in their order. Returns the list's artists.
+export const completeSearchResults = db.transaction(({ watchlistId, mode, artists }) => {
+  checkWatchlist(watchlistId);
+
+  if (mode === 'replace') {
+    const keys = artists.map(artistKey);
+    const existing = db.prepare('SELECT id, name_key FROM artists WHERE watchlist_id = ?').all(watchlistId);
+    for (const artist of existing.filter(a => !keys.includes(a.name_key))) {
+      db.prepare('DELETE FROM artists WHERE id = ?').run(artist.id);
+    }
+    const reorder = db.prepare('UPDATE artists SET position = ? WHERE watchlist_id = ? AND name_key = ?');
+    artists.forEach((name, position) => reorder.run(position, watchlistId, artistKey(name)));
+  }
+
+  return { artists: getArtistNames(watchlistId) };
+});
+
+// Store a finished search in a watchlist all at once. artistResults maps
+// each searched artist to its results, and wants the album-level entries
+// among them to their wants. mode decides what happens to the rest of the
+// list:
+//   replace - the searched artists become the whole list
+//   append  - artists not already in the list are added
+//   refresh - the searched artists' results are replaced
+// Throws if the watchlist was deleted during the search.
+export const saveSearchResults = db.transaction(({ watchlistId, mode, artists, artistResults, runId, wants = {} }) => {
+  for (const artist of artists) {
+    saveArtistResults({ watchlistId, mode, artist, results: artistResults[artist] || [], runId, want: wants[artist] });
+  }
+  return completeSearchResults({ watchlistId, mode, artists });
+});
+
+// Query the stored results of a watchlist (watchlistId). Every filter is
+// optional:
+//   artist   - searched artist name (case-insensitive)
+//   source   - marketplace, e.g. 'Discogs'
+//   q        - text in the artist or album
+//   trend    - price change since the previous run: 'down', 'up', 'same' or 'new'
+//   minPrice / maxPrice - item price range, max exclusive
+//   minTotal / maxTotal - price + shipping range, max exclusive
+//   currency - currency of the price and total bounds (default USD)
+//   since / until       - when the result was found (ISO dates)
+//   limit / offset      - paging
+export function queryResults({ watchlistId, ...filters }) {
+  const where = ['a.watchlist_id = @watchlistId'];
+  const params = { watchlistId };
+
+  if (filters.artist) {
+    where.push('a.name_key = @artist');
+    params.artist = artistKey(filters.artist);
+  }
+  if (filters.source) {
+    where.push('LOWER(l.source) = @source');
+    params.source = filters.source.toLowerCase();
+  }
+  if (filters.trend) {
+    where.push('l.price_trend = @trend');
+    params.trend = filters.trend;
+  }
+  if (filters.q) {
+    where.push('(l.artist LIKE @q OR l.album LIKE @q)');
+    params.q = `%${filters.q}%`;
+  }
+
+  // Amounts are stored in the base currency
+  const toBase = (amount) => convert({ amount, currency: filters.currency || BASE_CURRENCY }, BASE_CURRENCY)?.amount;
+
+  const ranges = [
+    ['minPrice', 'l.price_value >= @minPrice'],
+    ['maxPrice', 'l.price_value < @maxPrice'],
+    ['minTotal', 'l.total_value >= @minTotal'],
+    ['maxTotal', 'l.total_value < @maxTotal'],
+    ['since', 'l.created_at >= @since'],
+    ['until', 'l.created_at < @until']
+  ];
+  for (const [name, condition] of ranges) {
+    if (filters[name] !== undefined && filters[name] !== null) {
+      where.push(condition);
+      params[name] = /Price|Total/.test(name) ? toBase(filters[name]) : filters[name];
+    }
+  }
+
+  const fromSql = `FROM listings l JOIN artists a ON a.id = l.artist_id WHERE ${where.join(' AND ')}`;
+
+  const total = db.prepare(`SELECT COUNT(*) ${fromSql}`).pluck().get(params);
+
+  let pageSql = '';
+  if (filters.limit) {
+    pageSql = 'LIMIT @limit OFFSET @offset';
+    params.limit = filters.limit;
+    params.offset = filters.offset || 0;
+  }
+
+  const results = db.prepare(`
+    SELECT l.data ${fromSql} ORDER BY a.position, l.position ${pageSql}
+  `).pluck().all(params)
+    .map(data => JSON.parse(data));
+
+  const timestamp = db.prepare(`
+    SELECT MAX(finished_at) FROM search_runs WHERE watchlist_id = ? AND status = 'completed'
+  `).pluck().get(watchlistId);
+
+  return { results, total, artists: getArtistNames(watchlistId), timestamp };
+}
+
+// Import last-results.json from before the database into the first
+// watchlist. Its results aren't linked to the artist that was searched, but
+// they were saved in search order, so match on the name and otherwise keep
+// the previous result's artist.
+// Results are migrated to the current schema and any that still don't fit it
+// are skipped.
+function importLegacyResults() {
+  if (!existsSync(LEGACY_RESULTS_FILE)) return;
+  if (db.prepare('SELECT COUNT(*) FROM artists').pluck().get() > 0) return;
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(LEGACY_RESULTS_FILE, 'utf-8'));
+  } catch (e) {
+    console.error('Could not read legacy last-results.json:', e.message);
+    return;
+  }
+
+  const artists = data.artists || [];
+  const artistResults = Object.fromEntries(artists.map(a => [a, []]));
+  let current = artists[0];
+
+  const results = validateResults((data.results || []).map(migrateResult), 'last-results.json');
+  for (const result of results) {
+    const name = (result.artist || '').toLowerCase();
+    current = artists.find(a => a.toLowerCase() === name)
+      || artists.find(a => name.includes(a.toLowerCase()))
+      || current;
+    if (current) artistResults[current].push(result);
+  }
+  for (const artist of artists) {
+    artistResults[artist] = groupResults(artistResults[artist]);
+  }
+
+  const watchlistId = db.prepare('SELECT MIN(id) FROM watchlists').pluck().get();
+  const runId = startSearchRun({ jobId: null, watchlistId, mode: 'import' });
+  saveSearchResults({ watchlistId, mode: 'replace', artists, artistResults, runId });
+  finishSearchRun(runId, 'completed');
+  renameSync(LEGACY_RESULTS_FILE, `${LEGACY_RESULTS_FILE}.imported`);
+  console.log(`Imported ${artists.length} artists from last-results.json`);
+}
+
+importLegacyResults();
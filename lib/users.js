@@ -0,0 +1,167 @@
+// Local user accounts
+// Passwords are hashed with scrypt, each with its own salt. A user is an
+// 'admin' or a 'user'; admins also manage accounts, provider credentials and
+// server-wide settings. The first account is set up as an admin and takes
+// over the watchlists and alerts saved before there were accounts.
+
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { db } from './db.js';
+import { createDefaultWatchlist } from './watchlists.js';
+
+const scryptAsync = promisify(scrypt);
+
+export const ROLES = ['admin', 'user'];
+
+const KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[\w.-]{3,40}$/;
+
+// Checked against when there's no such user, so an unknown username takes
+// as long to refuse as a wrong password
+const DUMMY_HASH = `${'0'.repeat(32)}:${'0'.repeat(KEY_LENGTH * 2)}`;
+
+async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, KEY_LENGTH);
+  return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [salt, hash] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const attempt = await scryptAsync(password, salt, hash.length);
+  return timingSafeEqual(attempt, hash);
+}
+
+function usernameKey(username) {
+  return username.trim().toLowerCase();
+}
+
+function toUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    createdAt: row.created_at
+  };
+}
+
+export function listUsers() {
+  return db.prepare('SELECT * FROM users ORDER BY username_key').all().map(toUser);
+}
+
+export function getUser(id) {
+  const row = db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+  return row ? toUser(row) : null;
+}
+
+// False until the first account is set up
+export function hasUsers() {
+  return db.prepare('SELECT COUNT(*) FROM users').pluck().get() > 0;
+}
+
+function conflict(message) {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+}
+
+function checkUsername(username) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username.trim())) {
+    throw new Error('Username must be 3 to 40 letters, numbers, dots, dashes or underscores');
+  }
+  return username.trim();
+}
+
+function checkPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+}
+
+function insertUser(username, passwordHash, role) {
+  if (db.prepare('SELECT id FROM users WHERE username_key = ?').get(usernameKey(username))) {
+    throw conflict(`The username ${username} is taken`);
+  }
+  return db.prepare(`
+    INSERT INTO users (username, username_key, password_hash, role, created_at) VALUES (?, ?, ?, ?, ?)
+  `).run(username, usernameKey(username), passwordHash, role, new Date().toISOString()).lastInsertRowid;
+}
+
+// Create an account with an empty watchlist. Resolves with the new user;
+// rejects if a field is invalid or the username is taken (with status 409).
+export async function createUser({ username, password, role = 'user' }) {
+  const name = checkUsername(username);
+  checkPassword(password);
+  checkRole(role);
+  const passwordHash = await hashPassword(password);
+
+  return db.transaction(() => {
+    const id = insertUser(name, passwordHash, role);
+    createDefaultWatchlist(id);
+    return getUser(id);
+  })();
+}
+
+// Create the first account, an admin, who takes over the watchlists and
+// alerts saved so far. Rejects (with status 409) once there are accounts.
+export async function setUpFirstUser({ username, password }) {
+  const name = checkUsername(username);
+  checkPassword(password);
+  const passwordHash = await hashPassword(password);
+
+  return db.transaction(() => {
+    if (hasUsers()) throw conflict('Accounts are already set up');
+    const id = insertUser(name, passwordHash, 'admin');
+    const claimed = db.prepare('UPDATE watchlists SET user_id = ? WHERE user_id IS NULL').run(id).changes;
+    if (claimed === 0) createDefaultWatchlist(id);
+    db.prepare('UPDATE alerts SET user_id = ? WHERE user_id IS NULL').run(id);
+    return getUser(id);
+  })();
+}
+
+// The user with this username and password, or null
+export async function authenticate(username, password) {
+  if (typeof username !== 'string' || typeof password !== 'string') return null;
+  const row = db.prepare('SELECT * FROM users WHERE username_key = ?').get(usernameKey(username));
+  const verified = await verifyPassword(password, row ? row.password_hash : DUMMY_HASH);
+  return row && verified ? toUser(row) : null;
+}
+
+function isLastAdmin(id) {
+  const admins = db.prepare('SELECT id FROM users WHERE role = \'admin\'').pluck().all();
+  return admins.length === 1 && admins[0] === id;
+}
+
+// Change a user's role or password, both optional. Resolves with the updated
+// user, or null if there's no such user. Rejects if a field is invalid, or
+// (with status 409) when it would leave no admins.
+export async function updateUser(id, { role, password }) {
+  if (role !== undefined) checkRole(role);
+  if (password !== undefined) checkPassword(password);
+  const passwordHash = password !== undefined ? await hashPassword(password) : undefined;
+
+  return db.transaction(() => {
+    const user = getUser(id);
+    if (!user) return null;
+    if (role !== undefined && role !== 'admin' && isLastAdmin(id)) {
+      throw conflict('The last admin can\'t be made a user');
+    }
+    if (role !== undefined) db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, id);
+    if (passwordHash) db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(passwordHash, id);
+    return getUser(id);
+  })();
+}
+
+// Delete a user with their watchlists, results, alerts and sessions. Returns
+// false if there's no such user; throws (with status 409) for the last admin.
+export function deleteUser(id) {
+  if (!getUser(id)) return false;
+  if (isLastAdmin(id)) throw conflict('The last admin can\'t be deleted');
+  db.prepare('DELETE FROM users WHERE id = ?').run(id);
+  return true;
+}
@@ -0,0 +1,69 @@
+// Album-level wants: an entry in the artist list for one record rather than
+// everything by an artist. A want is { artist, album, catno, releaseId } with
+// catno (catalog number) and releaseId (Discogs release) optional. Its label
+// ("Fiona Apple – Tidal") is the entry's name wherever the list is keyed by
+// name, and providers get the want's fields in their details.
+
+// Name of the list entry for a want. The catalog number or release tells
+// pressings of the same album apart.
+export function wantLabel({ artist, album, catno, releaseId }) {
+  const label = `${artist} – ${album}`;
+  if (catno) return `${label} (${catno})`;
+  if (releaseId) return `${label} (Discogs ${releaseId})`;
+  return label;
+}
+
+function optionalText(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') throw new Error(`${name} must be text`);
+  return value.trim() || null;
+}
+
+// A want from request or file fields, or null when there's no album (the
+// entry is the whole artist). Throws when a field is invalid.
+export function parseWant({ artist, album, catno, releaseId } = {}) {
+  const artistName = optionalText(artist, 'Artist');
+  if (!artistName) throw new Error('Artist required');
+
+  const albumTitle = optionalText(album, 'Album');
+  const catalogNumber = optionalText(catno, 'Catalog number');
+  let release = null;
+  if (releaseId !== undefined && releaseId !== null && releaseId !== '') {
+    release = Number(releaseId);
+    if (!Number.isInteger(release) || release < 1) {
+      throw new Error('Discogs release ID must be a whole number');
+    }
+  }
+
+  if (!albumTitle) {
+    if (catalogNumber || release) throw new Error(`Album required with a catalog number or release ID (${artistName})`);
+    return null;
+  }
+  return { artist: artistName, album: albumTitle, catno: catalogNumber, releaseId: release };
+}
+
+// Entry names and wants from a list of artist names and want fields, as
+// the quick-add form sends them. wants maps each album-level entry's name
+// to its want.
+export function parseEntries(items) {
+  const names = [];
+  const wants = {};
+  for (const item of items) {
+    if (typeof item === 'string') {
+      names.push(item);
+      continue;
+    }
+    if (typeof item !== 'object' || item === null) {
+      throw new Error('Each artist must be a name or { artist, album }');
+    }
+    const want = parseWant(item);
+    if (!want) {
+      names.push(item.artist);
+      continue;
+    }
+    const name = wantLabel(want);
+    names.push(name);
+    wants[name] = want;
+  }
+  return { names, wants };
+}
@@ -0,0 +1,139 @@
+// Named watchlists: separate artist lists, each with its own results, such
+// as a main wantlist and one for gift ideas. Every user has their own lists
+// and one of them selected at a time; the artist, search and results
+// endpoints work on that one.
+
+import { db } from './db.js';
+
+const MAX_NAME_LENGTH = 60;
+
+// Every user starts with a list of this name
+export const DEFAULT_WATCHLIST_NAME = 'Main';
+
+function watchlistKey(name) {
+  return name.trim().toLowerCase();
+}
+
+function toWatchlist(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    artistCount: row.artist_count,
+    resultCount: row.result_count,
+    createdAt: row.created_at
+  };
+}
+
+const WATCHLIST_SQL = `
+  SELECT w.*,
+    (SELECT COUNT(*) FROM artists a WHERE a.watchlist_id = w.id) AS artist_count,
+    (SELECT COUNT(*) FROM listings l JOIN artists a ON a.id = l.artist_id WHERE a.watchlist_id = w.id) AS result_count
+  FROM watchlists w
+`;
+
+// A user's watchlists, oldest first, with how many artists and results each
+// has
+export function listWatchlists(userId) {
+  return db.prepare(`${WATCHLIST_SQL} WHERE w.user_id = ? ORDER BY w.id`).all(userId).map(toWatchlist);
+}
+
+export function getWatchlist(userId, id) {
+  const row = db.prepare(`${WATCHLIST_SQL} WHERE w.user_id = ? AND w.id = ?`).get(userId, id);
+  return row ? toWatchlist(row) : null;
+}
+
+// The user's selected watchlist, or their oldest one if the selected one is
+// gone
+export function getCurrentWatchlist(userId) {
+  const selected = db.prepare('SELECT current_watchlist_id FROM users WHERE id = ?').pluck().get(userId);
+  return (selected && getWatchlist(userId, selected))
+    || toWatchlist(db.prepare(`${WATCHLIST_SQL} WHERE w.user_id = ? ORDER BY w.id LIMIT 1`).get(userId));
+}
+
+// Select one of the user's watchlists. Returns it, or null if they have no
+// such list.
+export function selectWatchlist(userId, id) {
+  const watchlist = getWatchlist(userId, id);
+  if (watchlist) db.prepare('UPDATE users SET current_watchlist_id = ? WHERE id = ?').run(watchlist.id, userId);
+  return watchlist;
+}
+
+function checkName(userId, name) {
+  if (typeof name !== 'string' || !name.trim()) throw new Error('Name required');
+  if (name.trim().length > MAX_NAME_LENGTH) throw new Error(`Name must be at most ${MAX_NAME_LENGTH} characters`);
+
+  const existing = db.prepare('SELECT name FROM watchlists WHERE user_id = ? AND name_key = ?')
+    .pluck().get(userId, watchlistKey(name));
+  if (existing) {
+    const error = new Error(`There's already a watchlist called ${existing}`);
+    error.status = 409;
+    throw error;
+  }
+  return name.trim();
+}
+
+function insertWatchlist(userId, name) {
+  return db.prepare('INSERT INTO watchlists (user_id, name, name_key, created_at) VALUES (?, ?, ?, ?)')
+    .run(userId, name, watchlistKey(name), new Date().toISOString()).lastInsertRowid;
+}
+
+// Create an empty watchlist for a user. Throws if the name is invalid or
+// they already have a list called that (with status 409).
+export function createWatchlist(userId, name) {
+  return getWatchlist(userId, insertWatchlist(userId, checkName(userId, name)));
+}
+
+// Copy one of a user's watchlists, with its artists, their results and price
+// history, into a new list called name. Returns the copy, or null if they have no such
+// list. Throws like createWatchlist.
+export const cloneWatchlist = db.transaction((userId, id, name) => {
+  if (!getWatchlist(userId, id)) return null;
+  const copyId = insertWatchlist(userId, checkName(userId, name));
+
+  const copyArtist = db.prepare(`
+    INSERT INTO artists (watchlist_id, name, name_key, position, created_at, last_searched_at, discogs_id,
+      discogs_name, want_artist, want_album, want_catno, want_release_id, notes, tags)
+    SELECT @copyId, name, name_key, position, created_at, last_searched_at, discogs_id,
+      discogs_name, want_artist, want_album, want_catno, want_release_id, notes, tags
+    FROM artists WHERE id = @artistId
+  `);
+  const copyListings = db.prepare(`
+    INSERT INTO listings (artist_id, release_id, search_run_id, position, source, artist, album,
+      price_value, total_value, price_trend, created_at, data)
+    SELECT @copyArtistId, release_id, search_run_id, position, source, artist, album,
+      price_value, total_value, price_trend, created_at, data
+    FROM listings WHERE artist_id = @artistId
+  `);
+  const copySnapshots = db.prepare(`
+    INSERT INTO price_snapshots (item_key, watchlist_id, artist_id, search_run_id, source, album, price_value,
+      currency, taken_at)
+    SELECT item_key, @copyId, @copyArtistId, search_run_id, source, album, price_value, currency, taken_at
+    FROM price_snapshots WHERE artist_id = @artistId
+  `);
+
+  for (const artistId of db.prepare('SELECT id FROM artists WHERE watchlist_id = ?').pluck().all(id)) {
+    const copyArtistId = copyArtist.run({ copyId, artistId }).lastInsertRowid;
+    copyListings.run({ copyArtistId, artistId });
+    copySnapshots.run({ copyId, copyArtistId, artistId });
+  }
+  return getWatchlist(userId, copyId);
+});
+
+// Delete one of a user's watchlists with its artists and results. Returns
+// false if they have no such list; throws (with status 409) for their only
+// one.
+export function deleteWatchlist(userId, id) {
+  if (!getWatchlist(userId, id)) return false;
+  if (db.prepare('SELECT COUNT(*) FROM watchlists WHERE user_id = ?').pluck().get(userId) === 1) {
+    const error = new Error('The last watchlist can\'t be deleted');
+    error.status = 409;
+    throw error;
+  }
+  db.prepare('DELETE FROM watchlists WHERE id = ?').run(id);
+  return true;
+}
+
+// Give a new user their first list
+export function createDefaultWatchlist(userId) {
+  return insertWatchlist(userId, DEFAULT_WATCHLIST_NAME);
+}
@@ -1,34 +1,49 @@
 // Web search integration for finding vinyl records on various marketplaces
 // Note: Without APIs, we can only provide search links to other marketplaces
 
-export async function searchWeb(artist) {
+import { registerProvider } from './providers.js';
+import { createResult } from './schema.js';
+import { parseSearchOptions } from './searchOptions.js';
+
+// eBay's LH_ItemCondition values; links show used copies unless the search
+// asks for new ones
+const EBAY_CONDITION_CODES = { new: '3', used: '4' };
+
+export async function searchWeb(artist, details = {}, options = parseSearchOptions()) {
   // Since eBay, Amazon, etc. don't have public APIs for marketplace listings,
   // we return curated search links that users can click to search those platforms
   // These are clearly marked as "Search" results, not individual listings
 
-  const encodedArtist = encodeURIComponent(artist);
-  const encodedQuery = encodeURIComponent(`${artist} vinyl record`);
+  // Album-level wants search for the record itself
+  const query = details.album ? `${artist} ${details.album}` : artist;
+  const encodedQuery = encodeURIComponent(`${query} vinyl record`);
+  const ebayCondition = EBAY_CONDITION_CODES[options.condition || 'used'];
 
   return [
-    {
+    createResult({
+      kind: 'search',
       artist: artist,
       album: '[Search eBay]',
-      price: 'Various',
-      link: `https://www.ebay.com/sch/i.html?_nkw=${encodedQuery}&_sacat=176985&LH_ItemCondition=4`,
+      priceNote: 'Various',
+      link: `https://www.ebay.com/sch/i.html?_nkw=${encodedQuery}&_sacat=176985&LH_ItemCondition=${ebayCondition}`,
       source: 'eBay',
-      condition: 'Various',
-      country: 'Various',
-      isSearch: true
-    },
-    {
+      condition: 'Various'
+    }),
+    createResult({
+      kind: 'search',
       artist: artist,
       album: '[Search Amazon]',
-      price: 'Various',
+      priceNote: 'Various',
       link: `https://www.amazon.com/s?k=${encodedQuery}&i=popular`,
       source: 'Amazon',
-      condition: 'Various',
-      country: 'Various',
-      isSearch: true
-    }
+      condition: 'Various'
+    })
   ];
 }
+
+registerProvider({
+  name: 'web',
+  label: 'Web',
+  capabilities: ['searchLinks'],
+  search: searchWeb
+});
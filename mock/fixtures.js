@@ -0,0 +1,84 @@
+// Fixture catalogue served by the mock marketplace server. Discogs search,
+// artist, release, stats and listing responses and eBay item summaries are
+// all built from these artists and releases, and Discogs user collections
+// and wantlists list them by id.
+//   catno        - catalog number
+//   numForSale   - Discogs listings for sale (each gets a listing id)
+//   price        - lowest Discogs price in USD, also the base eBay price
+
+export const ARTISTS = [
+  {
+    id: 23755,
+    name: 'Miles Davis',
+    releases: [
+      {
+        id: 1001, masterId: 5460, title: 'Kind Of Blue', year: 1959, country: 'US',
+        formats: [{ name: 'Vinyl', descriptions: ['LP', 'Album', 'Mono'] }], labels: ['Columbia'], catno: 'CL 1355',
+        numForSale: 3, price: 34.99
+      },
+      {
+        id: 1002, masterId: 5460, title: 'Kind Of Blue', year: 2015, country: 'Europe',
+        formats: [{ name: 'Vinyl', descriptions: ['LP', 'Album', 'Reissue', '180 Gram'] }], labels: ['Sony Music'], catno: '88875136101',
+        numForSale: 2, price: 21.5
+      },
+      {
+        id: 1003, masterId: 21394, title: 'Bitches Brew', year: 1970, country: 'US',
+        formats: [{ name: 'Vinyl', descriptions: ['2×LP', 'Album'] }], labels: ['Columbia'], catno: 'GP 26',
+        numForSale: 0, price: null
+      },
+      {
+        id: 1004, masterId: 5460, title: 'Kind Of Blue', year: 1997, country: 'US',
+        formats: [{ name: 'CD', descriptions: ['Album', 'Remastered'] }], labels: ['Columbia'], catno: 'CK 64935',
+        numForSale: 5, price: 6.0
+      }
+    ]
+  },
+  {
+    id: 3840,
+    name: 'Radiohead',
+    releases: [
+      {
+        id: 2001, masterId: 21491, title: 'OK Computer', year: 1997, country: 'UK',
+        formats: [{ name: 'Vinyl', descriptions: ['2×LP', 'Album'] }], labels: ['Parlophone'], catno: 'NODATA 02',
+        numForSale: 4, price: 89.0
+      },
+      {
+        id: 2002, masterId: 13344, title: 'In Rainbows', year: 2007, country: 'UK',
+        formats: [{ name: 'Vinyl', descriptions: ['LP', 'Album'] }], labels: ['XL Recordings'], catno: 'XLLP324',
+        numForSale: 1, price: 27.0
+      },
+      {
+        id: 2003, masterId: null, title: 'Creep', year: 1992, country: 'UK',
+        formats: [{ name: 'Vinyl', descriptions: ['12"', 'EP'] }], labels: ['Parlophone'], catno: '12R 6078',
+        numForSale: 1, price: 45.0
+      }
+    ]
+  },
+  {
+    id: 82730,
+    name: 'Samia (2)',
+    releases: [
+      {
+        id: 3001, masterId: 1766421, title: 'The Baby', year: 2020, country: 'US',
+        formats: [{ name: 'Vinyl', descriptions: ['LP', 'Album', 'Limited Edition'] }], labels: ['Grand Jury'], catno: 'GJ-002',
+        numForSale: 2, price: 19.99
+      }
+    ]
+  }
+];
+
+export const SELLERS = [
+  { username: 'crate_digger', rating: '99.8', country: 'United States' },
+  { username: 'groove_merchant', rating: '100.0', country: 'United Kingdom' },
+  { username: 'spin_cycle', rating: '97.4', country: 'Germany' }
+];
+
+export const CONDITIONS = [
+  'Mint (M)', 'Near Mint (NM or M-)', 'Very Good Plus (VG+)', 'Very Good (VG)', 'Good Plus (G+)'
+];
+
+// Discogs users. Private lists answer 403 like Discogs does for other users.
+export const USERS = [
+  { username: 'crate_digger', collection: [1001, 1002, 2001, 3001, 1003], wantlist: [2002, 2003], private: false },
+  { username: 'groove_merchant', collection: [2001], wantlist: [], private: true }
+];
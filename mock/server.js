@@ -0,0 +1,401 @@
+// Mock marketplace server for offline development and tests
+// Serves the Discogs API endpoints the app uses (database search, artist
+// releases, releases, marketplace stats and listings, user collections and
+// wantlists) and eBay's OAuth and Browse search endpoints, all from the
+// fixtures in fixtures.js.
+//
+//   npm run mock     (MOCK_PORT, default 4010)
+//
+// then point the app at it:
+//
+//   DISCOGS_API_BASE=http://localhost:4010
+//   DISCOGS_WEB_BASE=http://localhost:4010
+//   EBAY_API_BASE=http://localhost:4010
+//   EBAY_SANDBOX_API_BASE=http://localhost:4010
+//
+// Any DISCOGS_TOKEN and eBay client id and secret are accepted.
+//
+// Faults can be injected for requests whose path starts with a prefix:
+//   { path: '/releases', fault: 429 | 500 | 'timeout', times: 2, rate: 0.5 }
+// times (optional) is how many requests fail before the fault is used up,
+// rate (optional, default 1) the share of matching requests that fail.
+// Set them at startup with MOCK_FAULTS (a JSON list of faults) or at runtime:
+//   GET /_mock/faults, POST /_mock/faults (one fault), DELETE /_mock/faults
+// GET /_mock/requests lists the requests received, newest last.
+
+import express from 'express';
+import { pathToFileURL } from 'url';
+import { ARTISTS, SELLERS, CONDITIONS, USERS } from './fixtures.js';
+
+const FAULTS = [429, 500, 'timeout'];
+// Requests kept for /_mock/requests
+const MAX_LOGGED_REQUESTS = 200;
+// How long a 'timeout' fault holds a request before answering after all
+const TIMEOUT_HOLD = parseInt(process.env.MOCK_TIMEOUT_MS) || 120000;
+
+// Every release with its artist, in fixture order
+const RELEASES = ARTISTS.flatMap(artist => artist.releases.map(release => ({ ...release, artist })));
+
+function withoutNumbering(name) {
+  return name.replace(/\s+\(\d+\)$/, '');
+}
+
+function words(text) {
+  return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+}
+
+// Artists whose (unnumbered) name is contained in text
+function artistsIn(text) {
+  const textWords = words(text);
+  return ARTISTS.filter(artist => words(withoutNumbering(artist.name)).every(word => textWords.includes(word)));
+}
+
+function releaseFormatNames(release) {
+  return release.formats.flatMap(format => [format.name, ...format.descriptions]);
+}
+
+function paginate(items, page, perPage) {
+  const pages = Math.max(1, Math.ceil(items.length / perPage));
+  return {
+    pagination: { page, pages, per_page: perPage, items: items.length },
+    items: items.slice((page - 1) * perPage, page * perPage)
+  };
+}
+
+// Listing ids for a release are its id times 100 plus a counter
+function findListing(listingId) {
+  const release = RELEASES.find(r => Math.floor(listingId / 100) === r.id);
+  const index = listingId % 100 - 1;
+  if (!release || index < 0 || index >= release.numForSale) return null;
+  return { release, index };
+}
+
+function validFault(fault) {
+  return fault && typeof fault.path === 'string' && FAULTS.includes(fault.fault)
+    && (fault.times === undefined || (Number.isInteger(fault.times) && fault.times > 0))
+    && (fault.rate === undefined || (typeof fault.rate === 'number' && fault.rate >= 0 && fault.rate <= 1));
+}
+
+function parseFaults(text) {
+  if (!text) return [];
+  const faults = JSON.parse(text);
+  if (!Array.isArray(faults) || !faults.every(validFault)) {
+    throw new Error('MOCK_FAULTS must be a JSON list of { path, fault, times?, rate? }');
+  }
+  return faults;
+}
+
+// The mock as an express app. faults start as the given list (MOCK_FAULTS
+// by default).
+export function createMockServer({ faults = parseFaults(process.env.MOCK_FAULTS) } = {}) {
+  const app = express();
+  const activeFaults = [...faults];
+  const requests = [];
+  const issuedTokens = new Set();
+  let tokenCount = 0;
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  // Mock controls
+  app.get('/_mock/faults', (req, res) => {
+    res.json({ faults: activeFaults });
+  });
+
+  app.post('/_mock/faults', (req, res) => {
+    if (!validFault(req.body)) {
+      return res.status(400).json({ error: `A fault needs a path and a fault of ${FAULTS.join(', ')}` });
+    }
+    activeFaults.push(req.body);
+    res.status(201).json({ faults: activeFaults });
+  });
+
+  app.delete('/_mock/faults', (req, res) => {
+    activeFaults.length = 0;
+    res.json({ faults: activeFaults });
+  });
+
+  app.get('/_mock/requests', (req, res) => {
+    res.json({ requests });
+  });
+
+  app.delete('/_mock/requests', (req, res) => {
+    requests.length = 0;
+    res.json({ requests });
+  });
+
+  // Log every marketplace request, then fail it if a fault matches
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, url: req.originalUrl, at: new Date().toISOString() });
+    if (requests.length > MAX_LOGGED_REQUESTS) requests.shift();
+
+    const fault = activeFaults.find(f => req.path.startsWith(f.path) && Math.random() < (f.rate ?? 1));
+    if (!fault) return next();
+
+    if (fault.times !== undefined && --fault.times === 0) {
+      activeFaults.splice(activeFaults.indexOf(fault), 1);
+    }
+    if (fault.fault === 'timeout') {
+      const timer = setTimeout(() => res.status(504).json({ message: 'Mock timeout' }), TIMEOUT_HOLD);
+      req.on('close', () => clearTimeout(timer));
+      return;
+    }
+    if (fault.fault === 429) {
+      res.set('Retry-After', '1');
+      res.set('X-Discogs-Ratelimit', '60');
+      res.set('X-Discogs-Ratelimit-Remaining', '0');
+      return res.status(429).json({ message: 'You are making requests too quickly.' });
+    }
+    res.status(500).json({ message: 'Mock server error' });
+  });
+
+  // Discogs
+
+  const discogs = express.Router();
+  discogs.use((req, res, next) => {
+    if (!/^Discogs token=.+/.test(req.get('Authorization') || '')) {
+      return res.status(401).json({ message: 'You must authenticate to access this resource.' });
+    }
+    res.set('X-Discogs-Ratelimit', '60');
+    res.set('X-Discogs-Ratelimit-Remaining', '59');
+    next();
+  });
+
+  discogs.get('/database/search', (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const perPage = parseInt(req.query.per_page) || 50;
+
+    if (req.query.type === 'artist') {
+      const matches = artistsIn(req.query.q).map(artist => ({
+        id: artist.id,
+        type: 'artist',
+        title: artist.name,
+        thumb: '',
+        uri: `/artist/${artist.id}`
+      }));
+      const { pagination, items } = paginate(matches, page, perPage);
+      return res.json({ pagination, results: items });
+    }
+
+    const artists = artistsIn(req.query.artist || req.query.q);
+    const matches = RELEASES.filter(release =>
+      artists.includes(release.artist)
+      && (!req.query.format || releaseFormatNames(release).includes(req.query.format))
+      && (!req.query.country || release.country.toLowerCase() === req.query.country.toLowerCase())
+      && (!req.query.label || release.labels.some(label => label.toLowerCase().includes(req.query.label.toLowerCase())))
+      && (!req.query.year || release.year === parseInt(req.query.year))
+      && (!req.query.release_title || words(req.query.release_title).every(word => words(release.title).includes(word)))
+      && (!req.query.catno || release.catno.toLowerCase() === req.query.catno.toLowerCase())
+    ).map(release => ({
+      id: release.id,
+      type: 'release',
+      title: `${release.artist.name} - ${release.title}`,
+      year: String(release.year),
+      country: release.country,
+      format: releaseFormatNames(release),
+      label: release.labels,
+      catno: release.catno,
+      master_id: release.masterId || 0,
+      uri: `/release/${release.id}`
+    }));
+    const { pagination, items } = paginate(matches, page, perPage);
+    res.json({ pagination, results: items });
+  });
+
+  discogs.get('/artists/:id/releases', (req, res) => {
+    const artist = ARTISTS.find(a => a.id === parseInt(req.params.id));
+    if (!artist) return res.status(404).json({ message: 'Artist not found.' });
+
+    const releases = [...artist.releases]
+      .sort((a, b) => req.query.sort_order === 'asc' ? a.year - b.year : b.year - a.year)
+      .map(release => ({
+        id: release.id,
+        type: 'release',
+        role: 'Main',
+        artist: artist.name,
+        title: release.title,
+        year: release.year,
+        format: releaseFormatNames(release).join(', '),
+        label: release.labels[0]
+      }));
+    const { pagination, items } = paginate(releases, parseInt(req.query.page) || 1, parseInt(req.query.per_page) || 50);
+    res.json({ pagination, releases: items });
+  });
+
+  // Collection (folder 0 is every folder) and wantlist entries
+  const userList = (list, key) => (req, res) => {
+    const user = USERS.find(u => u.username.toLowerCase() === req.params.username.toLowerCase());
+    if (!user) return res.status(404).json({ message: 'User does not exist or may have been deleted.' });
+    if (user.private) return res.status(403).json({ message: 'You are not allowed to view this resource.' });
+
+    const entries = user[list].map(id => RELEASES.find(r => r.id === id)).map(release => ({
+      id: release.id,
+      basic_information: {
+        id: release.id,
+        title: release.title,
+        year: release.year,
+        artists: [{ id: release.artist.id, name: release.artist.name }]
+      }
+    }));
+    const { pagination, items } = paginate(entries, parseInt(req.query.page) || 1, parseInt(req.query.per_page) || 50);
+    res.json({ pagination, [key]: items });
+  };
+  discogs.get('/users/:username/collection/folders/0/releases', userList('collection', 'releases'));
+  discogs.get('/users/:username/wants', userList('wantlist', 'wants'));
+
+  discogs.get('/releases/:id', (req, res) => {
+    const release = RELEASES.find(r => r.id === parseInt(req.params.id));
+    if (!release) return res.status(404).json({ message: 'Release not found.' });
+
+    res.json({
+      id: release.id,
+      title: release.title,
+      year: release.year,
+      country: release.country,
+      master_id: release.masterId || undefined,
+      artists: [{ id: release.artist.id, name: release.artist.name }],
+      formats: release.formats.map(format => ({ ...format, qty: '1' })),
+      labels: release.labels.map(name => ({ name, catno: release.catno })),
+      num_for_sale: release.numForSale,
+      lowest_price: release.price,
+      uri: `https://www.discogs.com/release/${release.id}`
+    });
+  });
+
+  discogs.get('/marketplace/stats/:id', (req, res) => {
+    const release = RELEASES.find(r => r.id === parseInt(req.params.id));
+    if (!release) return res.status(404).json({ message: 'Release not found.' });
+
+    res.json({
+      num_for_sale: release.numForSale,
+      lowest_price: release.price === null ? null : { value: release.price, currency: req.query.curr_abbr || 'USD' },
+      blocked_from_sale: false
+    });
+  });
+
+  discogs.get('/marketplace/listings/:id', (req, res) => {
+    const found = findListing(parseInt(req.params.id));
+    if (!found) return res.status(404).json({ message: 'Listing not found.' });
+
+    const { release, index } = found;
+    const seller = SELLERS[index % SELLERS.length];
+    const listingId = parseInt(req.params.id);
+    res.json({
+      id: listingId,
+      status: 'For Sale',
+      price: { value: Math.round(release.price * (1 + index * 0.15) * 100) / 100, currency: 'USD' },
+      shipping_price: { value: 5 + index, currency: 'USD' },
+      condition: CONDITIONS[index % CONDITIONS.length],
+      sleeve_condition: CONDITIONS[(index + 1) % CONDITIONS.length],
+      ships_from: seller.country,
+      seller: { username: seller.username, stats: { rating: seller.rating } },
+      release: {
+        id: release.id,
+        description: `${release.artist.name} - ${release.title}`,
+        artist: release.artist.name,
+        title: release.title,
+        year: release.year
+      },
+      uri: `https://www.discogs.com/sell/item/${listingId}`
+    });
+  });
+
+  // eBay
+
+  app.post('/identity/v1/oauth2/token', (req, res) => {
+    const [scheme, credentials] = (req.get('Authorization') || '').split(' ');
+    const [clientId, clientSecret] = Buffer.from(credentials || '', 'base64').toString().split(':');
+    if (scheme !== 'Basic' || !clientId || !clientSecret) {
+      return res.status(401).json({ error: 'invalid_client', error_description: 'client authentication failed' });
+    }
+
+    const token = `mock-token-${++tokenCount}`;
+    issuedTokens.add(token);
+    res.json({ access_token: token, expires_in: 7200, token_type: 'Application Access Token' });
+  });
+
+  app.get('/buy/browse/v1/item_summary/search', (req, res) => {
+    const token = (req.get('Authorization') || '').replace(/^Bearer /, '');
+    if (!issuedTokens.has(token)) {
+      return res.status(401).json({ errors: [{ errorId: 1001, message: 'Invalid access token' }] });
+    }
+
+    const marketplace = req.get('X-EBAY-C-MARKETPLACE-ID') || 'EBAY_US';
+    const currency = { EBAY_GB: 'GBP', EBAY_CA: 'CAD', EBAY_AU: 'AUD', EBAY_CH: 'CHF', EBAY_US: 'USD' }[marketplace] || 'EUR';
+    const filter = req.query.filter || '';
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    // Two items per vinyl release: one Buy It Now, one auction
+    const artists = artistsIn(req.query.q);
+    let items = RELEASES
+      .filter(release => artists.includes(release.artist) && release.price !== null)
+      .flatMap(release => [0, 1].map(index => {
+        const itemId = `v1|${release.id}${index}|0`;
+        const title = `${withoutNumbering(release.artist.name)} - ${release.title} Vinyl LP ${index ? 'Original Pressing' : 'NEW Sealed'}`;
+        const amount = (Math.round(release.price * (index ? 0.6 : 1.1) * 100) / 100).toFixed(2);
+        const item = {
+          itemId,
+          title,
+          price: { value: amount, currency },
+          itemWebUrl: `https://www.ebay.com/itm/${release.id}${index}`,
+          condition: index ? 'Used' : 'New',
+          buyingOptions: index ? ['AUCTION'] : ['FIXED_PRICE'],
+          shippingOptions: [{ shippingCost: { value: '4.50', currency } }],
+          itemLocation: { country: marketplace.replace('EBAY_', '') }
+        };
+        if (index) {
+          item.currentBidPrice = { value: amount, currency };
+          item.bidCount = release.id % 7;
+          item.itemEndDate = new Date(Date.now() + release.id * 60000).toISOString();
+        }
+        return item;
+      }));
+    // A name Discogs had to number is shared with other artists, so the search
+    // also turns up a record by someone else
+    for (const artist of artists.filter(artist => artist.name !== withoutNumbering(artist.name))) {
+      items.push({
+        itemId: `v1|${artist.id}|0`,
+        title: 'Various - Bedroom Pop Sampler Vinyl LP NEW Sealed',
+        price: { value: '15.00', currency },
+        itemWebUrl: `https://www.ebay.com/itm/${artist.id}`,
+        condition: 'New',
+        buyingOptions: ['FIXED_PRICE'],
+        shippingOptions: [{ shippingCost: { value: '4.50', currency } }],
+        itemLocation: { country: marketplace.replace('EBAY_', '') }
+      });
+    }
+
+    if (/buyingOptions:\{AUCTION\}/.test(filter)) items = items.filter(item => item.buyingOptions.includes('AUCTION'));
+    if (/buyingOptions:\{FIXED_PRICE\}/.test(filter)) items = items.filter(item => item.buyingOptions.includes('FIXED_PRICE'));
+    if (/conditions:\{NEW\}/.test(filter)) items = items.filter(item => item.condition === 'New');
+    if (/conditions:\{USED\}/.test(filter)) items = items.filter(item => item.condition === 'Used');
+    const price = filter.match(/price:\[([\d.]*)(?:\.\.([\d.]*))?\]/);
+    if (price) {
+      const min = price[1] ? parseFloat(price[1]) : 0;
+      const max = price[2] ? parseFloat(price[2]) : Infinity;
+      items = items.filter(item => item.price.value >= min && item.price.value <= max);
+    }
+
+    const page = items.slice(offset, offset + limit);
+    res.json({
+      total: items.length,
+      limit,
+      offset,
+      next: offset + limit < items.length ? `${req.path}?offset=${offset + limit}&limit=${limit}` : undefined,
+      itemSummaries: page.length > 0 ? page : undefined
+    });
+  });
+
+  app.use(discogs);
+
+  return app;
+}
+
+// Run on its own with `node mock/server.js`
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = process.env.MOCK_PORT || 4010;
+  createMockServer().listen(port, () => {
+    console.log(`Mock marketplace server running at http://localhost:${port}`);
+  });
+}
@@ -1,5 +1,9 @@
 // Frontend logic for vinyl record search
 
+import {
+  calculateTotal as totalInDisplay, filterByPrice, filterBySearch, sortResults
+} from './results.js';
+
 const form = document.getElementById('uploadForm');
 const fileInput = document.getElementById('csvFile');
 const searchBtn = document.getElementById('searchBtn');
@@ -16,53 +20,167 @@ const refreshBtn = document.getElementById('refreshBtn');
 const quickAddForm = document.getElementById('quickAddForm');
 const artistInputs = document.getElementById('artistInputs');
 const addMoreBtn = document.getElementById('addMoreBtn');
+const albumModeToggle = document.getElementById('albumMode');
 const quickAddBtn = document.getElementById('quickAddBtn');
+const cancelBtn = document.getElementById('cancelBtn');
+const displayCurrencySelect = document.getElementById('displayCurrency');
+const importType = document.getElementById('importType');
+const importByPlays = document.getElementById('importByPlays');
+const importLimit = document.getElementById('importLimit');
+const discogsImportForm = document.getElementById('discogsImportForm');
+const discogsImportBtn = document.getElementById('discogsImportBtn');
 
 let currentResults = [];
 let currentPriceFilter = 'all';
 let currentSortColumn = 'artist';
 let currentSortDirection = 'asc';
 let currentSearchFilter = '';
+let currentDroppedFilter = false;
+let providerLabels = {};
+
+// Totals, sorting and price filters are in the display currency, converted
+// with the server's exchange rates (units per USD)
+const DISPLAY_CURRENCY_KEY = 'displayCurrency';
+let displayCurrency = localStorage.getItem(DISPLAY_CURRENCY_KEY) || 'USD';
+let exchangeRates = { USD: 1 };
 
 const searchFilter = document.getElementById('searchFilter');
+const droppedFilterBtn = document.getElementById('droppedFilterBtn');
+const groupViewBtn = document.getElementById('groupViewBtn');
+const exportFormat = document.getElementById('exportFormat');
+const exportBtn = document.getElementById('exportBtn');
+
+// Album groups: one row per album across pressings and sources, expandable
+const GROUP_VIEW_KEY = 'groupByAlbum';
+let groupView = localStorage.getItem(GROUP_VIEW_KEY) === 'true';
+const expandedGroups = new Set();
+groupViewBtn.classList.toggle('active', groupView);
 
 // Check if Discogs token is configured
 async function checkStatus() {
   try {
     const response = await fetch('/api/status');
     const data = await response.json();
-    if (!data.hasDiscogsToken) {
-      tokenNotice.classList.remove('hidden');
+    // Map provider names (SSE step values) to their display labels
+    providerLabels = Object.fromEntries((data.providers || []).map(p => [p.name, p.label]));
+    renderMarketplaceOptions(data.searchOptions);
+    if (data.scheduler?.enabled && data.scheduler.nextRun) {
+      const nextRun = new Date(data.scheduler.nextRun).toLocaleString();
+      refreshBtn.title = `Re-search all artists for fresh results (next automatic refresh ${nextRun})`;
     }
+    tokenNotice.classList.toggle('hidden', data.hasDiscogsToken);
   } catch (e) {
     console.error('Failed to check status:', e);
   }
 }
 
-// Load last results on startup
+async function loadExchangeRates() {
+  try {
+    const response = await fetch('/api/currency/rates');
+    const data = await response.json();
+    exchangeRates = data.rates;
+  } catch (e) {
+    console.error('Failed to load exchange rates:', e);
+  }
+  if (!exchangeRates[displayCurrency]) displayCurrency = 'USD';
+
+  displayCurrencySelect.innerHTML = Object.keys(exchangeRates).sort()
+    .map(code => `<option value="${escapeHtml(code)}">${escapeHtml(code)}</option>`)
+    .join('');
+  displayCurrencySelect.value = displayCurrency;
+  updatePriceFilterLabels();
+}
+
+function updatePriceFilterLabels() {
+  document.querySelectorAll('.filter-btn').forEach(btn => {
+    if (btn.dataset.filter === 'all') return;
+    btn.textContent = `Under ${formatMoney({ amount: parseFloat(btn.dataset.filter), currency: displayCurrency }, 0)}`;
+  });
+}
+
+// Query parameters for the active price, text and "price dropped" filters,
+// as understood by /api/results and /api/results/export
+function filterParams() {
+  const params = new URLSearchParams();
+  if (currentPriceFilter !== 'all') {
+    params.set('maxTotal', currentPriceFilter);
+    params.set('currency', displayCurrency);
+  }
+  if (currentSearchFilter) params.set('q', currentSearchFilter);
+  if (currentDroppedFilter) params.set('trend', 'down');
+  return params;
+}
+
+// Load saved results, filtered on the server by the active filters so we
+// only download the rows we're going to show
 async function loadLastResults() {
   try {
-    const response = await fetch('/api/results/latest');
+    const params = filterParams();
+    const response = await fetch(`/api/results?${params}`);
     if (!response.ok) return;
 
     const data = await response.json();
-    if (data.results && data.results.length > 0) {
-      currentResults = data.results;
-      applyFiltersAndDisplay();
+    currentResults = data.results;
+    applyFiltersAndDisplay();
+    if (data.artists.length > 0) {
       resultsSection.classList.remove('hidden');
 
       // Show when the results are from
       const timestamp = new Date(data.timestamp);
-      const artistList = data.artists ? data.artists.join(', ') : 'Unknown';
-      console.log(`Loaded ${data.results.length} results from ${timestamp.toLocaleString()} for: ${artistList}`);
+      console.log(`Loaded ${data.results.length} results from ${timestamp.toLocaleString()} for: ${data.artists.join(', ')}`);
+    } else {
+      resultsSection.classList.add('hidden');
     }
   } catch (e) {
     // No previous results - that's fine
   }
 }
 
+function isSearching() {
+  return !loadingSection.classList.contains('hidden');
+}
+
 checkStatus();
-loadLastResults();
+loadExchangeRates().then(loadLastResults).then(resumeActiveJob);
+
+// eBay marketplaces by id ({ name, currency, domain }), from /api/status
+let ebayMarketplaces = {};
+
+// A checkbox per eBay marketplace, with the server's defaults ticked
+function renderMarketplaceOptions(searchOptions) {
+  if (!searchOptions?.marketplaces) return;
+  ebayMarketplaces = searchOptions.marketplaces;
+  const defaults = searchOptions.defaults?.marketplaces || [];
+  const container = document.getElementById('optMarketplaces');
+  for (const [id, marketplace] of Object.entries(ebayMarketplaces)) {
+    const label = document.createElement('label');
+    label.title = marketplace.name;
+    label.innerHTML = `<input type="checkbox" name="optMarketplace" value="${escapeHtml(id)}"${defaults.includes(id) ? ' checked' : ''}> ${escapeHtml(id.replace(/^EBAY_/, ''))}`;
+    container.appendChild(label);
+  }
+}
+
+// Options from the search options panel, sent with every search
+function getSearchOptions() {
+  const value = (id) => document.getElementById(id).value.trim();
+  const checked = (name) => [...document.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value);
+  return {
+    depth: value('optDepth') || null,
+    formats: checked('optFormat'),
+    yearFrom: value('optYearFrom') || null,
+    yearTo: value('optYearTo') || null,
+    country: value('optCountry') || null,
+    label: value('optLabel') || null,
+    marketplaces: checked('optMarketplace'),
+    listings: value('optListings') || null,
+    condition: value('optCondition') || null,
+    buyingOptions: checked('optBuying'),
+    priceMin: value('optPriceMin') || null,
+    priceMax: value('optPriceMax') || null,
+    priceCurrency: displayCurrency,
+    deliveryCountry: value('optDeliveryCountry') || null
+  };
+}
 
 // Handle refresh button
 refreshBtn.addEventListener('click', async () => {
@@ -72,7 +190,11 @@ refreshBtn.addEventListener('click', async () => {
   resetProgress(true);
 
   try {
-    const response = await fetch('/api/search/refresh', { method: 'POST' });
+    const response = await fetch('/api/search/refresh', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ options: getSearchOptions() })
+    });
 
     await handleSearchSSE(response, (data) => {
       loadingSection.classList.add('hidden');
@@ -87,18 +209,46 @@ refreshBtn.addEventListener('click', async () => {
   }
 });
 
-// Add more artist inputs
-addMoreBtn.addEventListener('click', () => {
+// One artist row of the quick add form. Its album fields show in album mode.
+function createArtistRow() {
   const row = document.createElement('div');
   row.className = 'artist-input-row';
   row.innerHTML = `
-    <input type="text" class="artist-input" placeholder="Artist name..." autocomplete="off">
+    <input type="text" class="artist-input artist-name" placeholder="Artist name..." autocomplete="off">
+    <input type="text" class="artist-input want-field want-album" placeholder="Album (optional)" autocomplete="off">
+    <input type="text" class="artist-input want-field want-catno" placeholder="Cat. no." autocomplete="off">
+    <input type="number" class="artist-input want-field want-release" placeholder="Release ID" min="1" title="Discogs release ID">
     <button type="button" class="remove-artist-btn" title="Remove">&times;</button>
   `;
+  return row;
+}
+
+// Album mode: rows can name one record of the artist
+albumModeToggle.addEventListener('change', () => {
+  quickAddForm.classList.toggle('album-mode', albumModeToggle.checked);
+});
+
+// Add more artist inputs
+addMoreBtn.addEventListener('click', () => {
+  const row = createArtistRow();
   artistInputs.appendChild(row);
-  row.querySelector('.artist-input').focus();
+  row.querySelector('.artist-name').focus();
 });
 
+// An artist name, or in album mode with an album filled in the record's
+// { artist, album, catno, releaseId }
+function readArtistRow(row) {
+  const artist = row.querySelector('.artist-name').value.trim();
+  const album = row.querySelector('.want-album').value.trim();
+  if (!albumModeToggle.checked || !album) return artist;
+  return {
+    artist,
+    album,
+    catno: row.querySelector('.want-catno').value.trim(),
+    releaseId: row.querySelector('.want-release').value
+  };
+}
+
 // Remove artist input (event delegation)
 artistInputs.addEventListener('click', (e) => {
   if (e.target.classList.contains('remove-artist-btn')) {
@@ -113,20 +263,35 @@ artistInputs.addEventListener('click', (e) => {
 const progressText = document.getElementById('progressText');
 const progressBar = document.getElementById('progressBar');
 const progressDetail = document.getElementById('progressDetail');
+const warningSection = document.getElementById('warningSection');
+const warningList = document.getElementById('warningList');
+
+// A marketplace that failed for an artist, as opposed to finding nothing
+function showProviderError(data) {
+  const item = document.createElement('li');
+  item.textContent = `${data.artist} → ${data.label || providerLabels[data.provider] || data.provider}: ${data.message}`;
+  warningList.appendChild(item);
+  warningSection.classList.remove('hidden');
+}
 
 function updateProgress(data) {
   if (data.type === 'progress') {
-    const percent = (data.current / data.total) * 100;
+    // Several artists and marketplaces are searched at once, so track
+    // finished searches for the bar and list what's still running
+    const percent = data.tasksTotal ? (data.tasksCompleted / data.tasksTotal) * 100 : 0;
     progressBar.style.width = `${percent}%`;
-    progressText.textContent = `Searching ${data.current} of ${data.total} artists...`;
-    const stepName = data.step === 'discogs' ? 'Discogs' : data.step === 'ebay' ? 'eBay' : 'Web';
-    progressDetail.textContent = `${data.artist} → ${stepName}`;
+    progressText.textContent = `Searched ${data.completed} of ${data.total} artists...`;
+    progressDetail.textContent = (data.active || [])
+      .map(task => `${task.artist} → ${providerLabels[task.step] || task.step}`)
+      .join(', ');
   } else if (data.type === 'results') {
     // Add new results to current results and display immediately
     currentResults = [...currentResults, ...data.results];
     applyFiltersAndDisplay();
     // Show results section as soon as we have data
     resultsSection.classList.remove('hidden');
+  } else if (data.type === 'providerError') {
+    showProviderError(data);
   }
 }
 
@@ -134,49 +299,135 @@ function resetProgress(clearResults = true) {
   progressBar.style.width = '0%';
   progressText.textContent = 'Searching marketplaces...';
   progressDetail.textContent = '';
+  warningList.innerHTML = '';
+  warningSection.classList.add('hidden');
   if (clearResults) {
     currentResults = [];
   }
 }
 
-// Handle SSE search response
-async function handleSearchSSE(response, onComplete) {
+// Search jobs run on the server; remember the one we're following so a
+// reload or dropped connection can reattach to it
+const ACTIVE_JOB_KEY = 'activeJobId';
+
+function clearActiveJob() {
+  localStorage.removeItem(ACTIVE_JOB_KEY);
+}
+
+// Handle SSE search response. If the stream drops before the job finishes,
+// reconnect to the job's event stream and resume after the last event seen.
+async function handleSearchSSE(response, onComplete, lastEventId = 0) {
+  if (!response.ok) {
+    clearActiveJob();
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Request failed: ${response.status}`);
+  }
+
   const reader = response.body.getReader();
   const decoder = new TextDecoder();
   let buffer = '';
+  let finished = false;
 
   while (true) {
     const { done, value } = await reader.read();
     if (done) break;
 
     buffer += decoder.decode(value, { stream: true });
-    const lines = buffer.split('\n\n');
-    buffer = lines.pop();
-
-    for (const line of lines) {
-      if (line.startsWith('data: ')) {
-        const data = JSON.parse(line.slice(6));
-        if (data.error) {
-          throw new Error(data.error);
-        } else if (data.type === 'complete') {
-          onComplete(data);
-        } else {
-          updateProgress(data);
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    for (const event of events) {
+      let data = null;
+      for (const line of event.split('\n')) {
+        if (line.startsWith('id: ')) {
+          lastEventId = parseInt(line.slice(4)) || lastEventId;
+        } else if (line.startsWith('data: ')) {
+          data = JSON.parse(line.slice(6));
         }
       }
+      if (!data) continue;
+
+      if (data.error) {
+        clearActiveJob();
+        throw new Error(data.error);
+      } else if (data.type === 'job') {
+        localStorage.setItem(ACTIVE_JOB_KEY, data.jobId);
+      } else if (data.type === 'cancelled') {
+        clearActiveJob();
+        throw new Error('Search cancelled');
+      } else if (data.type === 'complete') {
+        finished = true;
+        clearActiveJob();
+        onComplete(data);
+        // Reload the stored results, which now include this search
+        loadLastResults();
+      } else {
+        updateProgress(data);
+      }
+    }
+  }
+
+  const jobId = localStorage.getItem(ACTIVE_JOB_KEY);
+  if (!finished && jobId) {
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const resumed = await fetch(`/api/jobs/${jobId}/events`, {
+      headers: { 'Last-Event-ID': String(lastEventId) }
+    });
+    return handleSearchSSE(resumed, onComplete, lastEventId);
+  }
+}
+
+// Reattach to a search that was still running when the page was closed
+async function resumeActiveJob() {
+  const jobId = localStorage.getItem(ACTIVE_JOB_KEY);
+  if (!jobId) return;
+
+  try {
+    const jobResponse = await fetch(`/api/jobs/${jobId}`);
+    const job = jobResponse.ok ? await jobResponse.json() : null;
+    if (!job || !['queued', 'running'].includes(job.status)) {
+      clearActiveJob();
+      return;
     }
+
+    loadingSection.classList.remove('hidden');
+    errorSection.classList.add('hidden');
+    // Appends add to the saved results; other jobs replace them
+    resetProgress(job.mode !== 'append');
+
+    const response = await fetch(`/api/jobs/${jobId}/events`);
+    await handleSearchSSE(response, () => {
+      loadingSection.classList.add('hidden');
+      resultsSection.classList.remove('hidden');
+    });
+  } catch (error) {
+    loadingSection.classList.add('hidden');
+    errorSection.classList.remove('hidden');
+    document.getElementById('errorMessage').textContent = error.message;
   }
 }
 
+// Cancel the running search job
+cancelBtn.addEventListener('click', async () => {
+  const jobId = localStorage.getItem(ACTIVE_JOB_KEY);
+  if (!jobId) return;
+
+  cancelBtn.disabled = true;
+  try {
+    await fetch(`/api/jobs/${jobId}/cancel`, { method: 'POST' });
+  } finally {
+    cancelBtn.disabled = false;
+  }
+});
+
 // Handle quick add form
 quickAddForm.addEventListener('submit', async (e) => {
   e.preventDefault();
 
-  // Get all non-empty artist names
-  const inputs = artistInputs.querySelectorAll('.artist-input');
-  const artists = Array.from(inputs)
-    .map(input => input.value.trim())
-    .filter(name => name.length > 0);
+  // Get all rows with an artist name
+  const artists = Array.from(artistInputs.querySelectorAll('.artist-input-row'))
+    .map(readArtistRow)
+    .filter(item => (item.artist ?? item).length > 0);
 
   if (artists.length === 0) return;
 
@@ -191,7 +442,7 @@ quickAddForm.addEventListener('submit', async (e) => {
     const response = await fetch('/api/search/artists', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ artists })
+      body: JSON.stringify({ artists, options: getSearchOptions() })
     });
 
     await handleSearchSSE(response, (data) => {
@@ -200,12 +451,7 @@ quickAddForm.addEventListener('submit', async (e) => {
       resultsSection.classList.remove('hidden');
 
       // Clear inputs and reset to single input
-      artistInputs.innerHTML = `
-        <div class="artist-input-row">
-          <input type="text" class="artist-input" placeholder="Artist name..." autocomplete="off">
-          <button type="button" class="remove-artist-btn" title="Remove">&times;</button>
-        </div>
-      `;
+      artistInputs.replaceChildren(createArtistRow());
     });
   } catch (error) {
     loadingSection.classList.add('hidden');
@@ -226,7 +472,7 @@ fileInput.addEventListener('change', (e) => {
     searchBtn.disabled = false;
   } else {
     fileWrapper.classList.remove('has-file');
-    fileText.textContent = 'Choose CSV file';
+    fileText.textContent = 'Choose a file';
     searchBtn.disabled = true;
   }
 });
@@ -250,7 +496,11 @@ form.addEventListener('submit', async (e) => {
   try {
     const formData = new FormData();
     formData.append('csv', file);
+    formData.append('type', importType.value);
     formData.append('mode', uploadMode);
+    formData.append('byPlays', importByPlays.checked);
+    formData.append('limit', importLimit.value);
+    formData.append('options', JSON.stringify(getSearchOptions()));
 
     const response = await fetch('/api/search', {
       method: 'POST',
@@ -271,6 +521,45 @@ form.addEventListener('submit', async (e) => {
   }
 });
 
+// Import the artists on a Discogs user's collection or wantlist
+discogsImportForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const uploadMode = document.querySelector('input[name="uploadMode"]:checked').value;
+
+  loadingSection.classList.remove('hidden');
+  resultsSection.classList.add('hidden');
+  errorSection.classList.add('hidden');
+  discogsImportBtn.disabled = true;
+  resetProgress(uploadMode === 'replace');
+
+  try {
+    const response = await fetch('/api/search/discogs', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        username: document.getElementById('discogsUsername').value.trim(),
+        list: document.getElementById('discogsList').value,
+        mode: uploadMode,
+        byPlays: importByPlays.checked,
+        limit: importLimit.value,
+        options: getSearchOptions()
+      })
+    });
+
+    await handleSearchSSE(response, () => {
+      loadingSection.classList.add('hidden');
+      resultsSection.classList.remove('hidden');
+    });
+  } catch (error) {
+    loadingSection.classList.add('hidden');
+    errorSection.classList.remove('hidden');
+    document.getElementById('errorMessage').textContent = error.message;
+  } finally {
+    discogsImportBtn.disabled = false;
+  }
+});
+
 // Handle sorting from dropdown
 sortBy.addEventListener('change', () => {
   currentSortColumn = sortBy.value;
@@ -314,109 +603,258 @@ document.querySelectorAll('.filter-btn').forEach(btn => {
     btn.classList.add('active');
     currentPriceFilter = btn.dataset.filter;
     applyFiltersAndDisplay();
+    if (!isSearching()) loadLastResults();
   });
 });
 
-// Handle search filter
+displayCurrencySelect.addEventListener('change', () => {
+  displayCurrency = displayCurrencySelect.value;
+  localStorage.setItem(DISPLAY_CURRENCY_KEY, displayCurrency);
+  updatePriceFilterLabels();
+  applyFiltersAndDisplay();
+  if (currentPriceFilter !== 'all' && !isSearching()) loadLastResults();
+});
+
+// Handle "price dropped" toggle
+droppedFilterBtn.addEventListener('click', () => {
+  currentDroppedFilter = !currentDroppedFilter;
+  droppedFilterBtn.classList.toggle('active', currentDroppedFilter);
+  applyFiltersAndDisplay();
+  if (!isSearching()) loadLastResults();
+});
+
+groupViewBtn.addEventListener('click', () => {
+  groupView = !groupView;
+  localStorage.setItem(GROUP_VIEW_KEY, groupView);
+  groupViewBtn.classList.toggle('active', groupView);
+  applyFiltersAndDisplay();
+});
+
+let searchFilterTimer = null;
 searchFilter.addEventListener('input', () => {
   currentSearchFilter = searchFilter.value.toLowerCase();
   applyFiltersAndDisplay();
+
+  // Re-query the server once typing pauses
+  clearTimeout(searchFilterTimer);
+  searchFilterTimer = setTimeout(() => {
+    if (!isSearching()) loadLastResults();
+  }, 300);
 });
 
-function parsePrice(priceStr) {
-  if (!priceStr || typeof priceStr !== 'string') return null;
-  // Extract numeric value from price string (e.g., "12.99 USD" -> 12.99)
-  const match = priceStr.match(/[\d.]+/);
-  return match ? parseFloat(match[0]) : null;
+// Download the results with the active filters and sort order, amounts in
+// the display currency
+exportBtn.addEventListener('click', () => {
+  const params = filterParams();
+  params.set('format', exportFormat.value);
+  params.set('currency', displayCurrency);
+  params.set('sort', currentSortColumn);
+  params.set('direction', currentSortDirection);
+  window.location.href = `/api/results/export?${params}`;
+});
+
+// The display currency and rates, for the helpers in results.js
+function display() {
+  return { currency: displayCurrency, rates: exchangeRates };
 }
 
-function filterByPrice(results, maxPrice) {
-  if (maxPrice === 'all') return results;
-  const max = parseFloat(maxPrice);
-  return results.filter(r => {
-    const total = calculateTotal(r);
-    return total !== null && total < max;
-  });
+// Total in the display currency
+function calculateTotal(result) {
+  return totalInDisplay(result, display());
 }
 
 function applyFiltersAndDisplay() {
-  let filtered = filterByPrice(currentResults, currentPriceFilter);
+  let filtered = filterByPrice(currentResults, currentPriceFilter, display());
   filtered = filterBySearch(filtered, currentSearchFilter);
-  const sorted = sortResults(filtered, currentSortColumn, currentSortDirection);
+  if (currentDroppedFilter) {
+    filtered = filtered.filter(r => r.priceTrend === 'down');
+  }
+  const sorted = sortResults(filtered, currentSortColumn, currentSortDirection, display());
   displayResults(sorted);
 }
 
-function filterBySearch(results, searchText) {
-  if (!searchText) return results;
-  return results.filter(r => {
-    const artist = (r.artist || '').toLowerCase();
-    const album = (r.album || '').toLowerCase();
-    return artist.includes(searchText) || album.includes(searchText);
-  });
+function formatTotal(result) {
+  const total = calculateTotal(result);
+  if (total === null) return '-';
+  return formatMoney({ amount: total, currency: displayCurrency });
 }
 
-function sortResults(results, key, direction) {
-  const numericColumns = ['price', 'shipping', 'total', 'year'];
-  const isNumeric = numericColumns.includes(key);
+function formatMoney(money, fractionDigits = 2) {
+  if (!money) return '-';
+  const currency = money.currency || 'USD';
+  try {
+    return new Intl.NumberFormat(undefined, {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits
+    }).format(money.amount);
+  } catch (e) {
+    return `${money.amount.toFixed(fractionDigits)} ${currency}`;
+  }
+}
 
-  return [...results].sort((a, b) => {
-    let aVal, bVal;
+// Prices are shown in the currency they're listed in, with any note such as
+// "lowest price" or "3 for sale"
+function formatPrice(result) {
+  if (!result.price) return result.priceNote || '-';
+  const price = formatMoney(result.price);
+  return result.priceNote ? `${price} (${result.priceNote})` : price;
+}
 
-    if (key === 'total') {
-      aVal = calculateTotal(a);
-      bVal = calculateTotal(b);
-    } else if (key === 'price' || key === 'shipping') {
-      aVal = parsePrice(a[key]);
-      bVal = parsePrice(b[key]);
-    } else if (key === 'year') {
-      aVal = parseInt(a[key]) || 0;
-      bVal = parseInt(b[key]) || 0;
-    } else {
-      aVal = (a[key] || '').toString().toLowerCase();
-      bVal = (b[key] || '').toString().toLowerCase();
-    }
+// Arrow showing how the price moved since the previous search
+function formatTrend(result) {
+  if (result.priceTrend !== 'down' && result.priceTrend !== 'up') return '';
+  const arrow = result.priceTrend === 'down' ? '▼' : '▲';
+  const title = `Was ${formatMoney(result.previousPrice)}`;
+  return ` <span class="price-trend trend-${result.priceTrend}" title="${escapeHtml(title)}">${arrow}</span>`;
+}
 
-    // Handle nulls
-    if (aVal === null && bVal === null) return 0;
-    if (aVal === null) return 1;
-    if (bVal === null) return -1;
+// Short labels for the schema's condition values (see lib/schema.js)
+const GRADE_LABELS = {
+  'mint': 'M',
+  'near-mint': 'NM',
+  'very-good-plus': 'VG+',
+  'very-good': 'VG',
+  'good-plus': 'G+',
+  'good': 'G',
+  'fair': 'F',
+  'poor': 'P',
+  'generic': 'Generic',
+  'no-cover': 'No cover',
+  'not-graded': 'Not graded',
+  'new': 'New',
+  'used': 'Used',
+  'various': 'Various',
+  'unknown': 'See listing'
+};
 
-    let result;
-    if (isNumeric) {
-      result = aVal - bVal;
-    } else {
-      result = aVal.localeCompare(bVal);
-    }
+function formatGrade(grade) {
+  if (!grade) return null;
+  return GRADE_LABELS[grade] || grade;
+}
 
-    return direction === 'desc' ? -result : result;
-  });
+function formatCondition(result) {
+  const media = formatGrade(result.condition) || 'N/A';
+  const sleeve = formatGrade(result.sleeveCondition);
+  return sleeve ? `${media} / ${sleeve}` : media;
 }
 
-function calculateTotal(result) {
-  const price = parsePrice(result.price);
-  const shipping = parsePrice(result.shipping);
-  if (price === null) return null;
-  return price + (shipping || 0);
+// Seller and ships-from details for individual listings
+function formatListingMeta(result) {
+  const parts = [];
+  if (result.seller) {
+    const rating = result.sellerRating ? ` (${result.sellerRating}%)` : '';
+    parts.push(`${result.seller}${rating}`);
+  }
+  if (result.seller && result.country) {
+    parts.push(`ships from ${result.country}`);
+  }
+  if (result.marketplace && ebayMarketplaces[result.marketplace]) {
+    parts.push(`via ${ebayMarketplaces[result.marketplace].domain.replace(/^www\./, '')}`);
+  }
+  if (parts.length === 0) return '';
+  return `<div class="listing-meta">${escapeHtml(parts.join(' · '))}</div>`;
 }
 
-function formatTotal(result) {
-  const total = calculateTotal(result);
-  if (total === null) return '-';
-  return `$${total.toFixed(2)}`;
+// Discogs listings saved with an id can be looked up again, to see whether
+// they're still for sale
+function formatListingCheck(result) {
+  if (result.source !== 'Discogs' || !result.listingId) return '';
+  return `<button type="button" class="artist-list-btn listing-check-btn" data-listing-id="${escapeHtml(result.listingId)}">Check listing</button>`;
+}
+
+// Bids and time left for auctions, which are priced at the current bid
+function formatAuction(result) {
+  if (result.saleType !== 'auction') return '';
+  const parts = ['Auction', `${result.bidCount || 0} ${result.bidCount === 1 ? 'bid' : 'bids'}`];
+  if (result.auctionEndsAt) {
+    const minutesLeft = Math.round((Date.parse(result.auctionEndsAt) - Date.now()) / 60000);
+    if (minutesLeft <= 0) {
+      parts.push('ended');
+    } else if (minutesLeft < 60) {
+      parts.push(`ends in ${minutesLeft}m`);
+    } else if (minutesLeft < 48 * 60) {
+      parts.push(`ends in ${Math.floor(minutesLeft / 60)}h ${minutesLeft % 60}m`);
+    } else {
+      parts.push(`ends ${new Date(result.auctionEndsAt).toLocaleDateString()}`);
+    }
+  }
+  return `<div class="auction-info">${escapeHtml(parts.join(' · '))}</div>`;
+}
+
+function renderResultRow(result, extraClass = '') {
+  const rowClass = [
+    result.isSearch ? 'search-row' : '',
+    result.saleType === 'auction' ? 'auction-row' : '',
+    extraClass
+  ].filter(Boolean).join(' ');
+  const linkText = result.isSearch ? 'Search' : 'View Listing';
+
+  return `
+    <tr class="${rowClass}">
+      <td>${escapeHtml(result.artist)}</td>
+      <td>${escapeHtml(result.album)}</td>
+      <td>${escapeHtml(result.year || '-')}</td>
+      <td>${escapeHtml(formatPrice(result))}${formatTrend(result)}${formatAuction(result)}</td>
+      <td>${escapeHtml(formatMoney(result.shipping))}</td>
+      <td>${escapeHtml(formatTotal(result))}</td>
+      <td>${escapeHtml(formatCondition(result))}</td>
+      <td>
+        <span class="source-badge source-${result.source.toLowerCase().replace(/\s+/g, '')}">${escapeHtml(result.source)}</span>
+        ${formatListingMeta(result)}
+        ${formatListingCheck(result)}
+      </td>
+      <td><a href="${safeUrl(result.link)}" target="_blank" rel="noopener">${linkText}</a></td>
+    </tr>
+  `;
 }
 
-function formatPrice(priceStr) {
-  if (!priceStr || typeof priceStr !== 'string') return '-';
-  // Check if it's USD
-  if (priceStr.includes('USD') || priceStr.match(/^\$?\d/)) {
-    const match = priceStr.match(/[\d.]+/);
-    if (match) {
-      const num = parseFloat(match[0]);
-      return `$${num.toFixed(2)}`;
+// Results grouped by album (groupKey), in the order each album first appears.
+// Search links stay ungrouped.
+function groupByAlbum(results) {
+  const groups = new Map();
+  const rows = [];
+  for (const result of results) {
+    if (!result.groupKey) {
+      rows.push({ result });
+      continue;
+    }
+    if (!groups.has(result.groupKey)) {
+      const group = { key: result.groupKey, title: result.groupTitle || result.album, artist: result.artist, results: [] };
+      groups.set(result.groupKey, group);
+      rows.push({ group });
     }
+    groups.get(result.groupKey).results.push(result);
   }
-  // Return non-USD prices as-is
-  return priceStr;
+  return rows;
+}
+
+// Header row for an album: how many listings from which sources, and the
+// cheapest total across all of them
+function renderGroupRow(group) {
+  const priced = group.results.filter(r => calculateTotal(r) !== null);
+  const cheapest = priced.reduce((best, r) => (!best || calculateTotal(r) < calculateTotal(best) ? r : best), null);
+  const sources = [...new Set(group.results.map(r => r.source))];
+  const years = group.results.map(r => r.year).filter(Boolean).sort();
+  const yearText = years.length === 0 ? '-'
+    : years[0] === years[years.length - 1] ? years[0] : `${years[0]}–${years[years.length - 1]}`;
+  const expanded = expandedGroups.has(group.key);
+
+  return `
+    <tr class="group-row${expanded ? ' expanded' : ''}" data-group-key="${escapeHtml(group.key)}">
+      <td>${escapeHtml(group.artist)}</td>
+      <td><span class="group-toggle">${expanded ? '▾' : '▸'}</span> ${escapeHtml(group.title)}
+        <span class="group-count">${group.results.length} ${group.results.length === 1 ? 'listing' : 'listings'}</span></td>
+      <td>${escapeHtml(yearText)}</td>
+      <td colspan="2">${cheapest ? `from ${escapeHtml(formatPrice(cheapest))}` : '-'}</td>
+      <td>${cheapest ? escapeHtml(formatTotal(cheapest)) : '-'}</td>
+      <td>-</td>
+      <td>${sources.map(source => `<span class="source-badge source-${source.toLowerCase().replace(/\s+/g, '')}">${escapeHtml(source)}</span>`).join(' ')}</td>
+      <td>${cheapest ? `<a href="${safeUrl(cheapest.link)}" target="_blank" rel="noopener">Cheapest</a>` : ''}</td>
+    </tr>
+    ${expanded ? group.results.map(r => renderResultRow(r, 'group-member')).join('') : ''}
+  `;
 }
 
 function displayResults(results) {
@@ -431,27 +869,507 @@ function displayResults(results) {
   countText += ')';
   resultCount.textContent = countText;
 
-  resultsBody.innerHTML = results.map(result => {
-    const rowClass = result.isSearch ? 'search-row' : '';
-    const linkText = result.isSearch ? 'Search' : 'View Listing';
+  if (!groupView) {
+    resultsBody.innerHTML = results.map(result => renderResultRow(result)).join('');
+    return;
+  }
+  resultsBody.innerHTML = groupByAlbum(results)
+    .map(row => row.group ? renderGroupRow(row.group) : renderResultRow(row.result))
+    .join('');
+}
 
-    return `
-    <tr class="${rowClass}">
-      <td>${escapeHtml(result.artist)}</td>
-      <td>${escapeHtml(result.album)}</td>
-      <td>${escapeHtml(result.year || '-')}</td>
-      <td>${escapeHtml(formatPrice(result.price))}</td>
-      <td>${escapeHtml(formatPrice(result.shipping))}</td>
-      <td>${escapeHtml(formatTotal(result))}</td>
-      <td>${escapeHtml(result.condition || 'N/A')}</td>
-      <td><span class="source-badge source-${result.source.toLowerCase().replace(/\s+/g, '')}">${escapeHtml(result.source)}</span></td>
-      <td><a href="${escapeHtml(result.link)}" target="_blank" rel="noopener">${linkText}</a></td>
-    </tr>
-  `}).join('');
+// Expand or collapse an album group
+resultsBody.addEventListener('click', (e) => {
+  const row = e.target.closest('.group-row');
+  if (!row || e.target.closest('a')) return;
+  const key = row.dataset.groupKey;
+  if (expandedGroups.has(key)) {
+    expandedGroups.delete(key);
+  } else {
+    expandedGroups.add(key);
+  }
+  applyFiltersAndDisplay();
+});
+
+// Replace a Check listing button with the listing's status and price now
+resultsBody.addEventListener('click', async (e) => {
+  const button = e.target.closest('.listing-check-btn');
+  if (!button) return;
+  button.disabled = true;
+  const response = await fetch(`/api/discogs/listings/${button.dataset.listingId}`);
+  const data = await response.json();
+  if (!response.ok) {
+    button.disabled = false;
+    document.getElementById('errorMessage').textContent = data.error;
+    return;
+  }
+  button.outerHTML = `<div class="listing-meta">${escapeHtml(`${data.status} · ${formatPrice(data.result)}`)}</div>`;
+});
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// A link or image URL from provider data, escaped for an attribute, or ''
+// unless it is http(s) (no javascript: or data: URLs)
+function safeUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? escapeHtml(url) : '';
+  } catch (e) {
+    return '';
+  }
 }
 
+// Escape text for HTML content and quoted attribute values alike
 function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  return String(text ?? '').replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
+
+// Price alerts panel
+const alertForm = document.getElementById('alertForm');
+const alertList = document.getElementById('alertList');
+
+async function loadAlerts() {
+  try {
+    const response = await fetch('/api/alerts');
+    const data = await response.json();
+    alertList.innerHTML = data.alerts.map(alert => `
+      <li>
+        <span>${escapeHtml(alert.album ? `${alert.artist} – ${alert.album}` : alert.artist)}
+          under ${escapeHtml(formatMoney({ amount: alert.maxTotal, currency: alert.currency }))}</span>
+        <span class="alert-count">${alert.notificationCount} sent</span>
+        <button type="button" class="remove-artist-btn" data-alert-id="${alert.id}" title="Delete alert">&times;</button>
+      </li>
+    `).join('');
+  } catch (e) {
+    console.error('Failed to load alerts:', e);
+  }
+}
+
+alertForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const response = await fetch('/api/alerts', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      artist: document.getElementById('alertArtist').value,
+      album: document.getElementById('alertAlbum').value,
+      maxTotal: document.getElementById('alertMaxTotal').value,
+      currency: displayCurrency
+    })
+  });
+  if (!response.ok) {
+    const data = await response.json();
+    errorSection.classList.remove('hidden');
+    document.getElementById('errorMessage').textContent = data.error;
+    return;
+  }
+  alertForm.reset();
+  loadAlerts();
+});
+
+alertList.addEventListener('click', async (e) => {
+  const id = e.target.dataset.alertId;
+  if (!id) return;
+  await fetch(`/api/alerts/${id}`, { method: 'DELETE' });
+  loadAlerts();
+});
+
+loadAlerts();
+
+// Artists panel: every saved artist with their notes, tags and result
+// count, to rename, move, remove or pin to the Discogs artist they mean
+const artistsPanel = document.getElementById('artistsPanel');
+const artistList = document.getElementById('artistList');
+const artistAddForm = document.getElementById('artistAddForm');
+let savedArtists = [];
+let artistCandidates = {};
+let editingArtist = null;
+
+function parseTags(text) {
+  return text.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+function renderArtistEntry(artist, index) {
+  if (editingArtist === index) {
+    return `
+      <div class="artist-edit">
+        <input type="text" class="artist-input" data-field="name" value="${escapeHtml(artist.name)}" placeholder="Name">
+        <input type="text" class="artist-input" data-field="tags" value="${escapeHtml(artist.tags.join(', '))}" placeholder="Tags, comma separated">
+        <input type="text" class="artist-input" data-field="notes" value="${escapeHtml(artist.notes || '')}" placeholder="Notes">
+        <button type="button" class="artist-list-btn" data-action="save" data-index="${index}">Save</button>
+        <button type="button" class="artist-list-btn" data-action="cancel" data-index="${index}">Cancel</button>
+      </div>
+    `;
+  }
+  const searched = artist.lastSearchedAt
+    ? `searched ${new Date(artist.lastSearchedAt).toLocaleString()}`
+    : 'not searched yet';
+  return `
+    <span class="artist-entry">
+      <strong>${escapeHtml(artist.name)}</strong>
+      <span class="artist-meta">${artist.resultCount} result${artist.resultCount === 1 ? '' : 's'}, ${searched}</span>
+      ${artist.tags.length > 0 ? `<span>${artist.tags.map(tag => `<span class="artist-tag">${escapeHtml(tag)}</span>`).join('')}</span>` : ''}
+      ${artist.notes ? `<span class="artist-notes">${escapeHtml(artist.notes)}</span>` : ''}
+    </span>
+  `;
+}
+
+function renderArtists() {
+  artistList.innerHTML = savedArtists.map((artist, index) => {
+    const pin = artist.discogsId
+      ? `Discogs: <a href="${safeUrl(artist.discogsLink)}" target="_blank" rel="noopener">${escapeHtml(artist.discogsName)}</a>`
+      : 'Not pinned';
+    const candidates = artistCandidates[index];
+    const candidateList = !candidates ? '' : candidates.length === 0
+      ? '<ul class="candidate-list"><li>No Discogs artists found</li></ul>'
+      : `<ul class="candidate-list">${candidates.map((candidate, candidateIndex) => `
+          <li>
+            ${safeUrl(candidate.thumb) ? `<img src="${safeUrl(candidate.thumb)}" alt="">` : ''}
+            <a href="${safeUrl(candidate.link)}" target="_blank" rel="noopener">${escapeHtml(candidate.name)}</a>
+            <button type="button" class="artist-list-btn" data-action="pin" data-index="${index}" data-candidate="${candidateIndex}">Use this artist</button>
+          </li>`).join('')}</ul>`;
+    return `
+      <li>
+        ${renderArtistEntry(artist, index)}
+        <span class="artist-pin">${pin}</span>
+        <button type="button" class="artist-list-btn" data-action="up" data-index="${index}" title="Move up" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+        <button type="button" class="artist-list-btn" data-action="down" data-index="${index}" title="Move down" ${index === savedArtists.length - 1 ? 'disabled' : ''}>&darr;</button>
+        <button type="button" class="artist-list-btn" data-action="edit" data-index="${index}">Edit</button>
+        <button type="button" class="artist-list-btn" data-action="find" data-index="${index}">Find on Discogs</button>
+        ${artist.discogsId ? `<button type="button" class="artist-list-btn" data-action="unpin" data-index="${index}">Unpin</button>` : ''}
+        <button type="button" class="remove-artist-btn" data-action="remove" data-index="${index}" title="Remove artist and results">&times;</button>
+        ${candidateList}
+      </li>
+    `;
+  }).join('');
+}
+
+function showArtistError(message) {
+  errorSection.classList.remove('hidden');
+  document.getElementById('errorMessage').textContent = message;
+}
+
+// Send a change to one artist; reloads the list, or shows the error
+async function sendArtistChange(method, path, body) {
+  const response = await fetch(path, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  if (!response.ok) {
+    const data = await response.json();
+    showArtistError(data.error);
+    return false;
+  }
+  editingArtist = null;
+  await loadArtists();
+  return true;
+}
+
+function updateArtist(artist, changes) {
+  return sendArtistChange('PATCH', `/api/artists/${encodeURIComponent(artist.name)}`, changes);
 }
+
+artistAddForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const added = await sendArtistChange('POST', '/api/artists', {
+    name: document.getElementById('newArtistName').value,
+    tags: parseTags(document.getElementById('newArtistTags').value)
+  });
+  if (added) artistAddForm.reset();
+});
+
+async function loadArtists() {
+  try {
+    const response = await fetch('/api/artists');
+    const data = await response.json();
+    savedArtists = data.artists;
+    artistCandidates = {};
+    editingArtist = null;
+    renderArtists();
+  } catch (e) {
+    console.error('Failed to load artists:', e);
+  }
+}
+
+async function pinArtist(artist, discogs) {
+  const response = await fetch(`/api/artists/${encodeURIComponent(artist.name)}/discogs`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(discogs || { id: null })
+  });
+  if (!response.ok) {
+    const data = await response.json();
+    showArtistError(data.error);
+    return;
+  }
+  loadArtists();
+}
+
+artistList.addEventListener('click', async (e) => {
+  const { action, index, candidate } = e.target.dataset;
+  if (!action) return;
+  const artist = savedArtists[index];
+
+  if (action === 'find') {
+    e.target.disabled = true;
+    const response = await fetch(`/api/artists/${encodeURIComponent(artist.name)}/candidates`);
+    const data = await response.json();
+    if (!response.ok) {
+      e.target.disabled = false;
+      errorSection.classList.remove('hidden');
+      document.getElementById('errorMessage').textContent = data.error;
+      return;
+    }
+    artistCandidates[index] = data.candidates;
+    renderArtists();
+  } else if (action === 'pin') {
+    const { id, name } = artistCandidates[index][candidate];
+    pinArtist(artist, { id, name });
+  } else if (action === 'unpin') {
+    pinArtist(artist, null);
+  } else if (action === 'up' || action === 'down') {
+    updateArtist(artist, { position: Number(index) + (action === 'up' ? -1 : 1) });
+  } else if (action === 'edit' || action === 'cancel') {
+    editingArtist = action === 'edit' ? Number(index) : null;
+    renderArtists();
+  } else if (action === 'save') {
+    const field = (name) => e.target.closest('li').querySelector(`[data-field="${name}"]`).value;
+    updateArtist(artist, { name: field('name'), tags: parseTags(field('tags')), notes: field('notes') });
+  } else if (action === 'remove') {
+    if (!confirm(`Remove ${artist.name} and their results?`)) return;
+    if (await sendArtistChange('DELETE', `/api/artists/${encodeURIComponent(artist.name)}`)) {
+      loadLastResults();
+    }
+  }
+});
+
+// Load the list when the panel is opened, so it reflects the latest search
+artistsPanel.addEventListener('toggle', () => {
+  if (artistsPanel.open) loadArtists();
+});
+
+// Watchlists: separate artist lists, each with its own results. Searches,
+// refreshes and the artists panel all work on the selected one.
+const watchlistForm = document.getElementById('watchlistForm');
+const watchlistSelect = document.getElementById('watchlistSelect');
+const watchlistName = document.getElementById('watchlistName');
+let watchlists = [];
+
+async function loadWatchlists() {
+  try {
+    const response = await fetch('/api/watchlists');
+    const data = await response.json();
+    watchlists = data.watchlists;
+    watchlistSelect.innerHTML = watchlists.map(watchlist => `
+      <option value="${watchlist.id}" ${watchlist.id === data.currentId ? 'selected' : ''}>${escapeHtml(watchlist.name)}</option>
+    `).join('');
+  } catch (e) {
+    console.error('Failed to load watchlists:', e);
+  }
+}
+
+// Send a change (watchlists, account or admin settings); returns the
+// response data, or shows the error and returns null
+async function sendRequest(method, path, body) {
+  const response = await fetch(path, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  const data = response.status === 204 ? {} : await response.json();
+  if (!response.ok) {
+    showArtistError(data.error);
+    return null;
+  }
+  return data;
+}
+
+// Show the selected watchlist's results and artists
+async function showCurrentWatchlist() {
+  await loadWatchlists();
+  loadLastResults();
+  if (artistsPanel.open) loadArtists();
+}
+
+async function switchWatchlist(id) {
+  if (await sendRequest('PUT', '/api/watchlists/current', { id })) showCurrentWatchlist();
+}
+
+watchlistSelect.addEventListener('change', () => {
+  switchWatchlist(Number(watchlistSelect.value));
+});
+
+watchlistForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const created = await sendRequest('POST', '/api/watchlists', { name: watchlistName.value });
+  if (!created) return;
+  watchlistForm.reset();
+  switchWatchlist(created.id);
+});
+
+document.getElementById('cloneWatchlistBtn').addEventListener('click', async () => {
+  const current = watchlists.find(watchlist => watchlist.id === Number(watchlistSelect.value));
+  const name = watchlistName.value.trim() || `${current.name} (copy)`;
+  const copy = await sendRequest('POST', `/api/watchlists/${current.id}/clone`, { name });
+  if (!copy) return;
+  watchlistForm.reset();
+  switchWatchlist(copy.id);
+});
+
+document.getElementById('deleteWatchlistBtn').addEventListener('click', async () => {
+  const current = watchlists.find(watchlist => watchlist.id === Number(watchlistSelect.value));
+  if (!confirm(`Delete the ${current.name} list with its artists and results?`)) return;
+  if (await sendRequest('DELETE', `/api/watchlists/${current.id}`)) showCurrentWatchlist();
+});
+
+loadWatchlists();
+
+// Account: who is logged in, logging out and changing the password. Admins
+// also get the admin panel for accounts and marketplace credentials.
+const adminSection = document.getElementById('adminSection');
+const adminPanel = document.getElementById('adminPanel');
+const userList = document.getElementById('userList');
+const userAddForm = document.getElementById('userAddForm');
+const credentialsForm = document.getElementById('credentialsForm');
+const credentialList = document.getElementById('credentialList');
+const passwordForm = document.getElementById('passwordForm');
+let currentUser = null;
+let users = [];
+
+const CREDENTIAL_LABELS = {
+  discogsToken: 'Discogs token',
+  ebayClientId: 'eBay client ID',
+  ebayClientSecret: 'eBay client secret'
+};
+const CREDENTIAL_INPUTS = {
+  discogsToken: 'credDiscogsToken',
+  ebayClientId: 'credEbayClientId',
+  ebayClientSecret: 'credEbayClientSecret'
+};
+
+async function loadSession() {
+  const response = await fetch('/api/auth/session');
+  const data = await response.json();
+  if (!data.user) {
+    location.replace('/login.html');
+    return;
+  }
+  currentUser = data.user;
+  document.getElementById('currentUser').textContent =
+    `Logged in as ${currentUser.username}${currentUser.role === 'admin' ? ' (admin)' : ''}`;
+  adminSection.classList.toggle('hidden', currentUser.role !== 'admin');
+}
+
+document.getElementById('logoutBtn').addEventListener('click', async () => {
+  await fetch('/api/auth/logout', { method: 'POST' });
+  location.replace('/login.html');
+});
+
+passwordForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const changed = await sendRequest('PUT', '/api/auth/password', {
+    currentPassword: document.getElementById('currentPassword').value,
+    newPassword: document.getElementById('newPassword').value
+  });
+  if (changed) {
+    passwordForm.reset();
+    alert('Password changed. Other sessions of this account were logged out.');
+  }
+});
+
+function renderUsers() {
+  userList.innerHTML = users.map((user, index) => `
+    <li>
+      <span><strong>${escapeHtml(user.username)}</strong> ${user.role === 'admin' ? '(admin)' : ''}</span>
+      <button type="button" class="artist-list-btn" data-action="role" data-index="${index}">${user.role === 'admin' ? 'Make User' : 'Make Admin'}</button>
+      <button type="button" class="artist-list-btn" data-action="password" data-index="${index}">Reset Password</button>
+      ${user.id === currentUser.id ? '' : `<button type="button" class="remove-artist-btn" data-action="remove" data-index="${index}" title="Delete user and their data">&times;</button>`}
+    </li>
+  `).join('');
+}
+
+function renderCredentials(credentials) {
+  credentialList.innerHTML = Object.entries(credentials).map(([name, { set, source }]) => `
+    <li>
+      <span>${CREDENTIAL_LABELS[name]}: ${!set ? 'not set' : source === 'saved' ? 'saved here' : 'from .env'}</span>
+      ${source === 'saved' ? `<button type="button" class="artist-list-btn" data-credential="${name}">Use .env</button>` : ''}
+    </li>
+  `).join('');
+}
+
+async function loadAdmin() {
+  try {
+    const [usersData, credentials] = await Promise.all([
+      fetch('/api/users').then(response => response.json()),
+      fetch('/api/admin/credentials').then(response => response.json())
+    ]);
+    users = usersData.users;
+    renderUsers();
+    renderCredentials(credentials);
+  } catch (e) {
+    console.error('Failed to load admin settings:', e);
+  }
+}
+
+userAddForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const added = await sendRequest('POST', '/api/users', {
+    username: document.getElementById('newUsername').value,
+    password: document.getElementById('newUserPassword').value,
+    role: document.getElementById('newUserRole').value
+  });
+  if (!added) return;
+  userAddForm.reset();
+  loadAdmin();
+});
+
+userList.addEventListener('click', async (e) => {
+  const { action, index } = e.target.dataset;
+  if (!action) return;
+  const user = users[index];
+  const path = `/api/users/${user.id}`;
+
+  if (action === 'role') {
+    if (await sendRequest('PATCH', path, { role: user.role === 'admin' ? 'user' : 'admin' })) loadAdmin();
+  } else if (action === 'password') {
+    const password = prompt(`New password for ${user.username}:`);
+    if (password && await sendRequest('PATCH', path, { password })) {
+      alert(`Password for ${user.username} changed`);
+    }
+  } else if (action === 'remove') {
+    if (!confirm(`Delete ${user.username} with their watchlists, results and alerts?`)) return;
+    if (await sendRequest('DELETE', path)) loadAdmin();
+  }
+});
+
+credentialsForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const changes = {};
+  for (const [name, id] of Object.entries(CREDENTIAL_INPUTS)) {
+    const value = document.getElementById(id).value.trim();
+    if (value) changes[name] = value;
+  }
+  if (Object.keys(changes).length === 0) return;
+  const credentials = await sendRequest('PUT', '/api/admin/credentials', changes);
+  if (!credentials) return;
+  credentialsForm.reset();
+  renderCredentials(credentials);
+  checkStatus();
+});
+
+credentialList.addEventListener('click', async (e) => {
+  const { credential } = e.target.dataset;
+  if (!credential) return;
+  const credentials = await sendRequest('PUT', '/api/admin/credentials', { [credential]: null });
+  if (!credentials) return;
+  renderCredentials(credentials);
+  checkStatus();
+});
+
+// Load accounts and credentials when the panel is opened
+adminPanel.addEventListener('toggle', () => {
+  if (adminPanel.open) loadAdmin();
+});
+
+loadSession();
@@ -0,0 +1,42 @@
+// Login page. Until the first account exists, the same form sets it up.
+
+const loginForm = document.getElementById('loginForm');
+const loginBtn = document.getElementById('loginBtn');
+const setupHint = document.getElementById('setupHint');
+const errorSection = document.getElementById('errorSection');
+const password = document.getElementById('password');
+
+let needsSetup = false;
+
+async function checkSession() {
+  const response = await fetch('/api/auth/session');
+  const data = await response.json();
+  if (data.user) {
+    location.replace('/');
+    return;
+  }
+  needsSetup = data.needsSetup;
+  setupHint.classList.toggle('hidden', !needsSetup);
+  loginBtn.textContent = needsSetup ? 'Create Admin Account' : 'Log In';
+  password.autocomplete = needsSetup ? 'new-password' : 'current-password';
+}
+
+loginForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  errorSection.classList.add('hidden');
+
+  const response = await fetch(needsSetup ? '/api/auth/setup' : '/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: document.getElementById('username').value, password: password.value })
+  });
+  if (!response.ok) {
+    const data = await response.json();
+    errorSection.classList.remove('hidden');
+    document.getElementById('errorMessage').textContent = data.error;
+    return;
+  }
+  location.replace('/');
+});
+
+checkSession();
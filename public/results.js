@@ -0,0 +1,82 @@
+// Filtering and sorting of results, without the DOM so it can be tested
+// (see test/) and shared with the server, which sorts exports with it.
+// Prices are compared in a display currency: display is { currency, rates }
+// with rates as served by /api/currency/rates.
+
+// Convert { amount, currency } money into another currency, or null when
+// there's no rate for it
+export function convertMoney(money, toCurrency, rates) {
+  if (!money) return null;
+  const from = money.currency || 'USD';
+  if (from === toCurrency) return money;
+  const fromRate = rates[from];
+  const toRate = rates[toCurrency];
+  if (!fromRate || !toRate) return null;
+  return { amount: (money.amount / fromRate) * toRate, currency: toCurrency };
+}
+
+// Amount of a price in the display currency, for sorting
+export function parsePrice(money, display) {
+  return convertMoney(money, display.currency, display.rates)?.amount ?? null;
+}
+
+// Totals (price + shipping) are computed by the server in the listing's
+// currency; this is the total in the display currency
+export function calculateTotal(result, display) {
+  return parsePrice(result.total, display);
+}
+
+export function filterByPrice(results, maxPrice, display) {
+  if (maxPrice === 'all') return results;
+  const max = parseFloat(maxPrice);
+  return results.filter(r => {
+    const total = calculateTotal(r, display);
+    return total !== null && total < max;
+  });
+}
+
+export function filterBySearch(results, searchText) {
+  if (!searchText) return results;
+  return results.filter(r => {
+    const artist = (r.artist || '').toLowerCase();
+    const album = (r.album || '').toLowerCase();
+    return artist.includes(searchText) || album.includes(searchText);
+  });
+}
+
+export function sortResults(results, key, direction, display) {
+  const numericColumns = ['price', 'shipping', 'total', 'year'];
+  const isNumeric = numericColumns.includes(key);
+
+  return [...results].sort((a, b) => {
+    let aVal, bVal;
+
+    if (key === 'total') {
+      aVal = calculateTotal(a, display);
+      bVal = calculateTotal(b, display);
+    } else if (key === 'price' || key === 'shipping') {
+      aVal = parsePrice(a[key], display);
+      bVal = parsePrice(b[key], display);
+    } else if (key === 'year') {
+      aVal = parseInt(a[key]) || 0;
+      bVal = parseInt(b[key]) || 0;
+    } else {
+      aVal = (a[key] || '').toString().toLowerCase();
+      bVal = (b[key] || '').toString().toLowerCase();
+    }
+
+    // Handle nulls
+    if (aVal === null && bVal === null) return 0;
+    if (aVal === null) return 1;
+    if (bVal === null) return -1;
+
+    let result;
+    if (isNumeric) {
+      result = aVal - bVal;
+    } else {
+      result = aVal.localeCompare(bVal);
+    }
+
+    return direction === 'desc' ? -result : result;
+  });
+}
@@ -1,181 +1,224 @@
 import 'dotenv/config';
+// Saved provider credentials go into process.env before the marketplaces read it
+import { describeCredentials, setCredentials } from './lib/credentials.js';
 import express from 'express';
 import multer from 'multer';
-import { parse } from 'csv-parse/sync';
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { searchDiscogs } from './lib/discogs.js';
-import { searchEbay } from './lib/ebay.js';
-import { searchWeb } from './lib/webSearch.js';
-import { fileURLToPath } from 'url';
+import { getEnabledProviders, getUnknownProviderNames, describeProviders } from './lib/providers.js';
+// Marketplace modules register themselves with the provider registry on import,
+// in the order they are searched
+import { findDiscogsArtists, fetchUserListArtists, discogsArtistUrl, fetchDiscogsListing } from './lib/discogs.js';
+import './lib/ebay.js';
+import './lib/webSearch.js';
+import { getSearchConcurrency } from './lib/scheduler.js';
+import { tryAcquire, pruneRateLimits } from './lib/rateLimiter.js';
+import { parseSearchOptions, FORMATS, ITEM_CONDITIONS, BUYING_OPTIONS } from './lib/searchOptions.js';
+import { EBAY_MARKETPLACES } from './lib/ebayMarketplaces.js';
+import { getEbayEnvironment, getTokenStatus } from './lib/ebayAuth.js';
+import {
+  getArtistNames, listArtists, getArtistDetails, addArtist, updateArtist, removeArtist, setArtistDiscogs, queryResults
+} from './lib/storage.js';
+import { getPriceHistory } from './lib/priceHistory.js';
+import { loadRates, getRates, BASE_CURRENCY } from './lib/currency.js';
+import { getCacheMode, getCacheStats, listCacheEntries, purgeCache } from './lib/httpCache.js';
+import { listAlerts, createAlert, deleteAlert, listNotifications } from './lib/alerts.js';
+import { startRefreshScheduler, getRefreshSchedulerStatus, setRefreshSchedule } from './lib/refreshScheduler.js';
+import {
+  listWatchlists, getCurrentWatchlist, selectWatchlist, createWatchlist, cloneWatchlist, deleteWatchlist
+} from './lib/watchlists.js';
+import {
+  listUsers, hasUsers, createUser, setUpFirstUser, authenticate, updateUser, deleteUser
+} from './lib/users.js';
+import {
+  createSession, getSessionUser, deleteSession, deleteOtherSessions, readSessionToken, sessionCookieOptions,
+  SESSION_COOKIE
+} from './lib/sessions.js';
+import { createJob, getJob, describeJob, listJobs, cancelJob, subscribe, resumeJobs } from './lib/jobs.js';
+import { readArtistFile, rankArtists, parseRankOptions, entryWants } from './lib/importers.js';
+import { parseEntries, parseWant, wantLabel } from './lib/wants.js';
+import { exportResults, EXPORT_FORMATS } from './lib/exports.js';
+import { sortResults } from './public/results.js';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { dirname, join } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Data directory for persisting results
-const DATA_DIR = join(__dirname, 'data');
-const LAST_RESULTS_FILE = join(DATA_DIR, 'last-results.json');
-
-// Ensure data directory exists
-if (!existsSync(DATA_DIR)) {
-  mkdirSync(DATA_DIR, { recursive: true });
-}
-
-function saveLastResults(results, artists) {
-  const data = {
-    timestamp: new Date().toISOString(),
-    artists,
-    results
-  };
-  writeFileSync(LAST_RESULTS_FILE, JSON.stringify(data, null, 2));
-}
+export const app = express();
+const upload = multer({ storage: multer.memoryStorage() });
 
-function loadLastResults() {
-  if (!existsSync(LAST_RESULTS_FILE)) {
-    return null;
-  }
-  try {
-    return JSON.parse(readFileSync(LAST_RESULTS_FILE, 'utf-8'));
-  } catch (e) {
-    return null;
-  }
+// The logged-in user ({ id, username, role }) from the session cookie, or null
+function sessionUser(req) {
+  const token = readSessionToken(req);
+  return token ? getSessionUser(token) : null;
 }
 
-const app = express();
-const upload = multer({ storage: multer.memoryStorage() });
+// The app itself needs a login; the login page and assets don't
+app.get(['/', '/index.html'], (req, res, next) => {
+  if (!sessionUser(req)) return res.redirect('/login.html');
+  next();
+});
 
 app.use(express.static(join(__dirname, 'public')));
 app.use(express.json());
 
-// Parse CSV and extract artist names
-function parseArtists(csvContent) {
-  const records = parse(csvContent, {
-    columns: true,
-    skip_empty_lines: true,
-    trim: true,
-    relax_column_count: true
-  });
-
-  // Try to find artist column, or treat each row as a single artist name
-  if (records.length === 0) {
-    // Maybe it's a simple list without headers
-    const lines = csvContent.toString().split('\n')
-      .map(line => line.trim())
-      .filter(line => line.length > 0);
-    return lines;
-  }
-
-  const firstRecord = records[0];
-  const keys = Object.keys(firstRecord);
-
-  // Look for common artist column names
-  const artistKey = keys.find(k =>
-    /^(artist|artists|name|band)$/i.test(k)
-  ) || keys[0];
-
-  return records.map(r => r[artistKey]).filter(Boolean);
-}
-
-// Search endpoint with SSE for progress
-app.post('/api/search', upload.single('csv'), async (req, res) => {
-  // Set up SSE
+// Set up an SSE response and return a function that sends one event
+function startEventStream(res) {
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
 
-  const sendProgress = (data) => {
+  return (data) => {
     res.write(`data: ${JSON.stringify(data)}\n\n`);
   };
+}
 
-  try {
-    if (!req.file) {
-      sendProgress({ error: 'No CSV file uploaded' });
-      return res.end();
-    }
-
-    const newArtists = parseArtists(req.file.buffer.toString());
-    const mode = req.body.mode || 'replace';
+// Follow a job over an already started SSE response, replaying events after
+// lastEventId. The job keeps running if the client goes away.
+function streamJob(job, res, lastEventId = 0) {
+  const unsubscribe = subscribe(job.id, lastEventId, (event) => {
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }, () => res.end());
+  res.on('close', unsubscribe);
+}
 
-    if (newArtists.length === 0) {
-      sendProgress({ error: 'No artists found in CSV' });
-      return res.end();
-    }
+// Log in: start a session and set its cookie
+function startSession(res, user) {
+  res.cookie(SESSION_COOKIE, createSession(user.id), sessionCookieOptions());
+  res.json(user);
+}
 
-    // Load existing data if appending
-    let existingData = null;
-    let existingArtists = [];
-    let existingResults = [];
-
-    if (mode === 'append') {
-      existingData = loadLastResults();
-      if (existingData) {
-        existingArtists = existingData.artists || [];
-        existingResults = existingData.results || [];
-      }
-    }
+// Who is logged in, if anyone, and whether the first account still has to be
+// set up
+app.get('/api/auth/session', (req, res) => {
+  res.json({ user: sessionUser(req), needsSetup: !hasUsers() });
+});
 
-    // Filter out artists we already have results for (case-insensitive)
-    const existingArtistsLower = existingArtists.map(a => a.toLowerCase());
-    const artistsToSearch = mode === 'append'
-      ? newArtists.filter(a => !existingArtistsLower.includes(a.toLowerCase()))
-      : newArtists;
+// Create the first account, an admin, and log in as it: { username, password }
+app.post('/api/auth/setup', async (req, res) => {
+  try {
+    startSession(res, await setUpFirstUser(req.body || {}));
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
 
-    console.log(`Mode: ${mode}, Searching for ${artistsToSearch.length} new artists:`, artistsToSearch);
+// Login attempts allowed per client address and per username, as token
+// buckets: a burst, then a steady rate. Password checks are slow on purpose,
+// so this also keeps guessing from tying up the server.
+const LOGIN_LIMITS = {
+  ip: { capacity: 20, refillPerSecond: 10 / 60 },
+  user: { capacity: 5, refillPerSecond: 1 / 60 }
+};
+
+function allowLoginAttempt(req, username) {
+  pruneRateLimits('login ');
+  return tryAcquire(`login ip ${req.ip}`, LOGIN_LIMITS.ip)
+    && tryAcquire(`login user ${String(username).trim().toLowerCase()}`, LOGIN_LIMITS.user);
+}
 
-    const newResults = [];
-    const totalArtists = artistsToSearch.length;
+app.post('/api/auth/login', async (req, res) => {
+  const { username, password } = req.body || {};
+  if (!allowLoginAttempt(req, username)) {
+    return res.status(429).json({ error: 'Too many login attempts, try again in a few minutes' });
+  }
+  try {
+    const user = await authenticate(username, password);
+    if (!user) {
+      return res.status(401).json({ error: 'Wrong username or password' });
+    }
+    startSession(res, user);
+  } catch (error) {
+    console.error('Login failed:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
 
-    for (let i = 0; i < artistsToSearch.length; i++) {
-      const artist = artistsToSearch[i];
-      console.log(`Searching for: ${artist}`);
+app.post('/api/auth/logout', (req, res) => {
+  const token = readSessionToken(req);
+  if (token) deleteSession(token);
+  res.clearCookie(SESSION_COOKIE, { ...sessionCookieOptions(), maxAge: undefined });
+  res.status(204).end();
+});
 
-      // Send progress update
-      sendProgress({
-        type: 'progress',
-        artist,
-        current: i + 1,
-        total: totalArtists,
-        step: 'discogs'
-      });
+// Every other API route needs a login, and sets req.user
+app.use('/api', (req, res, next) => {
+  req.user = sessionUser(req);
+  if (!req.user) {
+    return res.status(401).json({ error: 'Login required' });
+  }
+  next();
+});
 
-      // Search Discogs first
-      const discogsResults = await searchDiscogs(artist);
-      newResults.push(...discogsResults);
+function requireAdmin(req, res, next) {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ error: 'Admins only' });
+  }
+  next();
+}
 
-      sendProgress({ type: 'progress', artist, current: i + 1, total: totalArtists, step: 'ebay' });
+// Change your own password: { currentPassword, newPassword }. Other sessions
+// of the account are logged out.
+app.put('/api/auth/password', async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  try {
+    if (!await authenticate(req.user.username, currentPassword)) {
+      return res.status(403).json({ error: 'Current password is wrong' });
+    }
+    await updateUser(req.user.id, { password: newPassword });
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: error.message });
+  }
+  deleteOtherSessions(req.user.id, readSessionToken(req));
+  res.status(204).end();
+});
 
-      // Search eBay
-      const ebayResults = await searchEbay(artist);
-      newResults.push(...ebayResults);
+// Start a search job for imported artists over an SSE response, saving to
+// the user's selected watchlist. In append mode artists already in it
+// (ignoring case) aren't searched again. wants maps album-level entries to
+// their wants (see wants.js).
+function searchImportedArtists(res, sendProgress, userId, newArtists, mode, options, wants = {}) {
+  if (newArtists.length === 0) {
+    sendProgress({ error: 'No artists found to import' });
+    return res.end();
+  }
+  const watchlistId = getCurrentWatchlist(userId).id;
 
-      sendProgress({ type: 'progress', artist, current: i + 1, total: totalArtists, step: 'web' });
+  // Load existing artists if appending
+  const existingArtists = mode === 'append' ? getArtistNames(watchlistId) : [];
 
-      // Add web search results
-      const webResults = await searchWeb(artist);
-      newResults.push(...webResults);
+  // Filter out artists we already have results for (case-insensitive)
+  const existingArtistsLower = existingArtists.map(a => a.toLowerCase());
+  const artistsToSearch = mode === 'append'
+    ? newArtists.filter(a => !existingArtistsLower.includes(a.toLowerCase()))
+    : newArtists;
 
-      // Send partial results for this artist
-      const artistResults = [...discogsResults, ...ebayResults, ...webResults];
-      sendProgress({ type: 'results', artist, results: artistResults });
+  console.log(`Mode: ${mode}, Searching for ${artistsToSearch.length} new artists:`, artistsToSearch);
 
-      // Small delay between artists to respect rate limits
-      await new Promise(resolve => setTimeout(resolve, 150));
-    }
+  // Results are stored in the list as each artist finishes
+  const job = createJob({
+    userId, watchlistId, mode: mode === 'append' ? 'append' : 'replace', artists: artistsToSearch, options, wants
+  });
+  streamJob(job, res);
+}
 
-    // Combine results based on mode
-    const allArtists = mode === 'append'
-      ? [...existingArtists, ...artistsToSearch]
-      : newArtists;
-    const allResults = mode === 'append'
-      ? [...existingResults, ...newResults]
-      : newResults;
+// Search endpoint with SSE for progress. The file is a CSV or a listening
+// service export: type is one of IMPORT_TYPES (see importers.js), or 'auto'
+// to detect it. byPlays and limit pick the most played artists (see
+// rankArtists).
+app.post('/api/search', upload.single('csv'), async (req, res) => {
+  const sendProgress = startEventStream(res);
 
-    // Save results for next time
-    saveLastResults(allResults, allArtists);
+  try {
+    if (!req.file) {
+      sendProgress({ error: 'No file uploaded' });
+      return res.end();
+    }
 
-    // Send final results
-    sendProgress({ type: 'complete', results: allResults, artists: allArtists });
-    res.end();
+    const entries = readArtistFile(req.file.buffer.toString(), req.body.type || 'auto');
+    const newArtists = rankArtists(entries, parseRankOptions(req.body));
+    const options = parseSearchOptions(req.body.options);
+    const mode = req.body.mode || 'replace';
+    searchImportedArtists(res, sendProgress, req.user.id, newArtists, mode, options, entryWants(entries));
   } catch (error) {
     console.error('Search error:', error);
     sendProgress({ error: 'Search failed: ' + error.message });
@@ -183,16 +226,36 @@ app.post('/api/search', upload.single('csv'), async (req, res) => {
   }
 });
 
-// Add multiple artists endpoint with SSE for progress
-app.post('/api/search/artists', async (req, res) => {
-  // Set up SSE
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
+// Search the artists on a Discogs user's collection or wantlist, with SSE
+// for progress. byPlays ranks artists by how many of the user's releases
+// they're on.
+app.post('/api/search/discogs', async (req, res) => {
+  const sendProgress = startEventStream(res);
 
-  const sendProgress = (data) => {
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
-  };
+  try {
+    const { username, list = 'collection', mode = 'replace' } = req.body;
+    if (!username || typeof username !== 'string' || !username.trim()) {
+      sendProgress({ error: 'Discogs username required' });
+      return res.end();
+    }
+    const rankOptions = parseRankOptions(req.body);
+    const options = parseSearchOptions(req.body.options);
+
+    const names = await fetchUserListArtists(username.trim(), list);
+    const newArtists = rankArtists(names.map(name => ({ name, plays: 1 })), rankOptions);
+    searchImportedArtists(res, sendProgress, req.user.id, newArtists, mode, options);
+  } catch (error) {
+    console.error('Discogs import error:', error);
+    sendProgress({ error: 'Import failed: ' + error.message });
+    res.end();
+  }
+});
+
+// Add multiple artists to the selected watchlist, with SSE for progress.
+// Each item is an artist name, or { artist, album, catno, releaseId } for
+// one record.
+app.post('/api/search/artists', async (req, res) => {
+  const sendProgress = startEventStream(res);
 
   try {
     const { artists } = req.body;
@@ -201,15 +264,16 @@ app.post('/api/search/artists', async (req, res) => {
       sendProgress({ error: 'Artists array required' });
       return res.end();
     }
+    const options = parseSearchOptions(req.body.options);
+    const { names, wants } = parseEntries(artists);
 
-    // Load existing data
-    const existingData = loadLastResults();
-    const existingArtists = existingData?.artists || [];
-    const existingResults = existingData?.results || [];
+    // Load existing artists
+    const watchlistId = getCurrentWatchlist(req.user.id).id;
+    const existingArtists = getArtistNames(watchlistId);
     const existingArtistsLower = existingArtists.map(a => a.toLowerCase());
 
     // Filter out artists that already exist
-    const newArtists = artists
+    const newArtists = names
       .map(a => a.trim())
       .filter(a => a.length > 0)
       .filter(a => !existingArtistsLower.includes(a.toLowerCase()));
@@ -221,115 +285,337 @@ app.post('/api/search/artists', async (req, res) => {
 
     console.log(`Adding ${newArtists.length} artists:`, newArtists);
 
-    const newResults = [];
-    const totalArtists = newArtists.length;
+    const job = createJob({ userId: req.user.id, watchlistId, mode: 'append', artists: newArtists, options, wants });
+    streamJob(job, res);
+  } catch (error) {
+    console.error('Artists search error:', error);
+    sendProgress({ error: 'Search failed: ' + error.message });
+    res.end();
+  }
+});
 
-    for (let i = 0; i < newArtists.length; i++) {
-      const artistName = newArtists[i];
-      console.log(`Searching for: ${artistName}`);
+// Refresh the selected watchlist's artists with fresh results
+app.post('/api/search/refresh', async (req, res) => {
+  const sendProgress = startEventStream(res);
 
-      sendProgress({ type: 'progress', artist: artistName, current: i + 1, total: totalArtists, step: 'discogs' });
+  try {
+    const watchlistId = getCurrentWatchlist(req.user.id).id;
+    const artists = getArtistNames(watchlistId);
+    if (artists.length === 0) {
+      sendProgress({ error: 'No saved artists to refresh' });
+      return res.end();
+    }
+    const options = parseSearchOptions(req.body?.options);
 
-      // Search Discogs
-      const discogsResults = await searchDiscogs(artistName);
-      newResults.push(...discogsResults);
+    console.log(`Refreshing ${artists.length} artists:`, artists);
 
-      sendProgress({ type: 'progress', artist: artistName, current: i + 1, total: totalArtists, step: 'ebay' });
+    const job = createJob({ userId: req.user.id, watchlistId, mode: 'refresh', artists, options });
+    streamJob(job, res);
+  } catch (error) {
+    console.error('Refresh error:', error);
+    sendProgress({ error: 'Refresh failed: ' + error.message });
+    res.end();
+  }
+});
 
-      // Search eBay
-      const ebayResults = await searchEbay(artistName);
-      newResults.push(...ebayResults);
+// A job the user may see: their own, or any job for an admin
+function userJob(req) {
+  const job = getJob(req.params.id);
+  return job && (job.userId === req.user.id || req.user.role === 'admin') ? job : null;
+}
 
-      sendProgress({ type: 'progress', artist: artistName, current: i + 1, total: totalArtists, step: 'web' });
+// List recent search jobs; admins see everyone's
+app.get('/api/jobs', (req, res) => {
+  res.json({ jobs: listJobs(req.user.role === 'admin' ? {} : { userId: req.user.id }) });
+});
 
-      // Search web
-      const webResults = await searchWeb(artistName);
-      newResults.push(...webResults);
+app.get('/api/jobs/:id', (req, res) => {
+  const job = userJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(describeJob(job));
+});
 
-      // Send partial results for this artist
-      const artistResults = [...discogsResults, ...ebayResults, ...webResults];
-      sendProgress({ type: 'results', artist: artistName, results: artistResults });
+// Reattach to a job's event stream, resuming after Last-Event-ID
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = userJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
 
-      // Small delay between artists
-      await new Promise(resolve => setTimeout(resolve, 150));
-    }
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+  startEventStream(res);
+  streamJob(job, res, lastEventId);
+});
 
-    // Combine with existing
-    const allArtists = [...existingArtists, ...newArtists];
-    const allResults = [...existingResults, ...newResults];
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = userJob(req);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (!cancelJob(job.id)) {
+    return res.status(409).json({ error: `Job already ${job.status}` });
+  }
+  res.json(describeJob(job));
+});
 
-    // Save
-    saveLastResults(allResults, allArtists);
+// The user's watchlists, each with its own artists and results. The artist,
+// search and results endpoints work on the selected one.
+app.get('/api/watchlists', (req, res) => {
+  res.json({ watchlists: listWatchlists(req.user.id), currentId: getCurrentWatchlist(req.user.id).id });
+});
 
-    sendProgress({ type: 'complete', results: allResults, artists: allArtists });
-    res.end();
+// Create an empty watchlist: { name }
+app.post('/api/watchlists', (req, res) => {
+  try {
+    res.status(201).json(createWatchlist(req.user.id, req.body?.name));
   } catch (error) {
-    console.error('Artists search error:', error);
-    sendProgress({ error: 'Search failed: ' + error.message });
-    res.end();
+    res.status(error.status || 400).json({ error: error.message });
   }
 });
 
-// Refresh all cached artists with fresh results
-app.post('/api/search/refresh', async (req, res) => {
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
+// Switch to another watchlist: { id }
+app.put('/api/watchlists/current', (req, res) => {
+  const watchlist = selectWatchlist(req.user.id, req.body?.id);
+  if (!watchlist) {
+    return res.status(404).json({ error: 'Watchlist not found' });
+  }
+  res.json(watchlist);
+});
 
-  const sendProgress = (data) => {
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
-  };
+// Copy a watchlist with its artists and results: { name } for the copy
+app.post('/api/watchlists/:id/clone', (req, res) => {
+  try {
+    const watchlist = cloneWatchlist(req.user.id, parseInt(req.params.id), req.body?.name);
+    if (!watchlist) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    res.status(201).json(watchlist);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
 
+// Delete a watchlist with its artists and results
+app.delete('/api/watchlists/:id', (req, res) => {
   try {
-    const existingData = loadLastResults();
-    if (!existingData || !existingData.artists || existingData.artists.length === 0) {
-      sendProgress({ error: 'No saved artists to refresh' });
-      return res.end();
+    if (!deleteWatchlist(req.user.id, parseInt(req.params.id))) {
+      return res.status(404).json({ error: 'Watchlist not found' });
     }
+    res.status(204).end();
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
 
-    const artists = existingData.artists;
-    console.log(`Refreshing ${artists.length} artists:`, artists);
+// An artist as the API returns it, with a link to the Discogs artist it is
+// pinned to (discogsLink), if any
+function withDiscogsLink(artist) {
+  return { ...artist, discogsLink: artist.discogsId ? discogsArtistUrl(artist.discogsId) : null };
+}
 
-    const allResults = [];
+// The selected watchlist's artists in list order, with their notes and tags,
+// the Discogs artist each is pinned to, if any, and how many results each
+// has. tag lists only the artists with that tag.
+app.get('/api/artists', (req, res) => {
+  const artists = listArtists({ watchlistId: getCurrentWatchlist(req.user.id).id, tag: req.query.tag });
+  res.json({ artists: artists.map(withDiscogsLink) });
+});
 
-    for (let i = 0; i < artists.length; i++) {
-      const artist = artists[i];
-      console.log(`Refreshing: ${artist}`);
+// Add an artist to the list without searching: { name, notes, tags }, or
+// { artist, album, catno, releaseId, notes, tags } for one record
+app.post('/api/artists', (req, res) => {
+  try {
+    const { name, artist, notes, tags } = req.body || {};
+    const want = parseWant({ ...req.body, artist: artist ?? name });
+    const watchlistId = getCurrentWatchlist(req.user.id).id;
+    const added = addArtist({ watchlistId, name: want ? wantLabel(want) : artist ?? name, want, notes, tags });
+    res.status(201).json(withDiscogsLink(added));
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
 
-      sendProgress({ type: 'progress', artist, current: i + 1, total: artists.length, step: 'discogs' });
-      const discogsResults = await searchDiscogs(artist);
-      allResults.push(...discogsResults);
+// Rename, annotate, tag or move an artist (see updateArtist)
+app.patch('/api/artists/:name', (req, res) => {
+  try {
+    const { name, notes, tags, position } = req.body || {};
+    const artist = updateArtist(getCurrentWatchlist(req.user.id).id, req.params.name, { name, notes, tags, position });
+    if (!artist) {
+      return res.status(404).json({ error: 'Artist not found' });
+    }
+    res.json(withDiscogsLink(artist));
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
 
-      sendProgress({ type: 'progress', artist, current: i + 1, total: artists.length, step: 'ebay' });
-      const ebayResults = await searchEbay(artist);
-      allResults.push(...ebayResults);
+// Remove an artist and their results
+app.delete('/api/artists/:name', (req, res) => {
+  if (!removeArtist(getCurrentWatchlist(req.user.id).id, req.params.name)) {
+    return res.status(404).json({ error: 'Artist not found' });
+  }
+  res.status(204).end();
+});
 
-      sendProgress({ type: 'progress', artist, current: i + 1, total: artists.length, step: 'web' });
-      const webResults = await searchWeb(artist);
-      allResults.push(...webResults);
+// Discogs artists that could be the one meant by this name
+app.get('/api/artists/:name/candidates', async (req, res) => {
+  if (!process.env.DISCOGS_TOKEN) {
+    return res.status(400).json({ error: 'Set DISCOGS_TOKEN to look up Discogs artists' });
+  }
+  try {
+    // Album-level entries are looked up by their want's artist
+    const { artist } = getArtistDetails(getCurrentWatchlist(req.user.id).id, req.params.name);
+    res.json({ candidates: await findDiscogsArtists(artist || req.params.name) });
+  } catch (error) {
+    res.status(502).json({ error: error.message });
+  }
+});
 
-      sendProgress({ type: 'results', artist, results: [...discogsResults, ...ebayResults, ...webResults] });
+// One Discogs marketplace listing as { status, result }, for checking a
+// listing on request (searches price whole releases)
+app.get('/api/discogs/listings/:id', async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!(id > 0)) {
+    return res.status(400).json({ error: 'Listing id must be a number' });
+  }
+  try {
+    res.json(await fetchDiscogsListing(id));
+  } catch (error) {
+    res.status(error.status === 404 ? 404 : 502).json({ error: error.message });
+  }
+});
 
-      await new Promise(resolve => setTimeout(resolve, 150));
-    }
+// Pin an artist to a Discogs artist ({ id, name }), or unpin with { id: null }.
+// Later searches only look at that artist's releases.
+app.put('/api/artists/:name/discogs', (req, res) => {
+  const { id, name } = req.body || {};
+  if (id !== null && (!Number.isInteger(id) || !name)) {
+    return res.status(400).json({ error: 'id (number) and name required, or id null to unpin' });
+  }
+  const discogs = id === null ? null : { id, name };
+  const artist = setArtistDiscogs(getCurrentWatchlist(req.user.id).id, req.params.name, discogs);
+  if (!artist) {
+    return res.status(404).json({ error: 'Artist not found' });
+  }
+  res.json(withDiscogsLink(artist));
+});
 
-    saveLastResults(allResults, artists);
-    sendProgress({ type: 'complete', results: allResults, artists });
-    res.end();
+// Filters for queryResults from /api/results query parameters, for the
+// user's selected watchlist
+function resultFilters(query, userId) {
+  const number = (value) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : undefined;
+  };
+  const { artist, source, q, trend, since, until, currency } = query;
+  return {
+    watchlistId: getCurrentWatchlist(userId).id,
+    artist,
+    source,
+    q,
+    trend,
+    since,
+    until,
+    currency,
+    minPrice: number(query.minPrice),
+    maxPrice: number(query.maxPrice),
+    minTotal: number(query.minTotal),
+    maxTotal: number(query.maxTotal),
+    limit: parseInt(query.limit) || undefined,
+    offset: parseInt(query.offset) || undefined
+  };
+}
+
+// Query saved results. See queryResults for the supported filters.
+app.get('/api/results', (req, res) => {
+  const { currency } = req.query;
+  if (currency && !getRates().rates[currency]) {
+    return res.status(400).json({ error: `Unknown currency: ${currency}` });
+  }
+  res.json(queryResults(resultFilters(req.query, req.user.id)));
+});
+
+// Download saved results as format (csv, json or xlsx), filtered like
+// /api/results and sorted by sort (a results table column) and direction.
+// Amounts are converted to currency, which defaults to the base currency.
+const EXPORT_SORT_KEYS = ['artist', 'album', 'year', 'price', 'shipping', 'total', 'condition', 'source'];
+
+app.get('/api/results/export', async (req, res) => {
+  const { format = 'csv', sort, direction = 'asc', currency = BASE_CURRENCY } = req.query;
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Format must be one of ${EXPORT_FORMATS.join(', ')}` });
+  }
+  if (!getRates().rates[currency]) {
+    return res.status(400).json({ error: `Unknown currency: ${currency}` });
+  }
+  if (sort && !EXPORT_SORT_KEYS.includes(sort)) {
+    return res.status(400).json({ error: `Sort must be one of ${EXPORT_SORT_KEYS.join(', ')}` });
+  }
+  if (!['asc', 'desc'].includes(direction)) {
+    return res.status(400).json({ error: 'Direction must be asc or desc' });
+  }
+
+  let { results } = queryResults({ ...resultFilters(req.query, req.user.id), currency });
+  if (sort) {
+    results = sortResults(results, sort, direction, { currency, rates: getRates().rates });
+  }
+
+  try {
+    const file = await exportResults(results, format, currency);
+    res.type(file.contentType).attachment(file.filename).send(file.body);
   } catch (error) {
-    console.error('Refresh error:', error);
-    sendProgress({ error: 'Refresh failed: ' + error.message });
-    res.end();
+    console.error('Export error:', error);
+    res.status(500).json({ error: 'Export failed: ' + error.message });
   }
 });
 
-// Get last search results
-app.get('/api/results/latest', (req, res) => {
-  const data = loadLastResults();
-  if (!data) {
-    return res.status(404).json({ error: 'No previous results found' });
+// Price snapshots for one listing or release in the selected watchlist, keyed
+// like 'discogs:release:123' or 'ebay:item:v1|123|0' (each result's itemKey)
+app.get('/api/prices/history', (req, res) => {
+  const { key } = req.query;
+  if (!key) {
+    return res.status(400).json({ error: 'key parameter required' });
   }
-  res.json(data);
+  res.json({ key, snapshots: getPriceHistory(getCurrentWatchlist(req.user.id).id, key) });
+});
+
+// Results in the selected watchlist whose price dropped since the previous
+// search
+app.get('/api/prices/drops', (req, res) => {
+  const { results, total } = queryResults({ watchlistId: getCurrentWatchlist(req.user.id).id, trend: 'down' });
+  res.json({ results, total });
+});
+
+// Exchange rates used for converting prices, as units per base currency
+app.get('/api/currency/rates', async (req, res) => {
+  res.json(await loadRates());
+});
+
+// The user's price alerts
+app.get('/api/alerts', (req, res) => {
+  res.json({ alerts: listAlerts(req.user.id) });
+});
+
+app.post('/api/alerts', (req, res) => {
+  try {
+    res.status(201).json(createAlert({ ...req.body, userId: req.user.id }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/alerts/:id', (req, res) => {
+  if (!deleteAlert(req.user.id, parseInt(req.params.id))) {
+    return res.status(404).json({ error: 'Alert not found' });
+  }
+  res.status(204).end();
+});
+
+// Notifications sent so far for the user's alerts, newest first
+app.get('/api/alerts/notifications', (req, res) => {
+  res.json({ notifications: listNotifications(req.user.id) });
 });
 
 // Status endpoint to check configuration
@@ -337,22 +623,144 @@ app.get('/api/status', (req, res) => {
   res.json({
     hasDiscogsToken: !!process.env.DISCOGS_TOKEN,
     hasEbayCredentials: !!(process.env.EBAY_CLIENT_ID && process.env.EBAY_CLIENT_SECRET),
-    ebayMode: process.env.EBAY_SANDBOX === 'true' ? 'sandbox' : 'production'
+    ebayMode: getEbayEnvironment(),
+    ebayTokens: getTokenStatus(),
+    providers: describeProviders(),
+    searchOptions: {
+      formats: FORMATS,
+      conditions: ITEM_CONDITIONS,
+      buyingOptions: BUYING_OPTIONS,
+      marketplaces: EBAY_MARKETPLACES,
+      defaults: parseSearchOptions()
+    },
+    scheduler: getRefreshSchedulerStatus()
   });
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Vinyl search server running at http://localhost:${PORT}`);
-  if (process.env.DISCOGS_TOKEN) {
-    console.log('Discogs API token configured');
-  } else {
-    console.log('No DISCOGS_TOKEN found - using search links only');
+// User accounts, managed by admins
+app.get('/api/users', requireAdmin, (req, res) => {
+  res.json({ users: listUsers() });
+});
+
+// Create an account: { username, password, role }
+app.post('/api/users', requireAdmin, async (req, res) => {
+  try {
+    res.status(201).json(await createUser(req.body || {}));
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+// Change a user's role or reset their password: { role, password }
+app.patch('/api/users/:id', requireAdmin, async (req, res) => {
+  try {
+    const { role, password } = req.body || {};
+    const user = await updateUser(parseInt(req.params.id), { role, password });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(user);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+// Delete a user with their watchlists, results and alerts
+app.delete('/api/users/:id', requireAdmin, (req, res) => {
+  try {
+    if (!deleteUser(parseInt(req.params.id))) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+// Marketplace credentials: which are set and where from, never their values
+app.get('/api/admin/credentials', requireAdmin, (req, res) => {
+  res.json(describeCredentials());
+});
+
+// Save credentials ({ discogsToken, ebayClientId, ebayClientSecret }, null
+// to go back to .env), overriding .env
+app.put('/api/admin/credentials', requireAdmin, (req, res) => {
+  try {
+    res.json(setCredentials(req.body || {}));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
   }
-  if (process.env.EBAY_CLIENT_ID && process.env.EBAY_CLIENT_SECRET) {
-    const mode = process.env.EBAY_SANDBOX === 'true' ? 'sandbox' : 'production';
-    console.log(`eBay API configured (${mode} mode)`);
-  } else {
-    console.log('No eBay credentials found - using search links only');
+});
+
+// Provider response cache: stats and entries, filtered by provider and key text
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+  const { provider, q } = req.query;
+  res.json({
+    ...getCacheStats(),
+    items: listCacheEntries({
+      provider,
+      q,
+      limit: parseInt(req.query.limit) || 100,
+      offset: parseInt(req.query.offset) || 0
+    })
+  });
+});
+
+// Purge the cache: everything, or only entries matching provider, q and
+// expired=true
+app.delete('/api/admin/cache', requireAdmin, (req, res) => {
+  const { provider, q } = req.query;
+  const deleted = purgeCache({ provider, q, expired: req.query.expired === 'true' });
+  res.json({ deleted });
+});
+
+// Automatic refresh schedule, changed by admins
+app.get('/api/settings/refresh-schedule', (req, res) => {
+  res.json(getRefreshSchedulerStatus());
+});
+
+app.put('/api/settings/refresh-schedule', requireAdmin, (req, res) => {
+  const { cron, enabled } = req.body || {};
+  try {
+    setRefreshSchedule({ cron, enabled });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
   }
+  res.json(getRefreshSchedulerStatus());
 });
+
+// Listen when run directly; tests import app instead (see test/)
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    console.log(`Vinyl search server running at http://localhost:${PORT}`);
+    if (process.env.DISCOGS_TOKEN) {
+      console.log('Discogs API token configured');
+    } else {
+      console.log('No DISCOGS_TOKEN found - using search links only');
+    }
+    if (process.env.EBAY_CLIENT_ID && process.env.EBAY_CLIENT_SECRET) {
+      const mode = process.env.EBAY_SANDBOX === 'true' ? 'sandbox' : 'production';
+      console.log(`eBay API configured (${mode} mode)`);
+    } else {
+      console.log('No eBay credentials found - using search links only');
+    }
+    const enabled = getEnabledProviders().map(p => p.name);
+    console.log(`Providers enabled: ${enabled.join(', ') || 'none'} (concurrency ${getSearchConcurrency()})`);
+    if (getCacheMode() !== 'on') {
+      console.log(`Response cache mode: ${getCacheMode()}`);
+    }
+    const unknown = getUnknownProviderNames();
+    if (unknown.length > 0) {
+      console.warn(`Unknown providers in PROVIDERS: ${unknown.join(', ')}`);
+    }
+
+    // Exchange rates are cached for hours; check hourly whether they need refreshing
+    loadRates();
+    setInterval(() => loadRates(), 60 * 60 * 1000);
+
+    // Pick up jobs left unfinished by the last run
+    resumeJobs();
+    startRefreshScheduler();
+  });
+}
@@ -0,0 +1,94 @@
+// Price alerts (lib/alerts.js) and where their notifications go
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import express from 'express';
+import { useTempDataDir, listen } from './helpers.js';
+
+const dataDir = useTempDataDir();
+
+// A webhook that keeps what it's sent
+const webhookCalls = [];
+const webhook = express();
+webhook.use(express.json());
+webhook.post('/alerts', (req, res) => {
+  webhookCalls.push(req.body);
+  res.status(204).end();
+});
+
+const logFile = join(dataDir, 'alerts.log');
+process.env.ALERT_SINKS = 'log,webhook';
+process.env.ALERT_LOG_FILE = logFile;
+process.env.ALERT_WEBHOOK_URL = `${await listen(webhook)}/alerts`;
+
+const { createAlert, checkAlerts, listNotifications } = await import('../lib/alerts.js');
+const { createUser } = await import('../lib/users.js');
+const { createResult } = await import('../lib/schema.js');
+
+const admin = await createUser({ username: 'admin', password: 'correct horse', role: 'admin' });
+const user = await createUser({ username: 'dee', password: 'correct horse' });
+
+function listing(album, amount, { artist = 'Miles Davis', shipping = null } = {}) {
+  return createResult({
+    kind: 'listing',
+    artist,
+    album,
+    price: { amount, currency: 'USD' },
+    shipping: shipping === null ? null : { amount: shipping, currency: 'USD' },
+    link: `https://example.com/${encodeURIComponent(`${artist} ${album} ${amount}`)}`,
+    source: 'Stub',
+    listingId: `${artist} ${album} ${amount}`
+  });
+}
+
+function loggedAlerts() {
+  if (!existsSync(logFile)) return [];
+  return readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('results at or under an alert\'s target total for its artist and album notify', async () => {
+  createAlert({ userId: user.id, artist: 'Miles Davis', album: 'kind of blue', maxTotal: 20 });
+
+  await checkAlerts({
+    'Miles Davis': [
+      listing('Kind Of Blue', 15, { shipping: 5 }),
+      listing('Kind Of Blue', 15, { shipping: 6 }),
+      listing('Sketches Of Spain', 10)
+    ],
+    // Results for the artist count under another search too
+    'Cannonball Adderley': [
+      listing('Kind Of Blue (Reissue)', 12),
+      listing('Somethin\' Else', 8, { artist: 'Cannonball Adderley' })
+    ]
+  }, user.id);
+
+  const notified = listNotifications(user.id).map(n => [n.listing.album, n.total]).sort();
+  assert.deepEqual(notified, [['Kind Of Blue (Reissue)', 12], ['Kind Of Blue', 20]]);
+  assert.deepEqual(loggedAlerts().map(n => n.listing.album).sort(), ['Kind Of Blue', 'Kind Of Blue (Reissue)']);
+});
+
+test('a listing notifies once however often it is found', async () => {
+  const before = loggedAlerts().length;
+  await checkAlerts({ 'Miles Davis': [listing('Kind Of Blue', 15, { shipping: 5 })] }, user.id);
+  assert.equal(listNotifications(user.id).length, 2);
+  assert.equal(loggedAlerts().length, before);
+});
+
+test('only admins\' alerts go to the webhook', async () => {
+  webhookCalls.length = 0;
+  createAlert({ userId: admin.id, artist: 'Radiohead', maxTotal: 30 });
+  createAlert({ userId: user.id, artist: 'Radiohead', maxTotal: 30 });
+  const results = { Radiohead: [listing('In Rainbows', 25, { artist: 'Radiohead' })] };
+
+  await checkAlerts(results, user.id);
+  assert.equal(listNotifications(user.id).length, 3);
+  assert.deepEqual(webhookCalls, []);
+
+  await checkAlerts(results, admin.id);
+  assert.equal(listNotifications(admin.id).length, 1);
+  assert.equal(webhookCalls.length, 1);
+  assert.equal(webhookCalls[0].subject, 'Price alert: Radiohead – In Rainbows');
+  assert.equal(webhookCalls[0].listing.total.amount, 25);
+});
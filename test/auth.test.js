@@ -0,0 +1,204 @@
+// Accounts, login sessions and what each role may do
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir, listen, sessionCookie } from './helpers.js';
+
+useTempDataDir();
+process.env.PROVIDERS = 'stub';
+delete process.env.DISCOGS_TOKEN;
+process.env.CREDENTIALS_SECRET = 'test secret';
+
+const { app } = await import('../server.js');
+const baseUrl = await listen(app);
+const { getSetting } = await import('../lib/settings.js');
+const { getRateLimitState } = await import('../lib/rateLimiter.js');
+
+function request(method, path, body, cookie) {
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    redirect: 'manual',
+    headers: { 'Content-Type': 'application/json', ...(cookie && { Cookie: cookie }) },
+    body: body && JSON.stringify(body)
+  });
+}
+
+async function logIn(username, password) {
+  const response = await request('POST', '/api/auth/login', { username, password });
+  assert.equal(response.status, 200);
+  return sessionCookie(response);
+}
+
+let admin;
+let user;
+
+test('nothing but logging in works without a session', async () => {
+  let response = await request('GET', '/api/artists');
+  assert.equal(response.status, 401);
+  response = await request('POST', '/api/search/refresh', {});
+  assert.equal(response.status, 401);
+
+  response = await request('GET', '/');
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get('Location'), '/login.html');
+  response = await request('GET', '/login.html');
+  assert.equal(response.status, 200);
+});
+
+test('the first account is set up as an admin, once', async () => {
+  let response = await request('GET', '/api/auth/session');
+  assert.deepEqual(await response.json(), { user: null, needsSetup: true });
+
+  response = await request('POST', '/api/auth/setup', { username: 'x', password: 'correct horse' });
+  assert.equal(response.status, 400);
+  response = await request('POST', '/api/auth/setup', { username: 'Admin', password: 'short' });
+  assert.equal(response.status, 400);
+
+  response = await request('POST', '/api/auth/setup', { username: 'Admin', password: 'correct horse' });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).role, 'admin');
+  admin = sessionCookie(response);
+  assert.match(response.headers.get('Set-Cookie'), /HttpOnly/);
+
+  response = await request('GET', '/api/auth/session', undefined, admin);
+  const session = await response.json();
+  assert.equal(session.user.username, 'Admin');
+  assert.equal(session.needsSetup, false);
+
+  response = await request('POST', '/api/auth/setup', { username: 'other', password: 'correct horse' });
+  assert.equal(response.status, 409);
+});
+
+test('admins create accounts that log in with their password', async () => {
+  let response = await request('POST', '/api/users', { username: 'dee', password: 'battery staple' }, admin);
+  assert.equal(response.status, 201);
+  assert.equal((await response.json()).role, 'user');
+  response = await request('POST', '/api/users', { username: 'DEE', password: 'battery staple' }, admin);
+  assert.equal(response.status, 409);
+
+  response = await request('POST', '/api/auth/login', { username: 'dee', password: 'wrong password' });
+  assert.equal(response.status, 401);
+  response = await request('POST', '/api/auth/login', { username: 'nobody', password: 'battery staple' });
+  assert.equal(response.status, 401);
+  user = await logIn('Dee', 'battery staple');
+});
+
+test('repeated login attempts for a username are refused for a while', async () => {
+  const attempt = () => request('POST', '/api/auth/login', { username: 'guessme', password: 'password1' });
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await attempt()).status, 401);
+  }
+  const response = await attempt();
+  assert.equal(response.status, 429);
+  assert.match((await response.json()).error, /Too many login attempts/);
+});
+
+test('users only see their own watchlists, artists and alerts', async () => {
+  await request('POST', '/api/artists', { name: 'Miles Davis' }, admin);
+  await request('POST', '/api/alerts', { artist: 'Miles Davis', maxTotal: 20 }, admin);
+  await request('POST', '/api/watchlists', { name: 'Jazz' }, admin);
+
+  let response = await request('POST', '/api/artists', { name: 'Samia' }, user);
+  assert.equal(response.status, 201);
+
+  const artists = async (cookie) => (await request('GET', '/api/artists', undefined, cookie).then(r => r.json()))
+    .artists.map(artist => artist.name);
+  assert.deepEqual(await artists(admin), ['Miles Davis']);
+  assert.deepEqual(await artists(user), ['Samia']);
+
+  const { watchlists } = await request('GET', '/api/watchlists', undefined, user).then(r => r.json());
+  assert.deepEqual(watchlists.map(watchlist => watchlist.name), ['Main']);
+  const { alerts } = await request('GET', '/api/alerts', undefined, user).then(r => r.json());
+  assert.deepEqual(alerts, []);
+
+  // Another user's list can't be picked or deleted
+  const adminLists = await request('GET', '/api/watchlists', undefined, admin).then(r => r.json());
+  response = await request('PUT', '/api/watchlists/current', { id: adminLists.watchlists[1].id }, user);
+  assert.equal(response.status, 404);
+  response = await request('DELETE', `/api/watchlists/${adminLists.watchlists[1].id}`, undefined, user);
+  assert.equal(response.status, 404);
+});
+
+test('server-wide settings and accounts are for admins only', async () => {
+  let response = await request('GET', '/api/users', undefined, user);
+  assert.equal(response.status, 403);
+  response = await request('PUT', '/api/settings/refresh-schedule', { enabled: false }, user);
+  assert.equal(response.status, 403);
+  response = await request('DELETE', '/api/admin/cache', undefined, user);
+  assert.equal(response.status, 403);
+  response = await request('PUT', '/api/admin/credentials', { discogsToken: 'stolen' }, user);
+  assert.equal(response.status, 403);
+
+  response = await request('GET', '/api/users', undefined, admin);
+  assert.deepEqual((await response.json()).users.map(u => [u.username, u.role]), [['Admin', 'admin'], ['dee', 'user']]);
+});
+
+test('admins set provider credentials, which override .env until cleared', async () => {
+  let response = await request('PUT', '/api/admin/credentials', { discogsToken: ' abc123 ' }, admin);
+  const credentials = await response.json();
+  assert.deepEqual(credentials.discogsToken, { set: true, source: 'saved' });
+  assert.deepEqual(credentials.ebayClientId, { set: false, source: null });
+  assert.equal(process.env.DISCOGS_TOKEN, 'abc123');
+  // Discogs allows 60 requests a minute with a token
+  assert.equal(getRateLimitState().discogs.refillPerSecond, 1);
+  // Saved encrypted, never as the token itself
+  assert.match(getSetting('providerCredentials').discogsToken, /^enc:/);
+  assert.ok(!JSON.stringify(getSetting('providerCredentials')).includes('abc123'));
+
+  const status = await request('GET', '/api/status', undefined, user).then(r => r.json());
+  assert.equal(status.hasDiscogsToken, true);
+
+  response = await request('PUT', '/api/admin/credentials', { discogsToken: null }, admin);
+  assert.equal((await response.json()).discogsToken.set, false);
+  assert.equal(process.env.DISCOGS_TOKEN, undefined);
+  assert.equal(getRateLimitState().discogs.refillPerSecond, 25 / 60);
+
+  response = await request('PUT', '/api/admin/credentials', { discogsToken: 42 }, admin);
+  assert.equal(response.status, 400);
+
+  // Nothing can be saved without a secret to encrypt it with
+  delete process.env.CREDENTIALS_SECRET;
+  response = await request('PUT', '/api/admin/credentials', { discogsToken: 'abc123' }, admin);
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /CREDENTIALS_SECRET/);
+  process.env.CREDENTIALS_SECRET = 'test secret';
+});
+
+test('the last admin can\'t be demoted or deleted', async () => {
+  const { users } = await request('GET', '/api/users', undefined, admin).then(r => r.json());
+  const [first, dee] = users;
+  let response = await request('PATCH', `/api/users/${first.id}`, { role: 'user' }, admin);
+  assert.equal(response.status, 409);
+  response = await request('DELETE', `/api/users/${first.id}`, undefined, admin);
+  assert.equal(response.status, 409);
+
+  response = await request('PATCH', `/api/users/${dee.id}`, { role: 'admin' }, admin);
+  assert.equal((await response.json()).role, 'admin');
+  response = await request('PATCH', `/api/users/${dee.id}`, { role: 'owner' }, admin);
+  assert.equal(response.status, 400);
+});
+
+test('changing a password logs out the account\'s other sessions', async () => {
+  const other = await logIn('dee', 'battery staple');
+  let response = await request('PUT', '/api/auth/password', { currentPassword: 'nope', newPassword: 'new password' }, user);
+  assert.equal(response.status, 403);
+  response = await request('PUT', '/api/auth/password',
+    { currentPassword: 'battery staple', newPassword: 'new password' }, user);
+  assert.equal(response.status, 204);
+
+  assert.equal((await request('GET', '/api/artists', undefined, other)).status, 401);
+  assert.equal((await request('GET', '/api/artists', undefined, user)).status, 200);
+  await logIn('dee', 'new password');
+});
+
+test('deleting a user removes their data, and logging out ends a session', async () => {
+  const { users } = await request('GET', '/api/users', undefined, admin).then(r => r.json());
+  const dee = users.find(u => u.username === 'dee');
+  let response = await request('DELETE', `/api/users/${dee.id}`, undefined, admin);
+  assert.equal(response.status, 204);
+  assert.equal((await request('GET', '/api/artists', undefined, user)).status, 401);
+
+  response = await request('POST', '/api/auth/logout', undefined, admin);
+  assert.equal(response.status, 204);
+  assert.equal((await request('GET', '/api/artists', undefined, admin)).status, 401);
+});
@@ -0,0 +1,59 @@
+// Cron expressions for the scheduled refresh (lib/cron.js). Times are local,
+// like the scheduler's.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronRun } from '../lib/cron.js';
+
+function next(expression, from) {
+  return nextCronRun(parseCron(expression), from);
+}
+
+test('parseCron reads lists, ranges and steps', () => {
+  const cron = parseCron('0,30 9-17/4 */10 1-3 1-5');
+  assert.deepEqual([...cron.minute], [0, 30]);
+  assert.deepEqual([...cron.hour], [9, 13, 17]);
+  assert.deepEqual([...cron.dayOfMonth], [1, 11, 21, 31]);
+  assert.deepEqual([...cron.month], [1, 2, 3]);
+  assert.deepEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+});
+
+test('parseCron treats a start with a step as running to the end', () => {
+  assert.deepEqual([...parseCron('5/20 * * * *').minute], [5, 25, 45]);
+});
+
+test('parseCron takes 7 for Sunday and aliases for common schedules', () => {
+  assert.ok(parseCron('0 0 * * 7').dayOfWeek.has(0));
+  assert.deepEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+  assert.deepEqual(parseCron(' @weekly '), parseCron('0 0 * * 0'));
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('* * * *'), /needs 5 fields/);
+  assert.throws(() => parseCron(''), /needs 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /Invalid minute field/);
+  assert.throws(() => parseCron('* 5-2 * * *'), /Invalid hour field/);
+  assert.throws(() => parseCron('* * 0 * *'), /Invalid day of month field/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid minute field/);
+  assert.throws(() => parseCron('* * * jan *'), /Invalid month field/);
+});
+
+test('nextCronRun finds the next matching minute after a time', () => {
+  const from = new Date(2024, 0, 1, 10, 30, 45);
+  assert.deepEqual(next('* * * * *', from), new Date(2024, 0, 1, 10, 31));
+  assert.deepEqual(next('30 10 * * *', from), new Date(2024, 0, 2, 10, 30));
+  assert.deepEqual(next('0 */6 * * *', from), new Date(2024, 0, 1, 12, 0));
+  assert.deepEqual(next('@monthly', from), new Date(2024, 1, 1, 0, 0));
+});
+
+test('nextCronRun matches either day field when both are restricted', () => {
+  // Monday 1 January 2024: the 15th or a Friday, whichever comes first
+  assert.deepEqual(next('0 8 15 * 5', new Date(2024, 0, 1)), new Date(2024, 0, 5, 8, 0));
+  assert.deepEqual(next('0 8 3 * 5', new Date(2024, 0, 1)), new Date(2024, 0, 3, 8, 0));
+});
+
+test('nextCronRun skips months without the day and gives up on impossible dates', () => {
+  assert.deepEqual(next('0 0 31 * *', new Date(2024, 1, 1)), new Date(2024, 2, 31, 0, 0));
+  assert.deepEqual(next('0 0 29 2 *', new Date(2024, 2, 1)), new Date(2028, 1, 29, 0, 0));
+  assert.equal(next('0 0 30 2 *', new Date(2024, 0, 1)), null);
+});
@@ -0,0 +1,40 @@
+// Result exports (lib/exports.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { exportResults } from '../lib/exports.js';
+
+const results = [{
+  artist: '=HYPERLINK("https://evil.example","Miles Davis")',
+  album: '@SUM(1+1)',
+  year: 1959,
+  price: { amount: -5, currency: 'USD' },
+  shipping: null,
+  total: null,
+  condition: '+VG',
+  source: 'eBay',
+  link: 'https://example.com/1'
+}];
+
+test('CSV exports keep formula-looking text as text', async () => {
+  const { body } = await exportResults(results, 'csv', 'USD');
+  const [, row] = body.split('\r\n');
+  assert.equal(row, '"\'=HYPERLINK(""https://evil.example"",""Miles Davis"")",\'@SUM(1+1),1959,-5,,,USD,\'+VG,eBay,https://example.com/1');
+});
+
+test('Excel exports keep formula-looking text as text', async () => {
+  const { body } = await exportResults(results, 'xlsx', 'USD');
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(body);
+  const row = workbook.getWorksheet('Results').getRow(2);
+  assert.equal(row.getCell(1).value, '\'=HYPERLINK("https://evil.example","Miles Davis")');
+  assert.equal(row.getCell(2).value, '\'@SUM(1+1)');
+  assert.equal(row.getCell(4).value, -5);
+  assert.equal(row.getCell(8).value, '\'+VG');
+});
+
+test('JSON exports leave text alone', async () => {
+  const { body } = await exportResults(results, 'json', 'USD');
+  assert.equal(JSON.parse(body)[0].album, '@SUM(1+1)');
+});
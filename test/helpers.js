@@ -0,0 +1,46 @@
+// Shared test setup
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { after } from 'node:test';
+
+// Point DATA_DIR at a fresh temporary directory, removed after the tests.
+// Call before importing anything that opens the database.
+export function useTempDataDir() {
+  const dir = mkdtempSync(join(tmpdir(), 'vinyl-search-test-'));
+  process.env.DATA_DIR = dir;
+  after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Start an express app on a free port. Resolves with its base URL; the
+// server is closed after the tests.
+export function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, () => {
+      after(() => {
+        server.closeAllConnections();
+        server.close();
+      });
+      resolve(`http://localhost:${server.address().port}`);
+    });
+  });
+}
+
+// Read a server-sent events response to the end, resolving with the data of
+// every event in order
+export async function readEvents(response) {
+  const text = await response.text();
+  return text
+    .split('\n\n')
+    .map(block => block.split('\n').find(line => line.startsWith('data: ')))
+    .filter(Boolean)
+    .map(line => JSON.parse(line.slice(6)));
+}
+
+// The session cookie a login response sets ("session=..."), to send back in
+// a Cookie header
+export function sessionCookie(response) {
+  return response.headers.getSetCookie().find(cookie => cookie.startsWith('session='))?.split(';')[0];
+}
@@ -0,0 +1,81 @@
+// Provider response cache (lib/httpCache.js)
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir } from './helpers.js';
+
+useTempDataDir();
+
+const { cachedRequest, purgeCache, getCacheStats } = await import('../lib/httpCache.js');
+
+const HOUR = 60 * 60 * 1000;
+
+// A fetchBody that counts its calls and answers with the count
+function counter() {
+  const fetchBody = async () => ({ calls: ++fetchBody.calls });
+  fetchBody.calls = 0;
+  return fetchBody;
+}
+
+afterEach(() => {
+  delete process.env.HTTP_CACHE_MODE;
+  purgeCache();
+});
+
+test('fresh entries are served from the cache', async () => {
+  const fetchBody = counter();
+  const request = { provider: 'discogs', key: 'https://api.example/a', ttl: HOUR };
+  assert.deepEqual(await cachedRequest(request, fetchBody), { calls: 1 });
+  assert.deepEqual(await cachedRequest(request, fetchBody), { calls: 1 });
+  assert.equal(fetchBody.calls, 1);
+});
+
+test('concurrent requests for a key share one fetch', async () => {
+  const fetchBody = counter();
+  const request = { provider: 'discogs', key: 'https://api.example/b', ttl: HOUR };
+  const bodies = await Promise.all([cachedRequest(request, fetchBody), cachedRequest(request, fetchBody)]);
+  assert.deepEqual(bodies, [{ calls: 1 }, { calls: 1 }]);
+});
+
+test('expired entries are fetched again', async () => {
+  const fetchBody = counter();
+  const request = { provider: 'ebay', key: 'https://api.example/c', ttl: -1 };
+  await cachedRequest(request, fetchBody);
+  assert.deepEqual(await cachedRequest(request, fetchBody), { calls: 2 });
+});
+
+test('failed fetches aren\'t cached', async () => {
+  const request = { provider: 'ebay', key: 'https://api.example/d', ttl: HOUR };
+  await assert.rejects(cachedRequest(request, async () => { throw new Error('down'); }), /down/);
+  assert.deepEqual(await cachedRequest(request, counter()), { calls: 1 });
+});
+
+test('off mode always fetches and stores nothing', async () => {
+  process.env.HTTP_CACHE_MODE = 'off';
+  const fetchBody = counter();
+  const request = { provider: 'discogs', key: 'https://api.example/e', ttl: HOUR };
+  await cachedRequest(request, fetchBody);
+  assert.deepEqual(await cachedRequest(request, fetchBody), { calls: 2 });
+  assert.equal(getCacheStats().entries, 0);
+});
+
+test('replay mode serves expired entries and fails on missing ones', async () => {
+  const request = { provider: 'discogs', key: 'https://api.example/f', ttl: -1 };
+  await cachedRequest(request, counter());
+
+  process.env.HTTP_CACHE_MODE = 'replay';
+  const fetchBody = counter();
+  assert.deepEqual(await cachedRequest(request, fetchBody), { calls: 1 });
+  await assert.rejects(cachedRequest({ ...request, key: 'https://api.example/g' }, fetchBody),
+    /Not in the response cache \(replay mode\)/);
+  assert.equal(fetchBody.calls, 0);
+});
+
+test('expired entries stay until purged', async () => {
+  await cachedRequest({ provider: 'discogs', key: 'https://api.example/h', ttl: -1 }, counter());
+  await cachedRequest({ provider: 'discogs', key: 'https://api.example/i', ttl: HOUR }, counter());
+  assert.equal(getCacheStats().entries, 2);
+
+  assert.equal(purgeCache({ expired: true }), 1);
+  assert.equal(getCacheStats().entries, 1);
+});
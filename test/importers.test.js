@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseArtists, parseWantRows, detectImportType, readArtistFile, rankArtists, entryWants, parseRankOptions
+} from '../lib/importers.js';
+
+test('parseArtists reads the artist column', () => {
+  const csv = 'album,artist\nKind Of Blue,Miles Davis\nOK Computer,Radiohead\n';
+  assert.deepEqual(parseArtists(csv), ['Miles Davis', 'Radiohead']);
+});
+
+test('parseArtists accepts name and band columns in any case', () => {
+  assert.deepEqual(parseArtists('Name\nSamia\n'), ['Samia']);
+  assert.deepEqual(parseArtists('year,BAND\n1997,Radiohead\n'), ['Radiohead']);
+});
+
+test('parseArtists falls back to the first column', () => {
+  assert.deepEqual(parseArtists('performer,genre\nMiles Davis,Jazz\n'), ['Miles Davis']);
+});
+
+test('parseArtists trims values and skips blank rows and cells', () => {
+  const csv = 'artist,album\n  Miles Davis  ,x\n\n,y\nRadiohead,z\n';
+  assert.deepEqual(parseArtists(csv), ['Miles Davis', 'Radiohead']);
+});
+
+test('parseArtists reads a single line as a list of one artist', () => {
+  // The only line is taken as the header, leaving no records
+  assert.deepEqual(parseArtists('Radiohead\n'), ['Radiohead']);
+});
+
+test('parseArtists tolerates rows with extra columns', () => {
+  assert.deepEqual(parseArtists('artist\nMiles Davis,extra\nRadiohead\n'), ['Miles Davis', 'Radiohead']);
+});
+
+const lastfmPage = (artists) => ({ topartists: { artist: artists, '@attr': { page: '1', totalPages: '1' } } });
+
+test('detectImportType tells the exports apart', () => {
+  assert.equal(detectImportType('artist\nRadiohead\n'), 'csv');
+  assert.equal(detectImportType('1999\n'), 'csv');
+  assert.equal(detectImportType(JSON.stringify(lastfmPage([]))), 'lastfm');
+  assert.equal(detectImportType(JSON.stringify([{ name: 'Arca', playcount: '3' }])), 'lastfm');
+  assert.equal(detectImportType(JSON.stringify({ artists: { items: [] } })), 'spotify-followed');
+  assert.equal(detectImportType(JSON.stringify({ tracks: [], artists: [] })), 'spotify-followed');
+  assert.equal(detectImportType(JSON.stringify([{ artistName: 'Arca', msPlayed: 1 }])), 'spotify-history');
+  assert.equal(detectImportType(JSON.stringify([{ master_metadata_album_artist_name: 'Arca', ms_played: 1 }])),
+    'spotify-history');
+  assert.throws(() => detectImportType('{"playlists": []}'), /Unrecognised file/);
+});
+
+test('readArtistFile reads Last.fm top artists with their play counts', () => {
+  const pages = [
+    lastfmPage([{ name: 'Radiohead', playcount: '812' }, { name: 'Miles Davis', playcount: '40' }]),
+    lastfmPage([{ name: 'Samia', playcount: '2' }])
+  ];
+  assert.deepEqual(readArtistFile(JSON.stringify(pages)), [
+    { name: 'Radiohead', plays: 812 }, { name: 'Miles Davis', plays: 40 }, { name: 'Samia', plays: 2 }
+  ]);
+});
+
+test('readArtistFile reads Spotify followed artists from the API and the data export', () => {
+  const api = { artists: { items: [{ name: 'Arca', type: 'artist' }], next: null } };
+  const library = { tracks: [], artists: [{ name: 'Samia', uri: 'spotify:artist:1' }] };
+  assert.deepEqual(readArtistFile(JSON.stringify(api)), [{ name: 'Arca', plays: 1 }]);
+  assert.deepEqual(readArtistFile(JSON.stringify(library), 'spotify-followed'), [{ name: 'Samia', plays: 1 }]);
+});
+
+test('readArtistFile counts Spotify streams of 30 seconds or more', () => {
+  const history = [
+    { endTime: '2024-01-01 10:00', artistName: 'Arca', trackName: 'Nonbinary', msPlayed: 180000 },
+    { endTime: '2024-01-01 10:03', artistName: 'Samia', trackName: 'Fit N Full', msPlayed: 12000 },
+    { ts: '2024-01-02T10:00:00Z', master_metadata_album_artist_name: 'Samia', ms_played: 200000 },
+    { ts: '2024-01-02T11:00:00Z', master_metadata_album_artist_name: null, episode_name: 'News', ms_played: 900000 }
+  ];
+  assert.deepEqual(readArtistFile(JSON.stringify(history)), [
+    { name: 'Arca', plays: 1 }, { name: 'Samia', plays: 1 }, { name: null, plays: 1 }
+  ]);
+});
+
+test('readArtistFile rejects a type the file is not', () => {
+  assert.throws(() => readArtistFile('artist\nRadiohead\n', 'lastfm'), /Not a lastfm export/);
+  assert.throws(() => readArtistFile('artist\nRadiohead\n', 'itunes'), /Type must be auto or one of/);
+});
+
+test('rankArtists merges artists ignoring case and adds up plays', () => {
+  const entries = [
+    { name: 'Samia', plays: 1 }, { name: ' radiohead ', plays: 2 }, { name: 'Radiohead', plays: 3 },
+    { name: 'Arca', plays: 4 }, { name: null, plays: 9 }, { name: '', plays: 9 }
+  ];
+  assert.deepEqual(rankArtists(entries), ['Samia', 'radiohead', 'Arca']);
+  assert.deepEqual(rankArtists(entries, { byPlays: true }), ['radiohead', 'Arca', 'Samia']);
+  assert.deepEqual(rankArtists(entries, { byPlays: true, limit: 2 }), ['radiohead', 'Arca']);
+});
+
+test('parseRankOptions reads form fields', () => {
+  assert.deepEqual(parseRankOptions({}), { byPlays: false });
+  assert.deepEqual(parseRankOptions({ byPlays: 'true', limit: '25' }), { byPlays: true, limit: 25 });
+  assert.deepEqual(parseRankOptions({ byPlays: 'false', limit: '' }), { byPlays: false });
+  assert.throws(() => parseRankOptions({ limit: '0' }), /Limit must be/);
+  assert.throws(() => parseRankOptions({ limit: '2.5' }), /Limit must be/);
+});
+
+test('parseWantRows reads records from a CSV with an album column', () => {
+  const csv = 'Artist,Album,Cat No,Release ID\nFiona Apple,Tidal,CK 67439,\nSilver Jews,American Water,,1234\nArca,,,\n';
+  assert.deepEqual(parseWantRows(csv), [
+    { name: 'Fiona Apple – Tidal (CK 67439)', plays: 1, want: { artist: 'Fiona Apple', album: 'Tidal', catno: 'CK 67439', releaseId: null } },
+    { name: 'Silver Jews – American Water (Discogs 1234)', plays: 1, want: { artist: 'Silver Jews', album: 'American Water', catno: null, releaseId: 1234 } },
+    { name: 'Arca', plays: 1 }
+  ]);
+});
+
+test('parseWantRows leaves artist lists to parseArtists', () => {
+  assert.equal(parseWantRows('artist,genre\nArca,Electronic\n'), null);
+  assert.equal(parseWantRows('Radiohead\n'), null);
+});
+
+test('parseWantRows names the row with an invalid field', () => {
+  assert.throws(() => parseWantRows('artist,album,release_id\nArca,Kick,ii\n'), /Row 1: Discogs release ID/);
+});
+
+test('readArtistFile reads album CSVs and entryWants finds their wants', () => {
+  const entries = readArtistFile('artist,title\nFiona Apple,Tidal\nfiona apple,tidal\nArca,\n');
+  assert.deepEqual(rankArtists(entries), ['Fiona Apple – Tidal', 'Arca']);
+  assert.deepEqual(entryWants(entries), {
+    'Fiona Apple – Tidal': { artist: 'Fiona Apple', album: 'Tidal', catno: null, releaseId: null },
+    'fiona apple – tidal': { artist: 'fiona apple', album: 'tidal', catno: null, releaseId: null }
+  });
+});
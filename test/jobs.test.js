@@ -0,0 +1,109 @@
+// Background search jobs: queueing per user, and resuming after a restart
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir } from './helpers.js';
+
+useTempDataDir();
+process.env.PROVIDERS = 'stub';
+process.env.HTTP_CACHE_MODE = 'off';
+
+const { registerProvider } = await import('../lib/providers.js');
+const { createResult } = await import('../lib/schema.js');
+
+// One listing per artist. A search for an artist in held waits for its
+// promise first.
+const held = new Map();
+const searched = [];
+registerProvider({
+  name: 'stub',
+  label: 'Stub',
+  capabilities: ['listings'],
+  search: async (artist) => {
+    searched.push(artist);
+    await held.get(artist);
+    return [createResult({
+      kind: 'listing',
+      artist,
+      album: `${artist} LP`,
+      price: { amount: 10, currency: 'USD' },
+      link: `https://example.com/${encodeURIComponent(artist)}`,
+      source: 'Stub',
+      listingId: artist
+    })];
+  }
+});
+
+const { createUser } = await import('../lib/users.js');
+const { getCurrentWatchlist } = await import('../lib/watchlists.js');
+const { queryResults } = await import('../lib/storage.js');
+const jobs = await import('../lib/jobs.js');
+
+async function newUser(username) {
+  const user = await createUser({ username, password: 'correct horse' });
+  return { userId: user.id, watchlistId: getCurrentWatchlist(user.id).id };
+}
+
+// Resolves with the data of every event of a job once it finishes
+function finished({ subscribe }, id) {
+  return new Promise(resolve => {
+    const events = [];
+    subscribe(id, 0, event => events.push(event.data), () => resolve(events));
+  });
+}
+
+function release() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+test('one user\'s jobs wait for each other, but not for other users\'', async () => {
+  const dee = await newUser('dee');
+  const sam = await newUser('sam');
+  const slow = release();
+  held.set('Slow', slow.promise);
+
+  const first = jobs.createJob({ ...dee, mode: 'replace', artists: ['Slow'] });
+  const second = jobs.createJob({ ...dee, mode: 'append', artists: ['Arca'] });
+  const other = jobs.createJob({ ...sam, mode: 'replace', artists: ['Samia'] });
+
+  await finished(jobs, other.id);
+  assert.equal(other.status, 'completed');
+  assert.equal(first.status, 'running');
+  assert.equal(second.status, 'queued');
+
+  slow.resolve();
+  await finished(jobs, second.id);
+  assert.equal(first.status, 'completed');
+  assert.deepEqual(queryResults({ watchlistId: dee.watchlistId }).artists, ['Slow', 'Arca']);
+});
+
+test('a job interrupted by a restart carries on with the artists it had left', async () => {
+  const list = await newUser('resumer');
+  // The server "stops" with this search still going
+  held.set('Radiohead', new Promise(() => {}));
+
+  const job = jobs.createJob({ ...list, mode: 'replace', artists: ['Miles Davis', 'Radiohead'] });
+  for (let i = 0; i < 100 && job.resultCounts['Miles Davis'] === undefined; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.deepEqual(queryResults({ watchlistId: list.watchlistId }).artists, ['Miles Davis']);
+
+  // A fresh copy of the module reads the saved jobs like a restarted server
+  held.delete('Radiohead');
+  searched.length = 0;
+  const restarted = await import('../lib/jobs.js?restart');
+  restarted.resumeJobs();
+  const events = await finished(restarted, job.id);
+
+  const resumed = restarted.getJob(job.id);
+  assert.equal(resumed.status, 'completed');
+  assert.deepEqual(searched, ['Radiohead']);
+  assert.deepEqual(queryResults({ watchlistId: list.watchlistId }).artists, ['Miles Davis', 'Radiohead']);
+
+  // Results events from before and after the restart replay with their results
+  const results = events.filter(event => event.type === 'results');
+  assert.deepEqual(results.map(event => [event.artist, event.results.length]), [['Miles Davis', 1], ['Radiohead', 1]]);
+  assert.equal(events.at(-1).type, 'complete');
+});
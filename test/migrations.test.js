@@ -0,0 +1,75 @@
+// Schema migrations (lib/db.js) bringing an old database up to date
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { join } from 'path';
+import { useTempDataDir } from './helpers.js';
+
+useTempDataDir();
+const { MIGRATIONS } = await import('../lib/db.js');
+// Where the old database is set up, opened by a second copy of db.js
+const oldDataDir = useTempDataDir();
+
+test('results saved before structured prices are migrated to the current schema', async () => {
+  // A database from before the first data migration, with one listing saved
+  // the way searches saved them then
+  const old = new Database(join(oldDataDir, 'vinyl-search.db'));
+  MIGRATIONS.slice(0, 4).forEach(migration => old.exec(migration));
+  old.pragma('user_version = 4');
+  old.prepare(`INSERT INTO artists (id, name, name_key, position, created_at)
+    VALUES (1, 'Miles Davis', 'miles davis', 0, '2024-01-01T00:00:00.000Z')`).run();
+  old.prepare(`INSERT INTO listings (artist_id, position, source, artist, album, created_at, data)
+    VALUES (1, 0, 'Discogs', 'Miles Davis', 'Kind Of Blue', '2024-01-01T00:00:00.000Z', ?)`).run(JSON.stringify({
+    artist: 'Miles Davis',
+    album: 'Kind Of Blue',
+    year: '1959',
+    price: 'From $12.50',
+    shipping: '$3',
+    condition: 'Very Good Plus (VG+)',
+    source: 'Discogs',
+    link: 'https://www.discogs.com/release/1',
+    releaseId: 1,
+    previousPrice: '$15'
+  }));
+  old.close();
+
+  const { db } = await import('../lib/db.js?old');
+  assert.equal(db.pragma('user_version', { simple: true }), MIGRATIONS.length);
+
+  const row = db.prepare('SELECT price_value, total_value, data FROM listings').get();
+  assert.equal(row.price_value, 12.5);
+  assert.equal(row.total_value, 15.5);
+  assert.deepEqual(JSON.parse(row.data), {
+    schemaVersion: 4,
+    id: 'discogs:release:1',
+    kind: 'release',
+    isSearch: false,
+    artist: 'Miles Davis',
+    album: 'Kind Of Blue',
+    year: 1959,
+    price: { amount: 12.5, currency: 'USD' },
+    priceNote: 'lowest price',
+    shipping: { amount: 3, currency: 'USD' },
+    total: { amount: 15.5, currency: 'USD' },
+    condition: 'very-good-plus',
+    sleeveCondition: null,
+    source: 'Discogs',
+    link: 'https://www.discogs.com/release/1',
+    country: null,
+    seller: null,
+    sellerRating: null,
+    releaseId: 1,
+    listingId: null,
+    itemId: null,
+    masterId: null,
+    groupKey: 'discogs:release:1',
+    groupTitle: 'Kind Of Blue',
+    marketplace: null,
+    saleType: null,
+    bidCount: null,
+    auctionEndsAt: null,
+    previousPrice: { amount: 15, currency: 'USD' }
+  });
+  db.close();
+});
@@ -0,0 +1,65 @@
+// Price snapshots and trends between searches (lib/priceHistory.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir } from './helpers.js';
+
+useTempDataDir();
+
+const { recordPriceSnapshots, getPriceHistory } = await import('../lib/priceHistory.js');
+const { createUser } = await import('../lib/users.js');
+const { getCurrentWatchlist, createWatchlist } = await import('../lib/watchlists.js');
+const { createResult } = await import('../lib/schema.js');
+
+const user = await createUser({ username: 'dee', password: 'correct horse' });
+const main = getCurrentWatchlist(user.id).id;
+const gifts = createWatchlist(user.id, 'Gifts').id;
+
+function listing(listingId, amount) {
+  return createResult({
+    kind: 'listing',
+    artist: 'Miles Davis',
+    album: 'Kind Of Blue',
+    price: amount === null ? null : { amount, currency: 'USD' },
+    priceNote: amount === null ? 'See listing' : null,
+    link: `https://example.com/${listingId}`,
+    source: 'Discogs',
+    listingId
+  });
+}
+
+function record(watchlistId, results, takenAt) {
+  return recordPriceSnapshots(results, { watchlistId, artistId: null, runId: null, takenAt });
+}
+
+test('each search flags prices as new, down, up or the same since the last one', () => {
+  const first = record(main, [listing(1, 30), listing(2, 20), listing(3, 10)], '2024-01-01T00:00:00.000Z');
+  assert.deepEqual(first.map(result => result.priceTrend), ['new', 'new', 'new']);
+
+  const second = record(main, [listing(1, 25), listing(2, 22), listing(3, 10)], '2024-01-02T00:00:00.000Z');
+  assert.deepEqual(second.map(result => result.priceTrend), ['down', 'up', 'same']);
+  assert.deepEqual(second[0].previousPrice, { amount: 30, currency: 'USD' });
+});
+
+test('a price that disappears has no trend', () => {
+  const [result] = record(main, [listing(1, null)], '2024-01-03T00:00:00.000Z');
+  assert.equal(result.priceTrend, null);
+  assert.deepEqual(result.previousPrice, { amount: 25, currency: 'USD' });
+});
+
+test('search links get no snapshot', () => {
+  const link = createResult({
+    kind: 'search', artist: 'Miles Davis', album: 'Search eBay', link: 'https://example.com/search', source: 'eBay'
+  });
+  const [result] = record(main, [link], '2024-01-03T00:00:00.000Z');
+  assert.equal(result.priceTrend, undefined);
+});
+
+test('snapshots are kept per watchlist', () => {
+  const [result] = record(gifts, [listing(1, 5)], '2024-01-04T00:00:00.000Z');
+  assert.equal(result.priceTrend, 'new');
+
+  const history = getPriceHistory(main, listing(1, 0).id);
+  assert.deepEqual(history.map(snapshot => snapshot.price?.amount ?? null), [30, 25, null]);
+  assert.equal(getPriceHistory(gifts, listing(1, 0).id).length, 1);
+});
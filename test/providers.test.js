@@ -0,0 +1,213 @@
+// Discogs and eBay helpers, and both providers searched against the mock
+// marketplace server (see mock/server.js)
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir, listen } from './helpers.js';
+
+useTempDataDir();
+process.env.HTTP_CACHE_MODE = 'off';
+process.env.PROVIDER_MAX_RETRIES = '1';
+process.env.DISCOGS_TOKEN = 'test-token';
+process.env.EBAY_CLIENT_ID = 'test-id';
+process.env.EBAY_CLIENT_SECRET = 'test-secret';
+process.env.EBAY_SANDBOX = 'false';
+
+const { createMockServer } = await import('../mock/server.js');
+const mockUrl = await listen(createMockServer({ faults: [] }));
+process.env.DISCOGS_API_BASE = mockUrl;
+process.env.DISCOGS_WEB_BASE = mockUrl;
+process.env.EBAY_API_BASE = mockUrl;
+
+const { splitTitle, searchDiscogs, fetchDiscogsListing, fetchUserListArtists } = await import('../lib/discogs.js');
+const { cleanTitle, searchEbay } = await import('../lib/ebay.js');
+const { parseSearchOptions } = await import('../lib/searchOptions.js');
+const { validateResult } = await import('../lib/schema.js');
+const { convert } = await import('../lib/currency.js');
+const { configureRateLimit } = await import('../lib/rateLimiter.js');
+configureRateLimit('discogs', { capacity: 100, refillPerSecond: 100 });
+
+async function setFaults(faults) {
+  await fetch(`${mockUrl}/_mock/faults`, { method: 'DELETE' });
+  for (const fault of faults) {
+    await fetch(`${mockUrl}/_mock/faults`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(fault)
+    });
+  }
+}
+
+before(() => setFaults([]));
+
+test('splitTitle splits "Artist - Album" titles', () => {
+  assert.deepEqual(splitTitle('Miles Davis - Kind Of Blue', 'x'), { artist: 'Miles Davis', title: 'Kind Of Blue' });
+});
+
+test('splitTitle keeps dashes in album titles', () => {
+  assert.deepEqual(splitTitle('Radiohead - OK Computer - OKNOTOK', 'x'),
+    { artist: 'Radiohead', title: 'OK Computer - OKNOTOK' });
+});
+
+test('splitTitle drops Discogs artist numbering', () => {
+  assert.deepEqual(splitTitle('Samia (2) - The Baby', 'x'), { artist: 'Samia', title: 'The Baby' });
+});
+
+test('splitTitle falls back to the searched artist', () => {
+  assert.deepEqual(splitTitle('Kind Of Blue', 'Miles Davis'), { artist: 'Miles Davis', title: 'Kind Of Blue' });
+});
+
+test('cleanTitle strips vinyl and selling words', () => {
+  assert.equal(cleanTitle('Radiohead OK Computer Vinyl LP NEW Sealed'), 'Radiohead OK Computer');
+  assert.equal(cleanTitle('Miles Davis Kind Of Blue vinyl record original pressing'), 'Miles Davis Kind Of Blue');
+  assert.equal(cleanTitle('Samia - The Baby   Vinyl Album  RARE'), 'Samia - The Baby');
+});
+
+test('cleanTitle only strips whole words', () => {
+  assert.equal(cleanTitle('Newcleus Jam On It'), 'Newcleus Jam On It');
+  assert.equal(cleanTitle('Rarely Seen Vinylmania'), 'Rarely Seen Vinylmania');
+});
+
+test('searchDiscogs prices vinyl releases from their marketplace stats', async () => {
+  await fetch(`${mockUrl}/_mock/requests`, { method: 'DELETE' });
+  const results = await searchDiscogs('Miles Davis', {}, parseSearchOptions());
+  assert.ok(results.length > 0);
+  assert.deepEqual(results.flatMap(validateResult), []);
+  // The CD pressing is skipped
+  assert.ok(results.every(result => result.releaseId !== 1004));
+  const release = results.find(result => result.releaseId === 1001);
+  assert.equal(release.kind, 'release');
+  assert.equal(release.album, 'Kind Of Blue');
+  assert.deepEqual(release.price, { amount: 34.99, currency: 'USD' });
+  assert.equal(release.priceNote, 'lowest price');
+  assert.equal(release.link, `${mockUrl}/sell/release/1001`);
+
+  // No listing is fetched one by one
+  const { requests } = await fetch(`${mockUrl}/_mock/requests`).then(response => response.json());
+  assert.ok(requests.length > 0);
+  assert.ok(requests.every(request => !request.url.startsWith('/marketplace/listings')));
+});
+
+test('fetchDiscogsListing loads one listing with its grades and seller', async () => {
+  const { status, result } = await fetchDiscogsListing(100101);
+  assert.equal(status, 'For Sale');
+  assert.deepEqual(validateResult(result), []);
+  assert.equal(result.kind, 'listing');
+  assert.equal(result.listingId, 100101);
+  assert.equal(result.releaseId, 1001);
+  assert.equal(result.artist, 'Miles Davis');
+  assert.equal(result.album, 'Kind Of Blue');
+  assert.ok(result.condition && result.seller && result.country);
+});
+
+test('fetchDiscogsListing explains unknown listings', async () => {
+  await assert.rejects(fetchDiscogsListing(100199), /Discogs listing 100199 not found/);
+});
+
+test('searchDiscogs applies year options', async () => {
+  const results = await searchDiscogs('Radiohead', {}, parseSearchOptions({ yearFrom: 2000 }));
+  assert.deepEqual([...new Set(results.map(result => result.album))], ['In Rainbows']);
+});
+
+test('searchDiscogs retries a failed request', async () => {
+  await setFaults([{ path: '/releases/2002', fault: 500, times: 1 }]);
+  const results = await searchDiscogs('Radiohead', {}, parseSearchOptions({ yearFrom: 2000 }));
+  assert.equal(results[0].priceNote, 'lowest price');
+});
+
+test('searchDiscogs narrows an album-level want to that album', async () => {
+  const details = { artist: 'Radiohead', album: 'In Rainbows' };
+  const results = await searchDiscogs('Radiohead', details, parseSearchOptions());
+  assert.ok(results.length > 0);
+  assert.ok(results.every(result => result.album === 'In Rainbows'));
+});
+
+test('searchDiscogs narrows a want by catalog number', async () => {
+  const details = { artist: 'Miles Davis', album: 'Kind Of Blue', catno: 'CL 1355' };
+  const results = await searchDiscogs('Miles Davis', details, parseSearchOptions());
+  assert.ok(results.length > 0);
+  assert.ok(results.every(result => result.releaseId === 1001));
+});
+
+test('searchDiscogs takes a want\'s release ID as is, whatever its format', async () => {
+  const details = { artist: 'Miles Davis', album: 'Kind Of Blue', releaseId: 1004 };
+  const results = await searchDiscogs('Miles Davis', details, parseSearchOptions());
+  assert.ok(results.length > 0);
+  assert.ok(results.every(result => result.releaseId === 1004 && result.album === 'Kind Of Blue'));
+});
+
+test('searchDiscogs throws when Discogs is down', async () => {
+  await setFaults([{ path: '/database', fault: 500 }]);
+  await assert.rejects(searchDiscogs('Radiohead', {}, parseSearchOptions()), /Discogs API error: 500/);
+  await setFaults([]);
+});
+
+test('fetchUserListArtists lists the artists of a collection once per release', async () => {
+  const names = await fetchUserListArtists('crate_digger', 'collection');
+  assert.deepEqual(names, ['Miles Davis', 'Miles Davis', 'Radiohead', 'Samia', 'Miles Davis']);
+});
+
+test('fetchUserListArtists reads wantlists', async () => {
+  assert.deepEqual(await fetchUserListArtists('crate_digger', 'wantlist'), ['Radiohead', 'Radiohead']);
+});
+
+test('fetchUserListArtists explains missing users and private lists', async () => {
+  await assert.rejects(fetchUserListArtists('nobody', 'collection'), /Discogs user nobody not found/);
+  await assert.rejects(fetchUserListArtists('groove_merchant', 'collection'), /collection of groove_merchant is private/);
+  await assert.rejects(fetchUserListArtists('crate_digger', 'folders'), /List must be one of collection, wantlist/);
+});
+
+test('searchEbay returns cleaned-up listings and auctions', async () => {
+  const results = await searchEbay('Radiohead', {}, parseSearchOptions());
+  assert.ok(results.length > 0);
+  assert.deepEqual(results.flatMap(validateResult), []);
+  assert.ok(results.every(result => result.source === 'eBay' && result.marketplace === 'EBAY_US'));
+  assert.ok(results.every(result => !/vinyl|sealed/i.test(result.album)));
+
+  const auction = results.find(result => result.saleType === 'auction');
+  assert.ok(Number.isInteger(auction.bidCount));
+  assert.ok(auction.auctionEndsAt);
+});
+
+test('searchEbay passes filters and prices in the marketplace currency', async () => {
+  const options = parseSearchOptions({
+    marketplaces: ['EBAY_GB'], buyingOptions: ['auction'], priceMin: 10, priceMax: 30, priceCurrency: 'EUR'
+  });
+  const results = await searchEbay('Miles Davis', {}, options);
+
+  // The price range goes out in pounds, as eBay only filters in the
+  // marketplace's currency
+  const min = convert({ amount: 10, currency: 'EUR' }, 'GBP').amount;
+  const max = convert({ amount: 30, currency: 'EUR' }, 'GBP').amount;
+  const { requests } = await fetch(`${mockUrl}/_mock/requests`).then(r => r.json());
+  const search = new URL(requests.findLast(r => r.url.includes('/item_summary/search')).url, mockUrl);
+  assert.equal(search.searchParams.get('filter'), `buyingOptions:{AUCTION},price:[${min}..${max}],priceCurrency:GBP`);
+
+  assert.ok(results.length > 0);
+  assert.ok(results.every(result => result.saleType === 'auction' && result.price.currency === 'GBP'
+    && result.price.amount >= min && result.price.amount <= max));
+});
+
+test('searchEbay drops listings not by a pinned artist', async () => {
+  // The mock's search for Samia also turns up a sampler by other artists
+  const isSampler = result => result.album.includes('Sampler');
+  const unpinned = await searchEbay('Samia', {}, parseSearchOptions());
+  assert.equal(unpinned.filter(isSampler).length, 1);
+
+  const results = await searchEbay('Samia', { discogsName: 'Samia (2)' }, parseSearchOptions());
+  assert.equal(results.length, unpinned.length - 1);
+  assert.ok(!results.some(isSampler));
+  assert.ok(results.every(result => result.album.startsWith('Samia - ')));
+});
+
+test('searchEbay keeps only listings of a want\'s album', async () => {
+  const results = await searchEbay('Radiohead', { artist: 'Radiohead', album: 'OK Computer' }, parseSearchOptions());
+  assert.ok(results.length > 0);
+  assert.ok(results.every(result => result.album.startsWith('Radiohead - OK Computer')));
+});
+
+test('searchEbay throws when eBay is down', async () => {
+  await setFaults([{ path: '/buy', fault: 500 }]);
+  await assert.rejects(searchEbay('Radiohead', {}, parseSearchOptions()), /eBay API error: 500/);
+  await setFaults([]);
+});
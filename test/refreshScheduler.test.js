@@ -0,0 +1,82 @@
+// Scheduled refresh (lib/refreshScheduler.js), run on mocked timers
+
+import { test, mock, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempDataDir } from './helpers.js';
+
+useTempDataDir();
+process.env.PROVIDERS = 'stub';
+process.env.HTTP_CACHE_MODE = 'off';
+
+const { registerProvider } = await import('../lib/providers.js');
+
+// Searches never finish, so refreshes stay running
+registerProvider({
+  name: 'stub',
+  label: 'Stub',
+  capabilities: ['listings'],
+  search: () => new Promise(() => {})
+});
+
+const { db } = await import('../lib/db.js');
+const { createUser } = await import('../lib/users.js');
+const { getCurrentWatchlist } = await import('../lib/watchlists.js');
+const { addArtist } = await import('../lib/storage.js');
+const { createJob, getJob } = await import('../lib/jobs.js');
+const { setRefreshSchedule, getRefreshSchedulerStatus } = await import('../lib/refreshScheduler.js');
+
+async function userWithArtist(username, artist) {
+  const user = await createUser({ username, password: 'correct horse' });
+  const watchlistId = getCurrentWatchlist(user.id).id;
+  addArtist({ watchlistId, name: artist });
+  return { userId: user.id, watchlistId };
+}
+
+const busy = await userWithArtist('busy', 'Miles Davis');
+const idle = await userWithArtist('idle', 'Radiohead');
+
+// Every minute, from 10:00:30 on 1 January 2024
+mock.timers.enable({ apis: ['setTimeout', 'Date'], now: new Date(2024, 0, 1, 10, 0, 30) });
+after(() => {
+  setRefreshSchedule({ cron: null, enabled: false });
+  mock.timers.reset();
+});
+
+const MINUTE = 60 * 1000;
+
+test('a scheduled run refreshes each list, skipping lists with a refresh still going', () => {
+  const running = createJob({ ...busy, mode: 'refresh', artists: ['Miles Davis'] });
+  setRefreshSchedule({ cron: '* * * * *', enabled: true });
+  assert.equal(getRefreshSchedulerStatus().nextRun, new Date(2024, 0, 1, 10, 1).toISOString());
+
+  mock.timers.tick(MINUTE);
+  const { lastRun, nextRun } = getRefreshSchedulerStatus();
+  assert.equal(lastRun.status, 'running');
+  assert.equal(lastRun.jobIds.length, 1);
+  const scheduled = getJob(lastRun.jobIds[0]);
+  assert.equal(scheduled.watchlistId, idle.watchlistId);
+  assert.equal(scheduled.trigger, 'schedule');
+  assert.notEqual(scheduled.id, running.id);
+  assert.equal(nextRun, new Date(2024, 0, 1, 10, 2).toISOString());
+
+  // Both lists busy now, so the next run has nothing to start
+  mock.timers.tick(MINUTE);
+  assert.equal(getRefreshSchedulerStatus().lastRun.status, 'skipped');
+});
+
+test('the schedule carries on after a run fails', async () => {
+  // A user without a watchlist breaks the run
+  const broken = await createUser({ username: 'broken', password: 'correct horse' });
+  db.prepare('DELETE FROM watchlists WHERE user_id = ?').run(broken.id);
+
+  mock.timers.tick(MINUTE);
+  const { lastRun, nextRun } = getRefreshSchedulerStatus();
+  assert.equal(lastRun.status, 'failed');
+  assert.ok(lastRun.error);
+  assert.equal(nextRun, new Date(2024, 0, 1, 10, 4).toISOString());
+
+  db.prepare('DELETE FROM users WHERE id = ?').run(broken.id);
+  mock.timers.tick(MINUTE);
+  assert.equal(getRefreshSchedulerStatus().lastRun.status, 'skipped');
+  assert.equal(getRefreshSchedulerStatus().nextRun, new Date(2024, 0, 1, 10, 5).toISOString());
+});
@@ -0,0 +1,94 @@
+// Frontend result helpers (public/results.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  convertMoney, parsePrice, calculateTotal, filterByPrice, filterBySearch, sortResults
+} from '../public/results.js';
+
+const rates = { USD: 1, EUR: 0.5, GBP: 0.25 };
+const usd = { currency: 'USD', rates };
+const eur = { currency: 'EUR', rates };
+
+function result(fields) {
+  return { artist: 'A', album: 'X', year: null, price: null, shipping: null, total: null, ...fields };
+}
+
+test('convertMoney converts through the rates', () => {
+  assert.deepEqual(convertMoney({ amount: 10, currency: 'USD' }, 'EUR', rates), { amount: 5, currency: 'EUR' });
+  assert.deepEqual(convertMoney({ amount: 10, currency: 'GBP' }, 'EUR', rates), { amount: 20, currency: 'EUR' });
+});
+
+test('convertMoney leaves money alone in its own currency', () => {
+  const money = { amount: 7, currency: 'GBP' };
+  assert.equal(convertMoney(money, 'GBP', rates), money);
+});
+
+test('convertMoney returns null without money or a rate', () => {
+  assert.equal(convertMoney(null, 'EUR', rates), null);
+  assert.equal(convertMoney({ amount: 1, currency: 'JPY' }, 'EUR', rates), null);
+});
+
+test('parsePrice gives the amount in the display currency', () => {
+  assert.equal(parsePrice({ amount: 12, currency: 'USD' }, eur), 6);
+  assert.equal(parsePrice({ amount: 12, currency: 'USD' }, usd), 12);
+  assert.equal(parsePrice(null, usd), null);
+  assert.equal(parsePrice({ amount: 12, currency: 'XXX' }, usd), null);
+});
+
+test('calculateTotal converts the total', () => {
+  assert.equal(calculateTotal(result({ total: { amount: 4, currency: 'GBP' } }), usd), 16);
+  assert.equal(calculateTotal(result({ total: null }), usd), null);
+});
+
+test('filterByPrice keeps totals under the limit', () => {
+  const results = [
+    result({ album: 'cheap', total: { amount: 10, currency: 'USD' } }),
+    result({ album: 'dear', total: { amount: 30, currency: 'USD' } }),
+    result({ album: 'unpriced' })
+  ];
+  assert.equal(filterByPrice(results, 'all', usd), results);
+  assert.deepEqual(filterByPrice(results, '15', usd).map(r => r.album), ['cheap']);
+  // 30 USD is 15 EUR, not under 15
+  assert.deepEqual(filterByPrice(results, '15', eur).map(r => r.album), ['cheap']);
+  assert.deepEqual(filterByPrice(results, '25', eur).map(r => r.album), ['cheap', 'dear']);
+});
+
+test('filterBySearch matches artist or album text', () => {
+  const results = [result({ artist: 'Miles Davis', album: 'Kind Of Blue' }), result({ artist: 'Radiohead', album: 'Kid A' })];
+  assert.deepEqual(filterBySearch(results, 'kid').map(r => r.artist), ['Radiohead']);
+  assert.deepEqual(filterBySearch(results, 'davis').map(r => r.artist), ['Miles Davis']);
+  assert.equal(filterBySearch(results, ''), results);
+});
+
+test('sortResults sorts text without case', () => {
+  const results = [result({ artist: 'radiohead' }), result({ artist: 'Miles Davis' }), result({ artist: 'Arca' })];
+  assert.deepEqual(sortResults(results, 'artist', 'asc', usd).map(r => r.artist), ['Arca', 'Miles Davis', 'radiohead']);
+  assert.deepEqual(sortResults(results, 'artist', 'desc', usd).map(r => r.artist), ['radiohead', 'Miles Davis', 'Arca']);
+});
+
+test('sortResults compares prices across currencies and puts unpriced last', () => {
+  const results = [
+    result({ album: 'ten dollars', price: { amount: 10, currency: 'USD' } }),
+    result({ album: 'none' }),
+    result({ album: 'two pounds', price: { amount: 2, currency: 'GBP' } })
+  ];
+  assert.deepEqual(sortResults(results, 'price', 'asc', usd).map(r => r.album), ['two pounds', 'ten dollars', 'none']);
+  assert.deepEqual(sortResults(results, 'price', 'desc', usd).map(r => r.album), ['ten dollars', 'two pounds', 'none']);
+});
+
+test('sortResults sorts by total and year', () => {
+  const results = [
+    result({ album: 'b', year: 1997, total: { amount: 20, currency: 'USD' } }),
+    result({ album: 'a', year: 1959, total: { amount: 30, currency: 'USD' } }),
+    result({ album: 'c', year: null, total: { amount: 4, currency: 'GBP' } })
+  ];
+  assert.deepEqual(sortResults(results, 'total', 'asc', usd).map(r => r.album), ['c', 'b', 'a']);
+  assert.deepEqual(sortResults(results, 'year', 'asc', usd).map(r => r.album), ['c', 'a', 'b']);
+});
+
+test('sortResults leaves its input alone', () => {
+  const results = [result({ artist: 'B' }), result({ artist: 'A' })];
+  sortResults(results, 'artist', 'asc', usd);
+  assert.deepEqual(results.map(r => r.artist), ['B', 'A']);
+});
@@ -0,0 +1,418 @@
+// Search routes end to end, with a stub provider in place of the marketplaces
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ExcelJS from 'exceljs';
+import { useTempDataDir, listen, readEvents, sessionCookie } from './helpers.js';
+
+useTempDataDir();
+process.env.PROVIDERS = 'stub';
+process.env.HTTP_CACHE_MODE = 'off';
+process.env.DISCOGS_WEB_BASE = 'http://discogs.test';
+
+const { registerProvider } = await import('../lib/providers.js');
+const { createResult } = await import('../lib/schema.js');
+
+// One listing per artist, priced by how often the artist has been searched
+// so refreshes can be told apart. The details of each artist's last search
+// are kept.
+const searches = new Map();
+const searchDetails = new Map();
+registerProvider({
+  name: 'stub',
+  label: 'Stub',
+  capabilities: ['listings'],
+  search: async (artist, details) => {
+    const count = (searches.get(artist) || 0) + 1;
+    searches.set(artist, count);
+    searchDetails.set(artist, details);
+    if (artist === 'Broken') throw new Error('Stub marketplace is down');
+    return [createResult({
+      kind: 'listing',
+      artist,
+      album: `${artist} LP`,
+      price: { amount: 10 * count, currency: 'USD' },
+      link: `https://example.com/${encodeURIComponent(artist)}`,
+      source: 'Stub',
+      listingId: artist
+    })];
+  }
+});
+
+const { app } = await import('../server.js');
+const baseUrl = await listen(app);
+
+// Every request is made as the admin set up here (see auth.test.js)
+const setup = await fetch(`${baseUrl}/api/auth/setup`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ username: 'admin', password: 'correct horse' })
+});
+const cookie = sessionCookie(setup);
+
+function api(path, init = {}) {
+  return fetch(`${baseUrl}${path}`, { ...init, headers: { ...init.headers, Cookie: cookie } });
+}
+
+function uploadCsv(csv, mode, fields = {}) {
+  const body = new FormData();
+  body.append('csv', new Blob([csv], { type: 'text/csv' }), 'artists.csv');
+  body.append('mode', mode);
+  for (const [name, value] of Object.entries(fields)) body.append(name, value);
+  return api('/api/search', { method: 'POST', body }).then(readEvents);
+}
+
+function postJson(path, body) {
+  return api(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }).then(readEvents);
+}
+
+async function savedResults() {
+  const response = await api('/api/results');
+  return response.json();
+}
+
+function checkSequence(events, { mode, artists }) {
+  const [job] = events;
+  assert.equal(job.type, 'job');
+  assert.equal(job.mode, mode);
+  assert.equal(job.total, artists.length);
+
+  const last = events[events.length - 1];
+  assert.equal(last.type, 'complete');
+  // Between them, progress and a results event per artist
+  const types = events.slice(1, -1).map(event => event.type);
+  assert.deepEqual(types.filter(type => !['progress', 'providerError'].includes(type)), artists.map(() => 'results'));
+  assert.deepEqual(events.filter(e => e.type === 'results').map(e => e.artist).sort(), [...artists].sort());
+
+  // Progress counts up to every artist
+  const progress = events.filter(e => e.type === 'progress');
+  assert.equal(progress.at(-1).completed, artists.length);
+  assert.equal(progress.at(-1).total, artists.length);
+  return last;
+}
+
+test('CSV upload in replace mode searches every artist', async () => {
+  const events = await uploadCsv('artist\nMiles Davis\nRadiohead\n', 'replace');
+  const complete = checkSequence(events, { mode: 'replace', artists: ['Miles Davis', 'Radiohead'] });
+  assert.deepEqual(complete.artists, ['Miles Davis', 'Radiohead']);
+  assert.equal(complete.resultCount, 2);
+
+  const results = events.find(e => e.type === 'results' && e.artist === 'Radiohead').results;
+  assert.equal(results[0].album, 'Radiohead LP');
+  assert.deepEqual(results[0].price, { amount: 10, currency: 'USD' });
+});
+
+test('CSV upload in append mode only searches new artists', async () => {
+  const events = await uploadCsv('artist\nradiohead\nSamia\n', 'append');
+  const complete = checkSequence(events, { mode: 'append', artists: ['Samia'] });
+  assert.deepEqual(complete.artists, ['Miles Davis', 'Radiohead', 'Samia']);
+
+  const saved = await savedResults();
+  assert.deepEqual(saved.artists, ['Miles Davis', 'Radiohead', 'Samia']);
+  assert.equal(saved.results.length, 3);
+});
+
+test('adding artists appends those not already saved', async () => {
+  const events = await postJson('/api/search/artists', { artists: ['Arca', ' SAMIA ', ''] });
+  const complete = checkSequence(events, { mode: 'append', artists: ['Arca'] });
+  assert.deepEqual(complete.artists, ['Miles Davis', 'Radiohead', 'Samia', 'Arca']);
+});
+
+test('adding only saved artists is an error event', async () => {
+  const events = await postJson('/api/search/artists', { artists: ['Arca'] });
+  assert.deepEqual(events, [{ error: 'All artists already in list' }]);
+});
+
+test('a failing provider is reported without failing the search', async () => {
+  const events = await postJson('/api/search/artists', { artists: ['Broken'] });
+  const providerError = events.find(e => e.type === 'providerError');
+  assert.deepEqual(providerError, {
+    type: 'providerError', artist: 'Broken', provider: 'stub', label: 'Stub', message: 'Stub marketplace is down'
+  });
+  const results = events.find(e => e.type === 'results');
+  assert.deepEqual(results.results, []);
+  assert.equal(results.errors.length, 1);
+  assert.equal(events.at(-1).type, 'complete');
+});
+
+test('refresh searches every saved artist again', async () => {
+  const events = await postJson('/api/search/refresh', {});
+  const artists = ['Miles Davis', 'Radiohead', 'Samia', 'Arca', 'Broken'];
+  const complete = checkSequence(events, { mode: 'refresh', artists });
+  assert.deepEqual(complete.artists, artists);
+
+  // Second search of Miles Davis, so the stub's second price
+  const saved = await savedResults();
+  const miles = saved.results.find(result => result.artist === 'Miles Davis');
+  assert.deepEqual(miles.price, { amount: 20, currency: 'USD' });
+  assert.equal(miles.priceTrend, 'up');
+
+  // Reattaching replays the results events with their results
+  const replayed = await api(`/api/jobs/${events[0].jobId}/events`).then(readEvents);
+  assert.deepEqual(replayed.filter(e => e.type === 'results'), events.filter(e => e.type === 'results'));
+});
+
+test('results export as CSV with every column, sorted', async () => {
+  const response = await api('/api/results/export?format=csv&sort=artist&direction=desc');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/csv/);
+  assert.match(response.headers.get('content-disposition'), /attachment; filename="vinyl-results.csv"/);
+
+  const [header, ...rows] = (await response.text()).trim().split('\r\n');
+  assert.equal(header, 'Artist,Album,Year,Price,Shipping,Total,Currency,Condition,Source,Link');
+  assert.deepEqual(rows.map(row => row.split(',')[0]), ['Samia', 'Radiohead', 'Miles Davis', 'Arca']);
+  assert.equal(rows[1], 'Radiohead,Radiohead LP,,20,,20,USD,,Stub,https://example.com/Radiohead');
+});
+
+test('results export as JSON with filters and amounts in a currency', async () => {
+  const response = await api('/api/results/export?format=json&q=davis&currency=EUR');
+  const rows = await response.json();
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].artist, 'Miles Davis');
+  assert.equal(rows[0].currency, 'EUR');
+  assert.ok(rows[0].total > 0 && rows[0].total !== 20);
+});
+
+test('results export as an Excel workbook', async () => {
+  const response = await api('/api/results/export?format=xlsx&maxTotal=100');
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await response.arrayBuffer());
+  const sheet = workbook.getWorksheet('Results');
+  assert.equal(sheet.rowCount, 5);
+  assert.equal(sheet.getCell('A1').value, 'Artist');
+  assert.equal(sheet.getCell('A2').value, 'Miles Davis');
+  assert.equal(sheet.getCell('F2').value, 20);
+});
+
+test('results export rejects unknown formats and sort columns', async () => {
+  let response = await api('/api/results/export?format=pdf');
+  assert.equal(response.status, 400);
+  response = await api('/api/results/export?sort=seller');
+  assert.equal(response.status, 400);
+});
+
+test('invalid search options fail the search', async () => {
+  const events = await postJson('/api/search/refresh', { options: { depth: 0 } });
+  assert.equal(events.length, 1);
+  assert.match(events[0].error, /^Refresh failed: Depth must be/);
+});
+
+test('CSV upload in replace mode replaces the saved artists', async () => {
+  const events = await uploadCsv('name\nNewcleus\n', 'replace');
+  const complete = checkSequence(events, { mode: 'replace', artists: ['Newcleus'] });
+  assert.deepEqual(complete.artists, ['Newcleus']);
+
+  const saved = await savedResults();
+  assert.deepEqual(saved.artists, ['Newcleus']);
+  assert.deepEqual(saved.results.map(result => result.album), ['Newcleus LP']);
+});
+
+test('an upload without a file is an error event', async () => {
+  const events = await api('/api/search', { method: 'POST', body: new FormData() }).then(readEvents);
+  assert.deepEqual(events, [{ error: 'No file uploaded' }]);
+});
+
+test('a Last.fm export is detected and its most played artists searched', async () => {
+  const lastfm = JSON.stringify({
+    topartists: { artist: [{ name: 'Samia', playcount: '5' }, { name: 'Arca', playcount: '90' }, { name: 'Radiohead', playcount: '40' }] }
+  });
+  const events = await uploadCsv(lastfm, 'replace', { byPlays: 'true', limit: '2' });
+  const complete = checkSequence(events, { mode: 'replace', artists: ['Arca', 'Radiohead'] });
+  assert.deepEqual(complete.artists, ['Arca', 'Radiohead']);
+});
+
+test('an upload of an unknown kind of file is an error event', async () => {
+  const events = await uploadCsv('{"playlists": []}', 'replace');
+  assert.equal(events.length, 1);
+  assert.match(events[0].error, /^Search failed: Unrecognised file/);
+});
+
+test('quick add takes album-level wants and searches their artist', async () => {
+  const events = await postJson('/api/search/artists', {
+    artists: ['Samia', { artist: 'Fiona Apple', album: 'Tidal', catno: 'CK 67439' }, { artist: 'Arca', album: '' }]
+  });
+  const label = 'Fiona Apple – Tidal (CK 67439)';
+  const complete = checkSequence(events, { mode: 'append', artists: ['Samia', label] });
+  assert.deepEqual(complete.artists, ['Arca', 'Radiohead', 'Samia', label]);
+  assert.equal(searchDetails.get('Fiona Apple').album, 'Tidal');
+  assert.equal(searchDetails.get('Fiona Apple').catno, 'CK 67439');
+
+  const { artists } = await api('/api/artists').then(response => response.json());
+  assert.deepEqual(artists.find(artist => artist.name === label).want,
+    { artist: 'Fiona Apple', album: 'Tidal', catno: 'CK 67439', releaseId: null });
+  assert.equal(artists.find(artist => artist.name === 'Samia').want, null);
+});
+
+test('refresh searches saved wants with their album', async () => {
+  searchDetails.clear();
+  await postJson('/api/search/refresh', {});
+  assert.deepEqual(searchDetails.get('Fiona Apple'),
+    { artist: 'Fiona Apple', album: 'Tidal', catno: 'CK 67439', releaseId: null });
+  assert.deepEqual(searchDetails.get('Samia'), {});
+});
+
+test('invalid wants fail the search', async () => {
+  const events = await postJson('/api/search/artists', { artists: [{ artist: 'Fiona Apple', catno: 'CK 67439' }] });
+  assert.match(events[0].error, /^Search failed: Album required/);
+});
+
+function sendJson(method, path, body) {
+  return api(path, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+}
+
+async function artistNames() {
+  const { artists } = await api('/api/artists').then(response => response.json());
+  return artists.map(artist => artist.name);
+}
+
+test('artists list with result counts and search times', async () => {
+  const { artists } = await api('/api/artists').then(response => response.json());
+  const arca = artists.find(artist => artist.name === 'Arca');
+  assert.equal(arca.resultCount, 1);
+  assert.ok(arca.lastSearchedAt);
+  assert.deepEqual(arca.tags, []);
+  assert.equal(arca.notes, null);
+});
+
+test('artists can be added without a search, with notes and tags', async () => {
+  let response = await sendJson('POST', '/api/artists', { name: ' Silver Jews ', notes: 'Only US pressings', tags: ['indie', ' Indie', ''] });
+  assert.equal(response.status, 201);
+  const added = await response.json();
+  assert.equal(added.name, 'Silver Jews');
+  assert.equal(added.resultCount, 0);
+  assert.equal(added.lastSearchedAt, null);
+  assert.deepEqual(added.tags, ['indie']);
+
+  response = await sendJson('POST', '/api/artists', { artist: 'Fiona Apple', album: 'Extraordinary Machine' });
+  assert.equal((await response.json()).want.album, 'Extraordinary Machine');
+
+  response = await sendJson('POST', '/api/artists', { name: 'silver jews' });
+  assert.equal(response.status, 409);
+  response = await sendJson('POST', '/api/artists', { name: 'Arca', tags: 'indie' });
+  assert.equal(response.status, 400);
+
+  const { artists } = await api('/api/artists?tag=INDIE').then(r => r.json());
+  assert.deepEqual(artists.map(artist => artist.name), ['Silver Jews']);
+});
+
+test('artists can be renamed, annotated and moved', async () => {
+  let response = await sendJson('PATCH', '/api/artists/silver%20jews', { name: 'Silver Jews (US)', notes: null, position: 0 });
+  assert.equal(response.status, 200);
+  const updated = await response.json();
+  assert.equal(updated.name, 'Silver Jews (US)');
+  assert.equal(updated.notes, null);
+  assert.deepEqual(updated.tags, ['indie']);
+  assert.deepEqual((await artistNames()).slice(0, 2), ['Silver Jews (US)', 'Arca']);
+
+  response = await sendJson('PATCH', `/api/artists/Arca`, { position: 99 });
+  assert.equal((await artistNames()).at(-1), 'Arca');
+
+  response = await sendJson('PATCH', '/api/artists/Arca', { name: 'Samia' });
+  assert.equal(response.status, 409);
+  response = await sendJson('PATCH', '/api/artists/Arca', { position: -1 });
+  assert.equal(response.status, 400);
+  response = await sendJson('PATCH', '/api/artists/Nobody', { notes: 'x' });
+  assert.equal(response.status, 404);
+});
+
+test('pinned artists link to the Discogs artist on the configured site', async () => {
+  let response = await sendJson('PUT', '/api/artists/Arca/discogs', { id: 123, name: 'Arca (2)' });
+  assert.equal((await response.json()).discogsLink, 'http://discogs.test/artist/123');
+  const { artists } = await api('/api/artists').then(r => r.json());
+  assert.equal(artists.find(artist => artist.name === 'Arca').discogsLink, 'http://discogs.test/artist/123');
+
+  response = await sendJson('PUT', '/api/artists/Arca/discogs', { id: null });
+  assert.equal((await response.json()).discogsLink, null);
+});
+
+test('removing an artist removes their results', async () => {
+  let response = await sendJson('DELETE', '/api/artists/Radiohead');
+  assert.equal(response.status, 204);
+  assert.ok(!(await artistNames()).includes('Radiohead'));
+  const saved = await savedResults();
+  assert.ok(saved.results.every(result => result.artist !== 'Radiohead'));
+
+  response = await sendJson('DELETE', '/api/artists/Radiohead');
+  assert.equal(response.status, 404);
+});
+
+async function watchlists() {
+  return api('/api/watchlists').then(response => response.json());
+}
+
+test('watchlists keep separate artists and results', async () => {
+  const { watchlists: [main], currentId } = await watchlists();
+  assert.equal(main.name, 'Main');
+  assert.equal(currentId, main.id);
+  const mainArtists = await artistNames();
+
+  let response = await sendJson('POST', '/api/watchlists', { name: ' Jazz ' });
+  assert.equal(response.status, 201);
+  const jazz = await response.json();
+  assert.deepEqual([jazz.name, jazz.artistCount], ['Jazz', 0]);
+  response = await sendJson('POST', '/api/watchlists', { name: 'jazz' });
+  assert.equal(response.status, 409);
+
+  response = await sendJson('PUT', '/api/watchlists/current', { id: jazz.id });
+  assert.equal(response.status, 200);
+  const events = await uploadCsv('artist\nMiles Davis\n', 'replace');
+  assert.deepEqual(events.at(-1).artists, ['Miles Davis']);
+  const saved = await savedResults();
+  assert.deepEqual(saved.artists, ['Miles Davis']);
+
+  // Price trends and history only go by the list's own searches
+  const [miles] = saved.results;
+  assert.equal(miles.priceTrend, 'new');
+  const history = await api(`/api/prices/history?key=${encodeURIComponent(miles.itemKey)}`).then(r => r.json());
+  assert.equal(history.snapshots.length, 1);
+
+  await sendJson('PUT', '/api/watchlists/current', { id: main.id });
+  assert.deepEqual(await artistNames(), mainArtists);
+  response = await sendJson('PUT', '/api/watchlists/current', { id: 999 });
+  assert.equal(response.status, 404);
+});
+
+test('a cloned watchlist copies artists and results, and refreshes on its own', async () => {
+  const { watchlists: [main] } = await watchlists();
+  let response = await sendJson('POST', `/api/watchlists/${main.id}/clone`, { name: 'Gift ideas' });
+  assert.equal(response.status, 201);
+  const gifts = await response.json();
+  assert.equal(gifts.artistCount, main.artistCount);
+  assert.equal(gifts.resultCount, main.resultCount);
+
+  await sendJson('PUT', '/api/watchlists/current', { id: gifts.id });
+  await sendJson('DELETE', '/api/artists/Arca');
+  const events = await postJson('/api/search/refresh', {});
+  assert.ok(!events.some(event => event.artist === 'Arca'));
+
+  await sendJson('PUT', '/api/watchlists/current', { id: main.id });
+  assert.ok((await artistNames()).includes('Arca'));
+});
+
+test('deleting a watchlist removes its artists, but not the last one', async () => {
+  const { watchlists: lists } = await watchlists();
+  const [main, ...others] = lists;
+  await sendJson('PUT', '/api/watchlists/current', { id: others[0].id });
+  for (const watchlist of others) {
+    const response = await sendJson('DELETE', `/api/watchlists/${watchlist.id}`);
+    assert.equal(response.status, 204);
+  }
+
+  // The selected list was deleted, so the first one is selected again
+  const { watchlists: left, currentId } = await watchlists();
+  assert.deepEqual(left.map(watchlist => watchlist.id), [main.id]);
+  assert.equal(currentId, main.id);
+
+  let response = await sendJson('DELETE', `/api/watchlists/${main.id}`);
+  assert.equal(response.status, 409);
+  response = await sendJson('DELETE', `/api/watchlists/${others[0].id}`);
+  assert.equal(response.status, 404);
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { wantLabel, parseWant, parseEntries } from '../lib/wants.js';
+
+test('wantLabel names the artist and album, and the pressing if given', () => {
+  assert.equal(wantLabel({ artist: 'Fiona Apple', album: 'Tidal' }), 'Fiona Apple – Tidal');
+  assert.equal(wantLabel({ artist: 'Fiona Apple', album: 'Tidal', catno: 'CK 67439' }), 'Fiona Apple – Tidal (CK 67439)');
+  assert.equal(wantLabel({ artist: 'Silver Jews', album: 'American Water', releaseId: 1234 }),
+    'Silver Jews – American Water (Discogs 1234)');
+});
+
+test('parseWant trims fields and reads release IDs as numbers', () => {
+  assert.deepEqual(parseWant({ artist: ' Silver Jews ', album: 'American Water ', catno: '', releaseId: '1234' }),
+    { artist: 'Silver Jews', album: 'American Water', catno: null, releaseId: 1234 });
+});
+
+test('parseWant returns null without an album', () => {
+  assert.equal(parseWant({ artist: 'Fiona Apple' }), null);
+  assert.equal(parseWant({ artist: 'Fiona Apple', album: '  ' }), null);
+});
+
+test('parseWant rejects invalid fields', () => {
+  assert.throws(() => parseWant({ album: 'Tidal' }), /Artist required/);
+  assert.throws(() => parseWant({ artist: 'Fiona Apple', album: 'Tidal', releaseId: 'r12' }), /release ID must be a whole number/);
+  assert.throws(() => parseWant({ artist: 'Fiona Apple', catno: 'CK 67439' }), /Album required/);
+  assert.throws(() => parseWant({ artist: 'Fiona Apple', album: 7 }), /Album must be text/);
+});
+
+test('parseEntries mixes artist names and wants', () => {
+  const { names, wants } = parseEntries(['Arca', { artist: 'Samia' }, { artist: 'Fiona Apple', album: 'Tidal' }]);
+  assert.deepEqual(names, ['Arca', 'Samia', 'Fiona Apple – Tidal']);
+  assert.deepEqual(wants, {
+    'Fiona Apple – Tidal': { artist: 'Fiona Apple', album: 'Tidal', catno: null, releaseId: null }
+  });
+  assert.throws(() => parseEntries([null]), /Each artist must be/);
+});